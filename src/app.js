@@ -5,11 +5,28 @@ const compression = require('compression');
 const config = require('./config');
 const logger = require('./utils/logger');
 const carListingRoutes = require('./routes/car-listing-routes');
+const scrapeRoutes = require('./routes/scrape-routes');
+const exchangeRateRoutes = require('./routes/exchange-rate-routes');
+const savedSearchRoutes = require('./routes/saved-search-routes');
+const webhookRoutes = require('./routes/webhook-routes');
+const adminRoutes = require('./routes/admin-routes');
+const { scrapeWorker } = require('./workers/scrape-worker');
+const { scrapeScheduler } = require('./workers/scrape-scheduler');
+const { webhookWorker } = require('./workers/webhook-worker');
+const { retentionWorker } = require('./workers/retention-worker');
 const { errorHandler, notFoundHandler } = require('./middleware/error-handler');
+const { authenticate } = require('./middleware/auth');
+const { ipRateLimit, apiRateLimit } = require('./middleware/rate-limiter');
+const { requestId } = require('./middleware/request-id');
 
 
 const app = express();
 
+app.set('trust proxy', config.server.trustProxy);
+
+// Tag every request with an ID for logs and the listing audit trail
+app.use(requestId);
+
 // ======================
 // Security Middleware
 // ======================
@@ -46,6 +63,7 @@ app.use(compression());
 if (config.server.env === 'development') {
   app.use((req, res, next) => {
     logger.info(`${req.method} ${req.url}`, {
+      requestId: req.id,
       query: req.query,
       body: req.body,
       ip: req.ip,
@@ -58,7 +76,17 @@ if (config.server.env === 'development') {
 // Routes
 // ======================
 
+// Identify the API key (if any) of every API request; routes check its role.
+// The per-IP limit comes first so failed key checks are counted; the other
+// limits count per API key, so they come after authentication
+app.use('/api', ipRateLimit, authenticate, apiRateLimit);
+
 // API routes
+app.use('/api/admin', adminRoutes);
+app.use('/api/scrape', scrapeRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/webhooks', webhookRoutes);
 app.use('/api', carListingRoutes);
 
 // Root endpoint
@@ -71,7 +99,14 @@ app.get('/', (req, res) => {
       health: '/api/health',
       listings: '/api/listings',
       scrape: '/api/scrape',
+      scrapeJobs: '/api/scrape/jobs',
+      scrapeSchedule: '/api/scrape/schedule',
       stats: '/api/stats',
+      exchangeRates: '/api/exchange-rates',
+      savedSearches: '/api/saved-searches',
+      webhooks: '/api/webhooks',
+      apiKeys: '/api/admin/api-keys',
+      deletedListings: '/api/admin/listings/deleted',
     },
     documentation: 'See README.md for full API documentation',
   });
@@ -100,6 +135,14 @@ const gracefulShutdown = async (signal) => {
   
   server.close(async () => {
     logger.info('HTTP server closed');
+
+    // Stop queueing scheduled scrapes and release the running job (if any) back to the queue
+    await scrapeScheduler.stop();
+    await scrapeWorker.stop();
+
+    // Let in-flight webhook deliveries finish; queued ones are sent after restart
+    await webhookWorker.stop();
+    await retentionWorker.stop();
     
     // Close database connection
     const { closePool } = require('./config/database');
@@ -127,6 +170,12 @@ const server = app.listen(PORT, HOST, () => {
     ║   API Docs: http://${HOST}:${PORT}/api${' '.repeat(5)} ║
     ╚═══════════════════════════════════════╝
   `);
+
+  // Start processing queued scrape jobs, the recurring schedule and webhook deliveries
+  scrapeWorker.start();
+  scrapeScheduler.start();
+  webhookWorker.start();
+  retentionWorker.start();
 });
 
 // Handle graceful shutdown
@@ -11,6 +11,8 @@ const pool = new Pool({
   max: config.db.maxConnections, // Maximum number of clients in the pool
   idleTimeoutMillis: 30000, // Close idle clients after 30 seconds
   connectionTimeoutMillis: 2000, // Return error after 2 seconds if connection can't be established
+  // Threshold of the <<% operator, used only by the search filter to match misspelled words
+  options: `-c pg_trgm.strict_word_similarity_threshold=${config.search.typoSimilarity}`,
 });
 
 
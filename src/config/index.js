@@ -1,11 +1,37 @@
 require('dotenv').config();
 
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" value
+ * @param {string} value - Hop count, true/false, or comma-separated addresses
+ * @returns {number|boolean|string} Setting
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+};
+
+/**
+ * Parse a similarity threshold between 0 and 1
+ * @param {string} value - Threshold
+ * @param {number} fallback - Used when the value is missing, not a number or out of range
+ * @returns {number} Threshold
+ */
+const parseThreshold = (value, fallback) => {
+  const threshold = parseFloat(value);
+  return threshold >= 0 && threshold <= 1 ? threshold : fallback;
+};
+
 const config = {
   // Server configuration
   server: {
     port: parseInt(process.env.PORT, 10) || 3000,
     host: process.env.HOST || 'localhost',
     env: process.env.NODE_ENV || 'development',
+    // Express "trust proxy" setting: a hop count, true, or a list of proxy addresses.
+    // Set it behind a reverse proxy so rate limits see client IPs instead of the proxy's
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   },
 
   // Database configuration
@@ -18,18 +44,152 @@ const config = {
     maxConnections: parseInt(process.env.DB_MAX_CONNECTIONS, 10) || 20,
   },
 
-  // Scraper configuration
+  // Scraper configuration (shared defaults, overridable per source)
   scraper: {
-    url: process.env.SCRAPE_URL || 'https://www.facebook.com/marketplace/manila/cars?minPrice=350000&exact=false',
     headless: process.env.SCRAPE_HEADLESS === 'true',
     timeout: parseInt(process.env.SCRAPE_TIMEOUT, 10) || 30000,
     maxListings: parseInt(process.env.MAX_LISTINGS_PER_SCRAPE, 10) || 50,
+
+    // live, record (save HTML snapshots) or replay (scrape saved snapshots offline)
+    mode: process.env.SCRAPE_MODE || 'live',
+    snapshotDir: process.env.SCRAPE_SNAPSHOT_DIR || './snapshots',
+
+    // Optional second pass that visits each listing's detail page
+    enrichDetails: process.env.SCRAPE_DETAILS_ENABLED === 'true',
+    detailConcurrency: parseInt(process.env.SCRAPE_DETAILS_CONCURRENCY, 10) || 3,
+    detailTimeout: parseInt(process.env.SCRAPE_DETAILS_TIMEOUT, 10) || 20000,
+    detailRefreshHours: parseInt(process.env.SCRAPE_DETAILS_REFRESH_HOURS, 10) || 24,
+
+    // Per-source configuration, keyed by the scraper's source name
+    sources: {
+      facebook: {
+        enabled: process.env.SCRAPE_FACEBOOK_ENABLED !== 'false',
+        url: process.env.SCRAPE_URL || 'https://www.facebook.com/marketplace/manila/cars?minPrice=350000&exact=false',
+        defaultLocation: 'Manila',
+      },
+    },
+  },
+
+  // Scrape job queue configuration
+  jobs: {
+    pollIntervalMs: parseInt(process.env.SCRAPE_JOB_POLL_INTERVAL_MS, 10) || 5000,
+    staleAfterMs: parseInt(process.env.SCRAPE_JOB_STALE_AFTER_MS, 10) || 120000,
+  },
+
+  // Recurring scrape schedule (seeds the stored schedule on first start)
+  schedule: {
+    cron: process.env.SCRAPE_SCHEDULE || null,
+    timezone: process.env.SCRAPE_SCHEDULE_TIMEZONE || 'Asia/Manila',
+    jitterMs: parseInt(process.env.SCRAPE_SCHEDULE_JITTER_MS, 10) || 0,
+  },
+
+  // Listing search
+  search: {
+    // Smallest trigram similarity (0-1) between a search word and a title word
+    // for a typo match; a 4-letter word with one wrong letter scores 0.25.
+    // It is passed to every database connection, so an invalid value falls back
+    typoSimilarity: parseThreshold(process.env.SEARCH_TYPO_SIMILARITY, 0.25),
+  },
+
+  // Listing expiry (0 disables a threshold)
+  expiry: {
+    afterMissedRuns: parseInt(process.env.LISTING_EXPIRE_AFTER_MISSED_RUNS ?? '3', 10) || 0,
+    afterHours: parseInt(process.env.LISTING_EXPIRE_AFTER_HOURS ?? '72', 10) || 0,
+  },
+
+  // Duplicate and repost detection
+  dedup: {
+    // Largest price difference between duplicates, as a fraction of the price
+    priceTolerance: parseFloat(process.env.DEDUP_PRICE_TOLERANCE ?? '0.05'),
+    // Smallest trigram similarity (0-1) of normalized titles
+    titleSimilarity: parseFloat(process.env.DEDUP_TITLE_SIMILARITY ?? '0.6'),
+    // Largest number of differing bits between image hashes (of 64)
+    imageDistance: parseInt(process.env.DEDUP_IMAGE_DISTANCE ?? '8', 10),
+    // Download listing images to hash them (false matches on title and location only)
+    hashImages: process.env.DEDUP_HASH_IMAGES !== 'false',
+    imageTimeoutMs: parseInt(process.env.DEDUP_IMAGE_TIMEOUT_MS, 10) || 10000,
+  },
+
+  // Listing image archive
+  images: {
+    // Copy listing images to storage after each scrape (false leaves only the image URLs)
+    archive: process.env.IMAGE_ARCHIVE_ENABLED !== 'false',
+    storage: process.env.IMAGE_STORAGE || 'local',
+    localDir: process.env.IMAGE_STORAGE_DIR || './data/images',
+    downloadTimeoutMs: parseInt(process.env.IMAGE_DOWNLOAD_TIMEOUT_MS, 10) || 15000,
+    maxBytes: parseInt(process.env.IMAGE_MAX_BYTES, 10) || 10 * 1024 * 1024,
+    // Downloads tried per image before it is marked failed
+    maxAttempts: parseInt(process.env.IMAGE_ARCHIVE_MAX_ATTEMPTS, 10) || 3,
+  },
+
+  // Market value estimates: comparables are live listings of the same make and
+  // model within yearBand years and mileageBandKm km of a listing
+  valuation: {
+    yearBand: parseInt(process.env.VALUATION_YEAR_BAND ?? '1', 10),
+    mileageBandKm: parseInt(process.env.VALUATION_MILEAGE_BAND_KM, 10) || 30000,
+    // Fewest comparables a market price is estimated from
+    minComparables: parseInt(process.env.VALUATION_MIN_COMPARABLES, 10) || 5,
+  },
+
+  // Deleted listing retention
+  retention: {
+    // Days a deleted listing is kept before the retention job removes it (0 keeps them)
+    deletedListingDays: parseInt(process.env.LISTING_RETENTION_DAYS ?? '90', 10) || 0,
+    // archive (copy to car_listings_archive first) or purge
+    mode: process.env.LISTING_RETENTION_MODE || 'archive',
+    intervalMs: parseInt(process.env.LISTING_RETENTION_INTERVAL_MS, 10) || 3600000,
+    batchSize: parseInt(process.env.LISTING_RETENTION_BATCH_SIZE, 10) || 500,
+  },
+
+  // Listing facets (GET /api/listings/facets)
+  facets: {
+    // PHP price bucket edges; each facet bucket runs from one edge up to the next
+    priceBuckets: (process.env.FACET_PRICE_BUCKETS || '250000,500000,750000,1000000,1500000,2000000,3000000')
+      .split(',')
+      .map(edge => parseFloat(edge))
+      .filter(edge => !isNaN(edge))
+      .sort((a, b) => a - b),
+    valueLimit: parseInt(process.env.FACET_VALUE_LIMIT, 10) || 20,
+  },
+
+  // Listing imports (POST /api/listings/import)
+  imports: {
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000,
+    // Source recorded on imported listings unless the request names one
+    defaultSource: process.env.IMPORT_DEFAULT_SOURCE || 'import',
+  },
+
+  // Outbound webhooks
+  webhooks: {
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 2000,
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 10,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // Attempts before a delivery is dead-lettered; retries back off exponentially
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000,
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 3600000,
+    staleAfterMs: parseInt(process.env.WEBHOOK_STALE_AFTER_MS, 10) || 120000,
+  },
+
+  // Authentication (API keys, see /api/admin/api-keys)
+  auth: {
+    // Let requests without a key use the read-only endpoints
+    publicReads: process.env.AUTH_PUBLIC_READS !== 'false',
   },
 
   // API configuration
   api: {
     rateLimitWindowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS, 10) || 900000,
     rateLimitMaxRequests: parseInt(process.env.API_RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+    // Per IP address, whatever the key; counted before the key is checked
+    ipRateLimitMaxRequests: parseInt(process.env.API_IP_RATE_LIMIT_MAX_REQUESTS, 10) || 1000,
+
+    // Stricter limits for expensive routes, counted separately over the same window
+    scrapeRateLimitMaxRequests: parseInt(process.env.API_SCRAPE_RATE_LIMIT_MAX_REQUESTS, 10) || 10,
+    exportRateLimitMaxRequests: parseInt(process.env.API_EXPORT_RATE_LIMIT_MAX_REQUESTS, 10) || 10,
+
+    // memory (per process) or postgres (shared by every instance)
+    rateLimitStore: process.env.API_RATE_LIMIT_STORE || 'memory',
   },
 
   // Logging configuration
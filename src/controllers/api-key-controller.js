@@ -0,0 +1,54 @@
+const ApiKeyService = require('../services/api-key-service');
+
+/**
+ * API Key Controller
+ * Handles HTTP requests for issuing and revoking API keys
+ */
+
+class ApiKeyController {
+  /**
+   * GET /api/admin/api-keys
+   * List API keys
+   */
+  static async listKeys(req, res, next) {
+    try {
+      const result = await ApiKeyService.listKeys(req.query);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/api-keys
+   * Issue an API key
+   */
+  static async createKey(req, res, next) {
+    try {
+      const { name, role } = req.body;
+      const result = await ApiKeyService.createKey({ name, role });
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/api-keys/:id
+   * Revoke an API key
+   */
+  static async revokeKey(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await ApiKeyService.revokeKey(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ApiKeyController;
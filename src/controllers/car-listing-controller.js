@@ -1,4 +1,10 @@
 const CarListingService = require('../services/car-listing-service');
+const ListingExportService = require('../services/listing-export-service');
+const ListingImportService = require('../services/listing-import-service');
+const ListingDuplicateService = require('../services/listing-duplicate-service');
+const ListingImageService = require('../services/listing-image-service');
+const ListingValuationService = require('../services/listing-valuation-service');
+const { pipeline } = require('stream');
 const logger = require('../utils/logger');
 
 /**
@@ -7,6 +13,17 @@ const logger = require('../utils/logger');
  * Follows MVC pattern
  */
 
+/**
+ * Who is making a change, for the listing audit log
+ * @param {Object} req - Express request
+ * @returns {Object} { actor, apiKeyId, requestId }
+ */
+const auditContext = req => ({
+  actor: req.apiKey?.name ?? null,
+  apiKeyId: req.apiKey?.id ?? null,
+  requestId: req.id ?? null,
+});
+
 class CarListingController {
   /**
    * GET /api/listings
@@ -38,6 +55,20 @@ class CarListingController {
     }
   }
 
+  /**
+   * POST /api/listings
+   * Create a listing by hand
+   */
+  static async createListing(req, res, next) {
+    try {
+      const result = await CarListingService.createListing(req.body);
+      
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * PUT /api/listings/:id
    * Update a listing
@@ -47,7 +78,7 @@ class CarListingController {
       const { id } = req.params;
       const updates = req.body;
       
-      const result = await CarListingService.updateListing(parseInt(id, 10), updates);
+      const result = await CarListingService.updateListing(parseInt(id, 10), updates, auditContext(req));
       
       res.status(200).json(result);
     } catch (error) {
@@ -62,7 +93,174 @@ class CarListingController {
   static async deleteListing(req, res, next) {
     try {
       const { id } = req.params;
-      const result = await CarListingService.deleteListing(parseInt(id, 10));
+      const result = await CarListingService.deleteListing(parseInt(id, 10), auditContext(req));
+      
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/listings/:id/restore
+   * Restore a deleted listing
+   */
+  static async restoreListing(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await CarListingService.restoreListing(parseInt(id, 10), auditContext(req));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/listings/deleted
+   * Get deleted listings
+   */
+  static async getDeletedListings(req, res, next) {
+    try {
+      const result = await CarListingService.getDeletedListings(req.query);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/listings/:id?hard=true
+   * Permanently delete a listing
+   */
+  static async purgeListing(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await CarListingService.purgeListing(parseInt(id, 10), auditContext(req));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/listings/:id/duplicates
+   * Get the duplicate group of a listing
+   */
+  static async getDuplicates(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await ListingDuplicateService.getDuplicates(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/listings/:id/valuation
+   * Get the estimated market price of a listing and the comparables used
+   */
+  static async getValuation(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await ListingValuationService.getValuation(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/listings/:id/images
+   * Get the archived images of a listing
+   */
+  static async getImages(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await ListingImageService.getImages(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/listings/:id/images/:size
+   * Send an archived listing image (?position=n for detail page photos)
+   */
+  static async getImage(req, res, next) {
+    try {
+      const { id, size } = req.params;
+      const position = parseInt(req.query.position, 10) || 0;
+      const image = await ListingImageService.getImage(parseInt(id, 10), size, position);
+
+      // Archived files never change in place; a new download gets a new ETag
+      res.set({
+        'Content-Type': image.contentType,
+        'Cache-Control': 'private, max-age=86400',
+        ETag: image.etag,
+      });
+
+      if (req.fresh) {
+        image.stream.destroy();
+        res.status(304).end();
+        return;
+      }
+
+      res.status(200);
+      pipeline(image.stream, res, (error) => {
+        if (error) {
+          logger.warn('Failed to send listing image', { id, size, position, error: error.message });
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/listings/:id/audit
+   * Get the audit trail of a listing
+   */
+  static async getAuditLog(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await CarListingService.getAuditLog(parseInt(id, 10), req.query);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/listings/:id/price-history
+   * Get the price timeline of a listing
+   */
+  static async getPriceHistory(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await CarListingService.getPriceHistory(parseInt(id, 10));
+      
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/listings/facets
+   * Get counts per year, location, price range, make and currency
+   */
+  static async getFacets(req, res, next) {
+    try {
+      const result = await CarListingService.getFacets(req.query);
       
       res.status(200).json(result);
     } catch (error) {
@@ -71,14 +269,37 @@ class CarListingController {
   }
 
   /**
-   * POST /api/scrape
-   * Trigger the scraping process
+   * GET /api/listings/export
+   * Download the listings matching the filters as CSV, NDJSON or XLSX
+   */
+  static async exportListings(req, res, next) {
+    try {
+      const file = await ListingExportService.exportListings(req.query);
+
+      res.status(200).set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`,
+        'Cache-Control': 'no-store',
+      });
+
+      await file.write(res);
+    } catch (error) {
+      // Once the file has started, the only way left to signal a failure is to cut it short
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/listings/import
+   * Import listings from a CSV or JSON file sent as the request body
    */
-  static async triggerScraping(req, res, next) {
+  static async importListings(req, res, next) {
     try {
-      // Start scraping asynchronously
-      // In production, this should use a job queue (Bull, Bee-Queue, etc.)
-      const result = await CarListingService.triggerScraping();
+      const result = await ListingImportService.importListings(req.body, req.query);
       
       res.status(200).json(result);
     } catch (error) {
@@ -92,7 +313,7 @@ class CarListingController {
    */
   static async getStatistics(req, res, next) {
     try {
-      const result = await CarListingService.getStatistics();
+      const result = await CarListingService.getStatistics(req.query);
       
       res.status(200).json(result);
     } catch (error) {
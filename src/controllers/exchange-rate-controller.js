@@ -0,0 +1,39 @@
+const ExchangeRateService = require('../services/exchange-rate-service');
+
+/**
+ * Exchange Rate Controller
+ * Handles HTTP requests for the exchange rates used to normalize prices
+ */
+
+class ExchangeRateController {
+  /**
+   * GET /api/exchange-rates
+   * List exchange rates
+   */
+  static async listRates(req, res, next) {
+    try {
+      const result = await ExchangeRateService.listRates();
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/exchange-rates/:code
+   * Create or change the rate of a currency
+   */
+  static async setRate(req, res, next) {
+    try {
+      const { code } = req.params;
+      const result = await ExchangeRateService.setRate(code, parseFloat(req.body.rate));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ExchangeRateController;
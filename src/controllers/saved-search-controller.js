@@ -0,0 +1,116 @@
+const SavedSearchService = require('../services/saved-search-service');
+
+/**
+ * Saved Search Controller
+ * Handles HTTP requests for saved searches and their alerts
+ */
+
+class SavedSearchController {
+  /**
+   * GET /api/saved-searches
+   * List saved searches
+   */
+  static async listSavedSearches(req, res, next) {
+    try {
+      const result = await SavedSearchService.listSavedSearches();
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/saved-searches
+   * Save a filter set under a name
+   */
+  static async createSavedSearch(req, res, next) {
+    try {
+      const { name, filters } = req.body;
+      const result = await SavedSearchService.createSavedSearch({ name, filters });
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/saved-searches/:id
+   * Get a saved search
+   */
+  static async getSavedSearch(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await SavedSearchService.getSavedSearch(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/saved-searches/:id
+   * Rename a saved search and/or replace its filters
+   */
+  static async updateSavedSearch(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name, filters } = req.body;
+      const result = await SavedSearchService.updateSavedSearch(parseInt(id, 10), { name, filters });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/saved-searches/:id
+   * Delete a saved search and its alerts
+   */
+  static async deleteSavedSearch(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await SavedSearchService.deleteSavedSearch(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/saved-searches/:id/alerts
+   * List the alerts of a saved search
+   */
+  static async getAlerts(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await SavedSearchService.getAlerts(parseInt(id, 10), req.query);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/saved-searches/:id/alerts
+   * Mark alerts read or unread
+   */
+  static async markAlerts(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { ids, read } = req.body || {};
+      const result = await SavedSearchService.markAlerts(parseInt(id, 10), { ids, read });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SavedSearchController;
@@ -0,0 +1,69 @@
+const ScrapeJobService = require('../services/scrape-job-service');
+
+/**
+ * Scrape Job Controller
+ * Handles HTTP requests for the scrape job queue
+ */
+
+class ScrapeJobController {
+  /**
+   * POST /api/scrape
+   * Queue a scraping job for one source, or all enabled sources
+   */
+  static async triggerScraping(req, res, next) {
+    try {
+      const { source } = req.body || {};
+      const result = await ScrapeJobService.enqueueScrape(source ? { source } : {});
+
+      res.status(202).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/scrape/jobs
+   * List scraping jobs
+   */
+  static async listJobs(req, res, next) {
+    try {
+      const result = await ScrapeJobService.listJobs(req.query);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/scrape/jobs/:id
+   * Get the status of a scraping job
+   */
+  static async getJob(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await ScrapeJobService.getJob(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/scrape/jobs/:id/cancel
+   * Cancel a queued or running scraping job
+   */
+  static async cancelJob(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await ScrapeJobService.cancelJob(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ScrapeJobController;
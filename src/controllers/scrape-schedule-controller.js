@@ -0,0 +1,38 @@
+const ScrapeScheduleService = require('../services/scrape-schedule-service');
+
+/**
+ * Scrape Schedule Controller
+ * Handles HTTP requests for the recurring scrape schedule
+ */
+
+class ScrapeScheduleController {
+  /**
+   * GET /api/scrape/schedule
+   * Get the recurring scrape schedule
+   */
+  static async getSchedule(req, res, next) {
+    try {
+      const result = await ScrapeScheduleService.getSchedule();
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/scrape/schedule
+   * Change, pause or resume the recurring scrape schedule
+   */
+  static async updateSchedule(req, res, next) {
+    try {
+      const result = await ScrapeScheduleService.updateSchedule(req.body);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ScrapeScheduleController;
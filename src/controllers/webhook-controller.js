@@ -0,0 +1,132 @@
+const WebhookService = require('../services/webhook-service');
+
+/**
+ * Webhook Controller
+ * Handles HTTP requests for webhook subscriptions and their delivery log
+ */
+
+class WebhookController {
+  /**
+   * GET /api/webhooks
+   * List webhook subscriptions
+   */
+  static async listSubscriptions(req, res, next) {
+    try {
+      const result = await WebhookService.listSubscriptions();
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/webhooks
+   * Subscribe a URL to events
+   */
+  static async createSubscription(req, res, next) {
+    try {
+      const { url, events, secret, description, isActive } = req.body;
+      const result = await WebhookService.createSubscription({ url, events, secret, description, isActive });
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/webhooks/:id
+   * Get a webhook subscription
+   */
+  static async getSubscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await WebhookService.getSubscription(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/webhooks/:id
+   * Update a webhook subscription
+   */
+  static async updateSubscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { url, events, secret, description, isActive } = req.body;
+      const result = await WebhookService.updateSubscription(parseInt(id, 10), {
+        url, events, secret, description, isActive,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/:id
+   * Delete a webhook subscription
+   */
+  static async deleteSubscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await WebhookService.deleteSubscription(parseInt(id, 10));
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/webhooks/:id/test
+   * Queue a webhook.ping event for the subscription
+   */
+  static async sendTestEvent(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await WebhookService.sendTestEvent(parseInt(id, 10));
+
+      res.status(202).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/webhooks/:id/deliveries
+   * Get the delivery log of a subscription
+   */
+  static async listDeliveries(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await WebhookService.listDeliveries(parseInt(id, 10), req.query);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/webhooks/:id/deliveries/:deliveryId/retry
+   * Queue a dead or delivered delivery again
+   */
+  static async retryDelivery(req, res, next) {
+    try {
+      const { id, deliveryId } = req.params;
+      const result = await WebhookService.retryDelivery(parseInt(id, 10), parseInt(deliveryId, 10));
+
+      res.status(202).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = WebhookController;
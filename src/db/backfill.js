@@ -0,0 +1,261 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const CarListingModel = require('../models/car-listing');
+const ListingDuplicateService = require('../services/listing-duplicate-service');
+const ListingImageService = require('../services/listing-image-service');
+const ListingValuationService = require('../services/listing-valuation-service');
+const { parseTitle } = require('../normalizers/title-parser');
+const { parseMileage } = require('../normalizers/mileage-parser');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Fill structured vehicle fields parsed from the title
+ * @param {Object} options - Backfill options
+ * @param {boolean} options.all - Re-parse every listing, e.g. after the dictionary changed
+ * @returns {Promise<number>} Number of listings updated
+ */
+async function backfillVehicleFields({ all = false } = {}) {
+  let lastId = 0;
+  let updated = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, title FROM car_listings
+       WHERE id > $1 AND ($2 OR title_confidence IS NULL)
+       ORDER BY id
+       LIMIT $3`,
+      [lastId, all, BATCH_SIZE]
+    );
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const parsed = parseTitle(row.title);
+
+      await pool.query(
+        `UPDATE car_listings
+         SET make = $2, model = $3, variant = $4,
+             transmission = COALESCE(transmission, $5),
+             engine_size = $6, title_confidence = $7
+         WHERE id = $1`,
+        [
+          row.id, parsed.make, parsed.model, parsed.variant,
+          parsed.transmission, parsed.engine_size, parsed.title_confidence,
+        ]
+      );
+    }
+
+    updated += rows.length;
+    lastId = rows[rows.length - 1].id;
+    logger.info(`Backfilled vehicle fields for ${updated} listings`);
+  }
+
+  return updated;
+}
+
+/**
+ * Fill mileage_km from the free-text mileage column
+ * @param {Object} options - Backfill options
+ * @param {boolean} options.all - Re-parse every listing with a mileage
+ * @returns {Promise<number>} Number of listings updated
+ */
+async function backfillMileage({ all = false } = {}) {
+  let lastId = 0;
+  let updated = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, mileage FROM car_listings
+       WHERE id > $1 AND mileage IS NOT NULL AND ($2 OR mileage_km IS NULL)
+       ORDER BY id
+       LIMIT $3`,
+      [lastId, all, BATCH_SIZE]
+    );
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await pool.query(
+        'UPDATE car_listings SET mileage_km = $2 WHERE id = $1',
+        [row.id, parseMileage(row.mileage)]
+      );
+    }
+
+    updated += rows.length;
+    lastId = rows[rows.length - 1].id;
+    logger.info(`Backfilled mileage for ${updated} listings`);
+  }
+
+  return updated;
+}
+
+/**
+ * Archive the images of live listings, e.g. listings stored before image
+ * archiving or images that failed for good and should be tried again
+ * @param {Object} options - Backfill options
+ * @param {boolean} options.all - Retry failed images too
+ * @returns {Promise<number>} Number of images archived
+ */
+async function backfillImages({ all = false } = {}) {
+  if (all) {
+    await pool.query(
+      "UPDATE listing_images SET status = 'pending', attempts = 0 WHERE status = 'failed'"
+    );
+  }
+
+  let lastId = 0;
+  let processed = 0;
+  let archived = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, image_url FROM car_listings
+       WHERE id > $1 AND is_active = TRUE AND expired_at IS NULL
+       ORDER BY id
+       LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+
+    if (rows.length === 0) break;
+
+    archived += await ListingImageService.archiveListings(rows);
+
+    processed += rows.length;
+    lastId = rows[rows.length - 1].id;
+    logger.info(`Checked the images of ${processed} listings`);
+  }
+
+  return archived;
+}
+
+/**
+ * Hash listing images (archived images are hashed by backfillImages) and
+ * group duplicates among live listings, e.g. for listings stored before
+ * duplicate detection or after changing DEDUP_* settings
+ * @param {Object} options - Backfill options
+ * @param {boolean} options.all - Ungroup every listing first, so groups that
+ *   no longer match are split up
+ * @returns {Promise<number>} Number of listings with duplicates
+ */
+async function backfillDuplicates({ all = false } = {}) {
+  if (all) {
+    await CarListingModel.clearDuplicateGroups();
+  }
+
+  let lastId = 0;
+  let processed = 0;
+  let grouped = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id FROM car_listings
+       WHERE id > $1 AND is_active = TRUE AND expired_at IS NULL
+       ORDER BY id
+       LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+
+    if (rows.length === 0) break;
+
+    grouped += await ListingDuplicateService.processListings(rows);
+
+    processed += rows.length;
+    lastId = rows[rows.length - 1].id;
+    logger.info(`Checked ${processed} listings for duplicates`);
+  }
+
+  return grouped;
+}
+
+/**
+ * Estimate the market price and deal score of every live listing, e.g. after
+ * migrating or changing VALUATION_* settings. Listings are otherwise only
+ * valued when a scrape, import or edit stores them or one of their comparables.
+ * Every listing is valued here, so the comparables are not revalued per batch
+ * @returns {Promise<number>} Number of listings with a market price
+ */
+async function backfillValuations() {
+  let lastId = 0;
+  let processed = 0;
+  let valued = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id FROM car_listings
+       WHERE id > $1 AND is_active = TRUE AND expired_at IS NULL
+       ORDER BY id
+       LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+
+    if (rows.length === 0) break;
+
+    for (const { id } of rows) {
+      if (await ListingValuationService.valueListing(id)) {
+        valued++;
+      }
+    }
+
+    processed += rows.length;
+    lastId = rows[rows.length - 1].id;
+    logger.info(`Valued ${processed} listings`);
+  }
+
+  return valued;
+}
+
+async function runBackfill(options) {
+  try {
+    logger.info('Starting listing backfill...');
+
+    const vehicleCount = await backfillVehicleFields(options);
+    logger.info(`✓ Vehicle fields: ${vehicleCount} listings`);
+
+    const mileageCount = await backfillMileage(options);
+    logger.info(`✓ Mileage: ${mileageCount} listings`);
+
+    // Download listing images, so only on request. Archived images are what
+    // duplicate detection hashes, so they come first
+    if (options.images) {
+      const imageCount = await backfillImages(options);
+      logger.info(`✓ Images: ${imageCount} archived`);
+    }
+
+    if (options.duplicates) {
+      const duplicateCount = await backfillDuplicates(options);
+      logger.info(`✓ Duplicates: ${duplicateCount} listings have duplicates`);
+    }
+
+    // Comparables depend on the make/model fields and duplicate groups filled above
+    const valuedCount = await backfillValuations();
+    logger.info(`✓ Valuations: ${valuedCount} listings have a market price`);
+
+    logger.info('Backfill completed successfully');
+  } catch (error) {
+    logger.error('Backfill failed', error);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Usage: npm run backfill [-- --all] [--images] [--duplicates]
+if (require.main === module) {
+  runBackfill({
+    all: process.argv.includes('--all'),
+    images: process.argv.includes('--images'),
+    duplicates: process.argv.includes('--duplicates'),
+  })
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = {
+  runBackfill,
+  backfillVehicleFields,
+  backfillMileage,
+  backfillImages,
+  backfillDuplicates,
+  backfillValuations,
+};
@@ -0,0 +1,41 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const ApiKeyService = require('../services/api-key-service');
+
+/**
+ * Issue an API key from the command line, e.g. the first admin key, which
+ * cannot be created through the API without an admin key
+ * @param {Object} options - { name, role }
+ * @returns {Promise<string>} The new key
+ */
+async function createApiKey({ name, role }) {
+  try {
+    const result = await ApiKeyService.createKey({ name, role });
+    return result.data.key;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Usage: npm run create-api-key -- <name> [reader|editor|admin]
+if (require.main === module) {
+  const [name, role = 'admin'] = process.argv.slice(2);
+
+  if (!name || !['reader', 'editor', 'admin'].includes(role)) {
+    logger.error('Usage: npm run create-api-key -- <name> [reader|editor|admin]');
+    process.exit(1);
+  }
+
+  createApiKey({ name, role })
+    .then((key) => {
+      // The key is printed once and never stored in plain text
+      process.stdout.write(`${key}\n`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Failed to create API key', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createApiKey };
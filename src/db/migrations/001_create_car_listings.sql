@@ -48,6 +48,7 @@ END;
 $$ language 'plpgsql';
 
 -- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_car_listings_updated_at ON car_listings;
 CREATE TRIGGER update_car_listings_updated_at 
     BEFORE UPDATE ON car_listings
     FOR EACH ROW
@@ -0,0 +1,23 @@
+-- This table keeps every price a listing has been seen at, so re-scrapes don't lose price drops
+
+CREATE TABLE IF NOT EXISTS listing_price_history (
+    id SERIAL PRIMARY KEY,
+    car_listing_id INTEGER NOT NULL REFERENCES car_listings(id) ON DELETE CASCADE,
+    price NUMERIC(12, 2) NOT NULL,
+    currency VARCHAR(10) DEFAULT 'PHP',
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_price_history_listing
+    ON listing_price_history(car_listing_id, recorded_at);
+
+-- Seed the history with the current price of listings scraped before this table existed
+INSERT INTO listing_price_history (car_listing_id, price, currency, recorded_at)
+SELECT c.id, c.price, c.currency, COALESCE(c.last_scraped_at, c.created_at)
+FROM car_listings c
+WHERE NOT EXISTS (
+    SELECT 1 FROM listing_price_history h WHERE h.car_listing_id = c.id
+);
+
+COMMENT ON TABLE listing_price_history IS 'One row per distinct price/currency observed for a listing';
+COMMENT ON COLUMN listing_price_history.car_listing_id IS 'References car_listings.id (not the marketplace listing_id)';
@@ -0,0 +1,40 @@
+-- This table is the queue for scrape runs requested through the API
+
+CREATE TABLE IF NOT EXISTS scrape_jobs (
+    id SERIAL PRIMARY KEY,
+
+    -- Lifecycle: queued -> running -> succeeded | failed | cancelled
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+    -- Outcome
+    listings_stored INTEGER,
+    error TEXT,
+
+    -- Cancellation and liveness of a running job
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    heartbeat_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps for tracking
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_created_at ON scrape_jobs(created_at DESC);
+
+-- At most one job may be running at a time, across all app instances
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scrape_jobs_single_running
+    ON scrape_jobs((TRUE)) WHERE status = 'running';
+
+DROP TRIGGER IF EXISTS update_scrape_jobs_updated_at ON scrape_jobs;
+CREATE TRIGGER update_scrape_jobs_updated_at
+    BEFORE UPDATE ON scrape_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE scrape_jobs IS 'Queue of scrape runs, processed one at a time by the scrape worker';
+COMMENT ON COLUMN scrape_jobs.heartbeat_at IS 'Refreshed by the worker while running - a stale value means the worker died';
@@ -0,0 +1,34 @@
+-- This table holds the recurring scrape schedule so runtime changes survive restarts
+
+CREATE TABLE IF NOT EXISTS scrape_schedule (
+    -- Single-row table: there is one schedule for the whole service
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+
+    cron_expression VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    jitter_ms INTEGER NOT NULL DEFAULT 0 CHECK (jitter_ms >= 0),
+    is_paused BOOLEAN NOT NULL DEFAULT FALSE,
+
+    -- Next tick (cron time plus jitter); NULL while paused
+    next_run_at TIMESTAMP WITH TIME ZONE,
+
+    -- Outcome of previous ticks
+    last_triggered_at TIMESTAMP WITH TIME ZONE,
+    last_job_id INTEGER REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+    last_skipped_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_scrape_schedule_updated_at ON scrape_schedule;
+CREATE TRIGGER update_scrape_schedule_updated_at
+    BEFORE UPDATE ON scrape_schedule
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Record what queued each job (API call or scheduler)
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS triggered_by VARCHAR(20) NOT NULL DEFAULT 'api';
+
+COMMENT ON TABLE scrape_schedule IS 'Recurring scrape schedule, seeded from SCRAPE_SCHEDULE and editable at runtime';
+COMMENT ON COLUMN scrape_schedule.next_run_at IS 'Claimed atomically by the scheduler so only one instance queues each tick';
@@ -0,0 +1,14 @@
+-- Listings that stop showing up in scrapes are expired instead of staying live forever
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS missed_scrape_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS expiry_reason VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_expired_at ON car_listings(expired_at);
+
+-- Number of listings each scrape job expired
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS listings_expired INTEGER;
+
+COMMENT ON COLUMN car_listings.missed_scrape_count IS 'Consecutive scrape runs that did not see this listing - reset on every upsert';
+COMMENT ON COLUMN car_listings.expired_at IS 'Set when the listing disappeared from the marketplace - NULL while live';
+COMMENT ON COLUMN car_listings.expiry_reason IS 'Why the listing was expired';
@@ -0,0 +1,8 @@
+-- Listings can come from more than one marketplace
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS source VARCHAR(50) NOT NULL DEFAULT 'facebook';
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_source ON car_listings(source);
+
+COMMENT ON TABLE car_listings IS 'Stores car listing data scraped from online marketplaces';
+COMMENT ON COLUMN car_listings.source IS 'Scraper that produced the listing (see src/scrapers/registry.js)';
@@ -0,0 +1,12 @@
+-- Fields filled by the optional detail-page enrichment pass
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS transmission VARCHAR(50);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS fuel_type VARCHAR(50);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS condition VARCHAR(100);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS posted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS detail_scraped_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_posted_at ON car_listings(posted_at DESC);
+
+COMMENT ON COLUMN car_listings.posted_at IS 'When the seller posted the listing, derived from the detail page';
+COMMENT ON COLUMN car_listings.detail_scraped_at IS 'Last time the listing detail page was scraped - NULL if never enriched';
@@ -0,0 +1,14 @@
+-- Structured vehicle fields parsed from listing titles
+-- transmission was added in 007; the title parser fills it when the detail page has not
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS make VARCHAR(100);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS variant VARCHAR(100);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS engine_size NUMERIC(3, 1);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS title_confidence NUMERIC(3, 2);
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_make_model ON car_listings(LOWER(make), LOWER(model));
+
+COMMENT ON COLUMN car_listings.make IS 'Canonical make parsed from the title (see src/normalizers/vehicle-dictionary.js)';
+COMMENT ON COLUMN car_listings.engine_size IS 'Engine displacement in liters parsed from the title';
+COMMENT ON COLUMN car_listings.title_confidence IS 'Title parser confidence from 0 (nothing recognized) to 1';
@@ -0,0 +1,8 @@
+-- Numeric mileage parsed from the free-text mileage column
+-- Existing rows are filled by `npm run backfill`
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS mileage_km INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_mileage_km ON car_listings(mileage_km);
+
+COMMENT ON COLUMN car_listings.mileage_km IS 'Odometer reading in kilometers (miles converted) - NULL when mileage is missing or unparseable';
@@ -0,0 +1,52 @@
+-- Exchange rates to the base currency (PHP) and the normalized price on each listing
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency_code VARCHAR(10) PRIMARY KEY,
+    -- PHP per one unit of the currency
+    rate_to_php NUMERIC(18, 8) NOT NULL CHECK (rate_to_php > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_exchange_rates_updated_at ON exchange_rates;
+CREATE TRIGGER update_exchange_rates_updated_at
+    BEFORE UPDATE ON exchange_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO exchange_rates (currency_code, rate_to_php)
+VALUES ('PHP', 1)
+ON CONFLICT (currency_code) DO NOTHING;
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS price_php NUMERIC(14, 2);
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_price_php ON car_listings(price_php);
+
+-- Keep price_php in step with price/currency on every write path
+CREATE OR REPLACE FUNCTION set_listing_price_php()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.price_php = (
+        SELECT ROUND(NEW.price * rate_to_php, 2)
+        FROM exchange_rates
+        WHERE currency_code = NEW.currency
+    );
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_car_listings_price_php ON car_listings;
+CREATE TRIGGER set_car_listings_price_php
+    BEFORE INSERT OR UPDATE OF price, currency ON car_listings
+    FOR EACH ROW
+    EXECUTE FUNCTION set_listing_price_php();
+
+-- Backfill listings stored before this migration
+UPDATE car_listings c
+SET price_php = ROUND(c.price * r.rate_to_php, 2)
+FROM exchange_rates r
+WHERE r.currency_code = c.currency
+  AND c.price_php IS NULL;
+
+COMMENT ON TABLE exchange_rates IS 'Rates used to normalize listing prices to PHP, managed through /api/exchange-rates';
+COMMENT ON COLUMN car_listings.price_php IS 'Price converted to PHP - NULL while no rate exists for the listing currency';
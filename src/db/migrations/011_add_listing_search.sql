@@ -0,0 +1,20 @@
+-- Full-text search over listings, with trigram matching for typos
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Title and parsed vehicle fields weigh most, then location and specs, then the description
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english'::regconfig,
+            coalesce(title, '') || ' ' || coalesce(make, '') || ' ' || coalesce(model, '') || ' ' || coalesce(variant, '')
+        ), 'A') ||
+        setweight(to_tsvector('english'::regconfig,
+            coalesce(location, '') || ' ' || coalesce(transmission, '') || ' ' || coalesce(fuel_type, '')
+        ), 'B') ||
+        setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_search_vector ON car_listings USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_car_listings_title_trgm ON car_listings USING GIN (title gin_trgm_ops);
+
+COMMENT ON COLUMN car_listings.search_vector IS 'Generated full-text document for the search filter - not returned by the API';
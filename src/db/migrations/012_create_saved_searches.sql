@@ -0,0 +1,41 @@
+-- Named listing filter sets, and the alerts raised when a scrape finds matching listings
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    -- Any parameters GET /api/listings accepts, e.g. {"make": "Toyota", "maxPrice": 800000}
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_saved_searches_updated_at ON saved_searches;
+CREATE TRIGGER update_saved_searches_updated_at
+    BEFORE UPDATE ON saved_searches
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS saved_search_alerts (
+    id SERIAL PRIMARY KEY,
+    saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+    car_listing_id INTEGER NOT NULL REFERENCES car_listings(id) ON DELETE CASCADE,
+
+    -- new: first seen by a scrape; price_drop: re-scraped at a lower price
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('new', 'price_drop')),
+    price NUMERIC(12, 2) NOT NULL,
+    previous_price NUMERIC(12, 2),
+    currency VARCHAR(10) NOT NULL,
+
+    is_read BOOLEAN NOT NULL DEFAULT FALSE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One alert per listing, reason and price, so re-running a match never duplicates alerts
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_search_alerts_unique
+    ON saved_search_alerts(saved_search_id, car_listing_id, reason, price);
+CREATE INDEX IF NOT EXISTS idx_saved_search_alerts_search
+    ON saved_search_alerts(saved_search_id, is_read, created_at DESC);
+
+COMMENT ON TABLE saved_searches IS 'Named listing filters, matched against new and price-dropped listings after each scrape';
+COMMENT ON TABLE saved_search_alerts IS 'Listings that matched a saved search when they were new or dropped in price';
@@ -0,0 +1,25 @@
+-- API keys for authenticating requests; only a hash of each key is stored
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    -- Start of the key, shown in listings so a key can be recognized without storing it
+    key_prefix VARCHAR(20) NOT NULL,
+    -- SHA-256 hex digest of the full key
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    -- reader < editor < admin; each role can do everything the previous one can
+    role VARCHAR(20) NOT NULL CHECK (role IN ('reader', 'editor', 'admin')),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at
+    BEFORE UPDATE ON api_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE api_keys IS 'Hashed API keys and their roles, managed through /api/admin/api-keys';
+COMMENT ON COLUMN api_keys.last_used_at IS 'Refreshed at most once a minute while the key is in use';
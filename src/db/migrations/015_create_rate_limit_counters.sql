@@ -0,0 +1,15 @@
+-- Request counters for the postgres rate-limit store (API_RATE_LIMIT_STORE=postgres),
+-- shared by every instance of the service. Unlogged: counters are short-lived,
+-- so losing them in a crash only resets the current windows
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+    -- Limiter name and client, e.g. "api:key:3" or "scrape:ip:203.0.113.7"
+    key VARCHAR(255) PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at ON rate_limit_counters(reset_at);
+
+COMMENT ON TABLE rate_limit_counters IS 'Fixed-window request counters for the postgres rate-limit store';
+COMMENT ON COLUMN rate_limit_counters.reset_at IS 'End of the current window; the next request after it starts a new one';
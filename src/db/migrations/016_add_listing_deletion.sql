@@ -0,0 +1,26 @@
+-- Deleted listings can be listed, restored, and purged or archived after a retention period
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Listings deleted before this column existed: the last update is the best guess
+UPDATE car_listings SET deleted_at = updated_at WHERE is_active = FALSE AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_deleted_at ON car_listings(deleted_at) WHERE is_active = FALSE;
+
+-- Purged listings kept by LISTING_RETENTION_MODE=archive, with their price history
+CREATE TABLE IF NOT EXISTS car_listings_archive (
+    id SERIAL PRIMARY KEY,
+    listing_id INTEGER NOT NULL,
+    source_url TEXT NOT NULL,
+    listing JSONB NOT NULL,
+    price_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_archive_listing_id ON car_listings_archive(listing_id);
+CREATE INDEX IF NOT EXISTS idx_car_listings_archive_source_url ON car_listings_archive(source_url);
+
+COMMENT ON COLUMN car_listings.deleted_at IS 'Set when the listing is deleted (is_active = FALSE) - NULL while active';
+COMMENT ON TABLE car_listings_archive IS 'Deleted listings removed from car_listings by the retention job';
+COMMENT ON COLUMN car_listings_archive.listing_id IS 'ID the listing had in car_listings';
@@ -0,0 +1,23 @@
+-- Audit trail of changes made to listings through the API, and fields pinned against scraper updates
+
+CREATE TABLE IF NOT EXISTS listing_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    -- No foreign key: the trail outlives a permanently deleted listing
+    car_listing_id INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('update', 'delete', 'restore', 'hard_delete')),
+    -- Name of the API key at the time of the change; kept if the key is revoked or removed
+    actor VARCHAR(255),
+    api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+    -- { field: { before, after } } for every field that changed
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    request_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_audit_log_listing ON listing_audit_log(car_listing_id, created_at DESC, id DESC);
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS pinned_fields TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON TABLE listing_audit_log IS 'Changes made to listings through the API: edits, deletions and restores';
+COMMENT ON COLUMN listing_audit_log.request_id IS 'X-Request-Id of the request that made the change';
+COMMENT ON COLUMN car_listings.pinned_fields IS 'Manually edited fields the scraper does not overwrite';
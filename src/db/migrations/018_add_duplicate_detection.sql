@@ -0,0 +1,29 @@
+-- Duplicate and repost detection: listings that are probably the same car share a duplicate_group_id
+
+-- Title without case, punctuation, years and repost filler words, compared by trigram similarity
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS normalized_title TEXT
+    GENERATED ALWAYS AS (
+        btrim(regexp_replace(
+            regexp_replace(
+                lower(title),
+                '\m((19|20)[0-9]{2}|rush|repost|reposted|sale|for|fs|price|drop|negotiable|nego|urgent|sulit)\M',
+                ' ', 'g'
+            ),
+            '[^a-z0-9.]+', ' ', 'g'
+        ))
+    ) STORED;
+
+-- 64-bit perceptual hash of image_url, and the image it was computed from
+-- (image_phash stays NULL when that image could not be read)
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS image_phash BIGINT;
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS image_phash_url TEXT;
+
+-- ID of the oldest listing of the group; NULL for a listing without known duplicates
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS duplicate_group_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_duplicate_group_id ON car_listings(duplicate_group_id) WHERE duplicate_group_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_car_listings_normalized_title_trgm ON car_listings USING GIN (normalized_title gin_trgm_ops);
+
+COMMENT ON COLUMN car_listings.normalized_title IS 'Generated title used to match duplicates - not returned by the API';
+COMMENT ON COLUMN car_listings.image_phash IS 'DCT perceptual hash of the image; similar images differ in few bits - not returned by the API';
+COMMENT ON COLUMN car_listings.duplicate_group_id IS 'Listings that are probably the same car (e.g. reposts) share this ID';
@@ -0,0 +1,35 @@
+-- Listing images archived to image storage, with thumbnails and perceptual hashes
+
+CREATE TABLE IF NOT EXISTS listing_images (
+    id SERIAL PRIMARY KEY,
+    car_listing_id INTEGER NOT NULL REFERENCES car_listings(id) ON DELETE CASCADE,
+    -- 0 is the listing's image_url; detail page photos follow from 1
+    position INTEGER NOT NULL CHECK (position >= 0),
+    source_url TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'stored', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    -- Prefix of the stored files: <storage_key>/<size>.<extension>
+    storage_key TEXT,
+    content_type VARCHAR(50),
+    width INTEGER,
+    height INTEGER,
+    bytes INTEGER,
+    phash BIGINT,
+    archived_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (car_listing_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_images_pending ON listing_images(car_listing_id) WHERE status = 'pending';
+
+DROP TRIGGER IF EXISTS update_listing_images_updated_at ON listing_images;
+CREATE TRIGGER update_listing_images_updated_at
+    BEFORE UPDATE ON listing_images
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE listing_images IS 'Copies of listing photos, served by GET /api/listings/:id/images/:size';
+COMMENT ON COLUMN listing_images.content_type IS 'Type of the original file; thumbnails are JPEG';
+COMMENT ON COLUMN listing_images.phash IS 'DCT perceptual hash of the image, as car_listings.image_phash';
@@ -0,0 +1,19 @@
+-- Market value estimates: each listing's price compared with live listings of the same model,
+-- similar year and (when enough are known) similar mileage
+
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS market_price_php NUMERIC(14, 2);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS market_iqr_php NUMERIC(14, 2);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS percent_below_market NUMERIC(7, 2);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS deal_score NUMERIC(4, 2);
+-- model_year_mileage or model_year; NULL without enough comparables
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS valuation_basis VARCHAR(30);
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS valuation_comparables INTEGER;
+ALTER TABLE car_listings ADD COLUMN IF NOT EXISTS valued_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_car_listings_deal_score ON car_listings(deal_score) WHERE deal_score IS NOT NULL;
+
+COMMENT ON COLUMN car_listings.market_price_php IS 'Median PHP price of the comparable listings';
+COMMENT ON COLUMN car_listings.market_iqr_php IS 'Interquartile range of the comparable listing prices';
+COMMENT ON COLUMN car_listings.percent_below_market IS 'How far price_php is below market_price_php, in percent (negative above)';
+COMMENT ON COLUMN car_listings.deal_score IS 'Interquartile ranges below the market price, from -10 to 10; higher is a better deal';
+COMMENT ON COLUMN car_listings.valuation_comparables IS 'Number of comparable listings the last valuation used (or found, if too few)';
@@ -0,0 +1,87 @@
+const config = require('../config');
+const ApiKeyService = require('../services/api-key-service');
+
+/**
+ * Authentication Middleware
+ * Requests authenticate with an API key sent as "Authorization: Bearer <key>"
+ * or "X-API-Key: <key>"
+ */
+
+/**
+ * Read the API key of a request, if any
+ * @param {Object} req - Express request
+ * @returns {string|null} Key
+ */
+const readKey = (req) => {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) {
+    return header.replace(/^bearer\s+/i, '').trim();
+  }
+
+  return req.get('x-api-key') || null;
+};
+
+/**
+ * Error with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+const authError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Identify the caller: sets req.apiKey ({ id, name, role }) when a valid key
+ * is sent. Requests without a key continue anonymously; an unknown or revoked
+ * key is rejected rather than treated as anonymous
+ */
+const authenticate = async (req, res, next) => {
+  const key = readKey(req);
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const apiKey = await ApiKeyService.authenticate(key);
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(authError(401, 'Invalid or revoked API key'));
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a role for a route (reader < editor < admin)
+ * Anonymous requests pass reader routes when config.auth.publicReads is on
+ * @param {string} role - Minimum role
+ * @returns {Function} Middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.apiKey) {
+    if (role === 'reader' && config.auth.publicReads) {
+      return next();
+    }
+
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(authError(401, 'API key required'));
+  }
+
+  if (!ApiKeyService.hasRole(req.apiKey.role, role)) {
+    return next(authError(403, `This action requires the ${role} role`));
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+};
@@ -16,6 +16,7 @@ const errorHandler = (err, req, res, next) => {
     stack: err.stack,
     url: req.url,
     method: req.method,
+    requestId: req.id,
     ip: req.ip,
   });
 
@@ -0,0 +1,114 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createStore } = require('../utils/rate-limit-store');
+
+/**
+ * Rate Limiting Middleware
+ * Counts requests per client in fixed windows: per API key when the request
+ * has one (see authenticate), otherwise per IP address; ipRateLimit counts
+ * per IP address only. Responses carry
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * headers; rejected requests get 429 with Retry-After
+ */
+
+// Shared by every limiter; keys are prefixed with the limiter name
+const defaultStore = createStore(config.api.rateLimitStore);
+
+/**
+ * Identify the client a request is counted against
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+const clientKey = (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`);
+
+/**
+ * Create a rate limiter
+ * When several limiters apply to a request, the headers describe whichever
+ * has the fewest requests left
+ * @param {Object} options - Options
+ * @param {string} options.name - Limiter name; each limiter counts separately
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per client per window
+ * @param {Object} [options.store] - Counter store (default: the configured store)
+ * @param {Function} [options.skip] - Returns true for requests that are not counted
+ * @param {Function} [options.key] - Identifies the client of a request (default: API key or IP)
+ * @returns {Function} Middleware
+ */
+const createRateLimiter = ({
+  name, windowMs, max, store = defaultStore, skip = () => false, key = clientKey,
+}) => async (req, res, next) => {
+  if (skip(req)) {
+    return next();
+  }
+
+  let counter;
+  try {
+    counter = await store.increment(`${name}:${key(req)}`, windowMs);
+  } catch (error) {
+    // Don't turn a store outage into an API outage
+    logger.warn(`Rate limiter ${name} unavailable, request allowed`, { error: error.message });
+    return next();
+  }
+
+  const remaining = Math.max(0, max - counter.count);
+  const resetSeconds = Math.max(0, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+
+  const current = res.get('RateLimit-Remaining');
+  if (current === undefined || remaining < parseInt(current, 10)) {
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+    });
+  }
+
+  if (counter.count > max) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      message: `Too many requests, try again in ${resetSeconds} seconds`,
+    });
+  }
+
+  next();
+};
+
+// Every API request, per IP address. Runs before authentication, so requests
+// with invalid keys are limited too and cannot hammer the key lookup
+const ipRateLimit = createRateLimiter({
+  name: 'ip',
+  windowMs: config.api.rateLimitWindowMs,
+  max: config.api.ipRateLimitMaxRequests,
+  key: req => `ip:${req.ip}`,
+});
+
+// Every API request except the health check
+const apiRateLimit = createRateLimiter({
+  name: 'api',
+  windowMs: config.api.rateLimitWindowMs,
+  max: config.api.rateLimitMaxRequests,
+  skip: req => req.path === '/health',
+});
+
+// Queueing scrapes, on top of apiRateLimit
+const scrapeRateLimit = createRateLimiter({
+  name: 'scrape',
+  windowMs: config.api.rateLimitWindowMs,
+  max: config.api.scrapeRateLimitMaxRequests,
+});
+
+// Listing exports, on top of apiRateLimit
+const exportRateLimit = createRateLimiter({
+  name: 'export',
+  windowMs: config.api.rateLimitWindowMs,
+  max: config.api.exportRateLimitMaxRequests,
+});
+
+module.exports = {
+  createRateLimiter,
+  ipRateLimit,
+  apiRateLimit,
+  scrapeRateLimit,
+  exportRateLimit,
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+/**
+ * Request ID Middleware
+ * Gives every request an ID (req.id), echoed in the X-Request-Id response
+ * header. An X-Request-Id sent by the client or a proxy is kept, so a request
+ * can be followed across systems; otherwise a UUID is generated
+ */
+
+// Accepted incoming IDs: short, printable, no spaces
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId,
+};
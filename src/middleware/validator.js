@@ -15,11 +15,7 @@ const handleValidationErrors = (req, res, next) => {
     return res.status(400).json({
       success: false,
       message: 'Validation failed',
-      errors: errors.array().map(err => ({
-        field: err.path,
-        message: err.msg,
-        value: err.value,
-      })),
+      errors: formatErrors(errors),
     });
   }
   
@@ -27,70 +23,170 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 /**
- * Validation rules for updating a listing
+ * Shape validation errors for responses
+ * @param {Object} errors - express-validator result
+ * @returns {Array} Errors: { field, message, value }
  */
-const validateUpdateListing = [
-  param('id')
-    .isInt({ min: 1 })
-    .withMessage('ID must be a positive integer'),
-  
-  body('title')
+const formatErrors = errors => errors.array().map(err => ({
+  field: err.path,
+  message: err.msg,
+  value: err.value,
+}));
+
+// Listing fields that can be pinned against scraper updates
+const PINNABLE_FIELDS = [
+  'title', 'price', 'currency', 'year', 'mileage', 'transmission', 'location',
+  'description', 'image_url',
+];
+
+// Sizes of archived listing images: the thumbnails and the downloaded file
+const IMAGE_SIZES = ['small', 'medium', 'large', 'original'];
+
+/**
+ * Rules for the editable fields of a listing
+ * @param {Function} field - Creates the validation chain of a field, e.g. body
+ * @returns {Array} Validation chains
+ */
+const listingFieldRules = (field) => [
+  field('title')
     .optional()
     .trim()
     .isLength({ min: 3, max: 500 })
     .withMessage('Title must be between 3 and 500 characters'),
   
-  body('price')
+  field('price')
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number'),
   
-  body('currency')
+  field('currency')
     .optional()
     .isLength({ min: 3, max: 10 })
     .withMessage('Currency must be between 3 and 10 characters'),
   
-  body('year')
+  field('year')
     .optional()
     .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
     .withMessage('Year must be a valid year'),
   
-  body('mileage')
+  field('mileage')
     .optional()
     .trim()
     .isLength({ max: 100 })
     .withMessage('Mileage must be less than 100 characters'),
   
-  body('location')
+  field('transmission')
+    .optional()
+    .isIn(['automatic', 'manual'])
+    .withMessage('Transmission must be automatic or manual'),
+  
+  field('location')
     .optional()
     .trim()
     .isLength({ max: 255 })
     .withMessage('Location must be less than 255 characters'),
   
-  body('description')
+  field('description')
     .optional()
     .trim()
     .isLength({ max: 5000 })
     .withMessage('Description must be less than 5000 characters'),
+];
+
+/**
+ * Rules for the fields a new listing needs beyond the editable ones: the
+ * required title and price, and where the listing was found
+ * @param {Function} field - Creates the validation chain of a field, e.g. body
+ * @returns {Array} Validation chains
+ */
+const newListingRules = (field) => [
+  field('title')
+    .exists({ values: 'null' })
+    .withMessage('Title is required'),
+  
+  field('price')
+    .exists({ values: 'null' })
+    .withMessage('Price is required'),
+  
+  field('source_url')
+    .exists({ values: 'null' })
+    .withMessage('Source URL is required; it identifies the listing')
+    .bail()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Source URL must be an http(s) URL')
+    .isLength({ max: 2000 })
+    .withMessage('Source URL must be less than 2000 characters'),
+  
+  field('listing_id')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Listing ID must be less than 100 characters'),
+  
+  field('image_url')
+    .optional({ values: 'null' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Image URL must be an http(s) URL'),
+];
+
+/**
+ * Validation rules for creating a listing
+ */
+const validateCreateListing = [
+  ...newListingRules(body),
+  
+  body('currency')
+    .exists({ values: 'null' })
+    .withMessage('Currency is required')
+    .bail()
+    .trim()
+    .toUpperCase()
+    .isAlpha()
+    .withMessage('Currency must be a currency code such as PHP or USD'),
+  
+  ...listingFieldRules(body),
   
   handleValidationErrors,
 ];
 
 /**
- * Validation rules for getting a listing by ID
+ * Validation rules for updating a listing
  */
-const validateGetById = [
+const validateUpdateListing = [
   param('id')
     .isInt({ min: 1 })
     .withMessage('ID must be a positive integer'),
   
+  ...listingFieldRules(body),
+  
+  body('pin')
+    .optional()
+    .isBoolean()
+    .withMessage('pin must be true or false')
+    .toBoolean(),
+  
+  body('pinned_fields')
+    .optional()
+    .isArray()
+    .withMessage('pinned_fields must be an array'),
+  
+  body('pinned_fields.*')
+    .isIn(PINNABLE_FIELDS)
+    .withMessage(`Pinned fields must be among: ${PINNABLE_FIELDS.join(', ')}`),
+  
   handleValidationErrors,
 ];
 
 /**
- * Validation rules for query parameters
+ * Validation rules for audit log query parameters
  */
-const validateQueryParams = [
+const validateAuditQuery = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -101,54 +197,676 @@ const validateQueryParams = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
   
-  query('sortBy')
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for getting an archived listing image
+ */
+const validateGetImage = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  param('size')
+    .isIn(IMAGE_SIZES)
+    .withMessage(`Size must be one of: ${IMAGE_SIZES.join(', ')}`),
+  
+  query('position')
     .optional()
-    .isIn(['created_at', 'price', 'year', 'title'])
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for getting a listing by ID
+ */
+const validateGetById = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Rules for the listing filters accepted by GET /api/listings
+ * @param {Function} field - Creates the validation chain of a filter, e.g. query
+ * @returns {Array} Validation chains
+ */
+const listingFilterRules = (field) => [
+  field('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  field('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  field('sortBy')
+    .optional()
+    .isIn(['created_at', 'price', 'year', 'mileage', 'title', 'make', 'model', 'deal_score', 'relevance'])
     .withMessage('Invalid sortBy field'),
   
-  query('sortOrder')
+  field('sortOrder')
     .optional()
     .isIn(['ASC', 'DESC', 'asc', 'desc'])
     .withMessage('Sort order must be ASC or DESC'),
   
-  query('minPrice')
+  field('minPrice')
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Min price must be a positive number'),
   
-  query('maxPrice')
+  field('maxPrice')
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Max price must be a positive number'),
   
-  query('minYear')
+  field('minYear')
     .optional()
     .isInt({ min: 1900 })
     .withMessage('Min year must be a valid year'),
   
-  query('maxYear')
+  field('maxYear')
     .optional()
     .isInt({ min: 1900 })
     .withMessage('Max year must be a valid year'),
   
-  query('location')
+  field('minMileage')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Min mileage must be a non-negative integer'),
+  
+  field('maxMileage')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Max mileage must be a non-negative integer'),
+  
+  field('minDealScore')
+    .optional()
+    .isFloat({ min: -10, max: 10 })
+    .withMessage('Min deal score must be between -10 and 10'),
+  
+  field('location')
     .optional()
     .trim()
     .isLength({ max: 255 })
     .withMessage('Location must be less than 255 characters'),
   
-  query('search')
+  field('source')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Source must be less than 50 characters'),
+  
+  field('make')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Make must be less than 100 characters'),
+  
+  field('model')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Model must be less than 100 characters'),
+  
+  field('search')
     .optional()
     .trim()
     .isLength({ max: 255 })
     .withMessage('Search query must be less than 255 characters'),
   
+  field('includeExpired')
+    .optional()
+    .isBoolean()
+    .withMessage('includeExpired must be true or false'),
+  
+  field('collapseDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('collapseDuplicates must be true or false'),
+  
+  field('currency')
+    .optional()
+    .trim()
+    .isAlpha()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  
+  field('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .isLength({ max: 1000 })
+    .withMessage('Cursor must be a cursor returned by a previous request'),
+  
+  field('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be true or false'),
+];
+
+/**
+ * Validation rules for query parameters
+ */
+const validateQueryParams = [
+  ...listingFilterRules(query),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for statistics query parameters
+ */
+const validateStatsQuery = [
+  query('currency')
+    .optional()
+    .trim()
+    .isAlpha()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for facet options (used with validateQueryParams)
+ */
+const validateFacetQuery = [
+  query('priceBuckets')
+    .optional()
+    .trim()
+    .matches(/^\d+(\.\d+)?(,\d+(\.\d+)?){0,19}$/)
+    .withMessage('priceBuckets must be a comma-separated list of up to 20 amounts'),
+  
+  query('facetLimit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('facetLimit must be between 1 and 100'),
+  
+  handleValidationErrors,
+];
+
+// Columns that can be exported
+const EXPORT_COLUMNS = [
+  'id', 'title', 'price', 'currency', 'price_php', 'year', 'make', 'model', 'variant',
+  'transmission', 'engine_size', 'fuel_type', 'condition', 'mileage', 'mileage_km',
+  'market_price_php', 'percent_below_market', 'deal_score', 'location', 'description', 'source', 'source_url', 'listing_id', 'image_url',
+  'posted_at', 'created_at', 'updated_at', 'last_scraped_at', 'is_active', 'expired_at',
+];
+
+/**
+ * Validation rules for export options (used with validateQueryParams)
+ */
+const validateExportQuery = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'ndjson', 'xlsx'])
+    .withMessage('Format must be csv, ndjson or xlsx'),
+  
+  query('columns')
+    .optional()
+    .isString()
+    .custom((value) => {
+      const unknown = value.split(',').map(name => name.trim()).filter(name => !EXPORT_COLUMNS.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown columns: ${unknown.join(', ')}; valid columns: ${EXPORT_COLUMNS.join(', ')}`);
+      }
+      return true;
+    }),
+  
+  handleValidationErrors,
+];
+
+// Listing fields that can be imported
+const IMPORT_FIELDS = [
+  'title', 'price', 'currency', 'year', 'mileage', 'transmission', 'location',
+  'description', 'source_url', 'listing_id', 'image_url',
+];
+
+/**
+ * Validation rules for import options (the file is the request body)
+ */
+const validateImportQuery = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+  
+  query('source')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage('Source must be up to 50 lowercase letters, digits, - or _'),
+  
+  query('mapping')
+    .optional()
+    .isJSON({ allow_primitives: false })
+    .withMessage('Mapping must be a JSON object of file column to listing field')
+    .bail()
+    .custom((value) => {
+      const mapping = JSON.parse(value);
+      if (Array.isArray(mapping)) {
+        throw new Error('Mapping must be a JSON object of file column to listing field');
+      }
+      const unknown = Object.values(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown listing fields: ${unknown.join(', ')}; valid fields: ${IMPORT_FIELDS.join(', ')}`);
+      }
+      return true;
+    }),
+  
+  handleValidationErrors,
+];
+
+// Rules for an imported row: those of PUT /api/listings/:id, plus the fields an upsert needs
+const importRowRules = [
+  ...newListingRules(body),
+  
+  ...listingFieldRules(body),
+];
+
+/**
+ * Validate one imported row; sanitizers such as trim are applied to the row
+ * @param {Object} row - Row mapped to listing fields
+ * @returns {Promise<Array>} Errors: { field, message, value }, empty when valid
+ */
+const validateListingRow = async (row) => {
+  const req = { body: row };
+
+  for (const chain of importRowRules) {
+    await chain.run(req);
+  }
+
+  return formatErrors(validationResult(req));
+};
+
+/**
+ * Validation rules for setting an exchange rate
+ */
+const validateSetExchangeRate = [
+  param('code')
+    .isAlpha()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency code must be a 3-letter code'),
+  
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number (PHP per one unit of the currency)'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for queueing a scrape job
+ */
+const validateTriggerScrape = [
+  body('source')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Source must be between 1 and 50 characters'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for scrape job list query parameters
+ */
+const validateJobQueryParams = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('status')
+    .optional()
+    .isIn(['queued', 'running', 'succeeded', 'failed', 'cancelled'])
+    .withMessage('Invalid job status'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating the scrape schedule
+ */
+const validateUpdateSchedule = [
+  body('cron')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 9, max: 100 })
+    .withMessage('Cron must be a cron expression of at most 100 characters'),
+  
+  body('timezone')
+    .optional()
+    .isString()
+    .isLength({ max: 64 })
+    .withMessage('Timezone must be an IANA timezone name'),
+  
+  body('jitterMs')
+    .optional()
+    .isInt({ min: 0, max: 3600000 })
+    .withMessage('Jitter must be between 0 and 3600000 milliseconds')
+    .toInt(),
+  
+  body('paused')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Paused must be a boolean'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the filters of a saved search (same as GET /api/listings)
+ */
+const savedSearchFilterRules = [
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object of listing query parameters'),
+  
+  ...listingFilterRules(name => body(`filters.${name}`)),
+];
+
+/**
+ * Validation rules for creating a saved search
+ */
+const validateCreateSavedSearch = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  
+  ...savedSearchFilterRules,
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a saved search
+ */
+const validateUpdateSavedSearch = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  
+  ...savedSearchFilterRules,
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for listing the alerts of a saved search
+ */
+const validateAlertQueryParams = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be true or false'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for marking saved search alerts read or unread
+ */
+const validateMarkAlerts = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('ids must be a list of 1 to 500 alert IDs'),
+  
+  body('ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Alert IDs must be positive integers')
+    .toInt(),
+  
+  body('read')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('read must be a boolean'),
+  
+  handleValidationErrors,
+];
+
+// Events a webhook subscription can receive
+const WEBHOOK_EVENTS = [
+  'listing.created',
+  'listing.updated',
+  'listing.price_changed',
+  'listing.deactivated',
+  'scrape.completed',
+];
+
+/**
+ * Rules for the fields of a webhook subscription
+ * @param {boolean} required - Whether url and events must be present
+ * @returns {Array} Validation chains
+ */
+const webhookRules = (required) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .isLength({ max: 2000 })
+      .withMessage('URL must be an http(s) URL'),
+    
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage(`Events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`),
+    
+    body('events.*')
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage(`Unknown event; valid events: ${WEBHOOK_EVENTS.join(', ')}`),
+    
+    body('secret')
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 255 })
+      .withMessage('Secret must be between 16 and 255 characters'),
+    
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isActive must be a boolean'),
+  ];
+};
+
+/**
+ * Validation rules for creating a webhook subscription
+ */
+const validateCreateWebhook = [
+  ...webhookRules(true),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a webhook subscription
+ */
+const validateUpdateWebhook = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  ...webhookRules(false),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for webhook delivery log query parameters
+ */
+const validateDeliveryQueryParams = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('status')
+    .optional()
+    .isIn(['pending', 'delivering', 'delivered', 'dead'])
+    .withMessage('Invalid delivery status'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for retrying a webhook delivery
+ */
+const validateRetryDelivery = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  
+  param('deliveryId')
+    .isInt({ min: 1 })
+    .withMessage('Delivery ID must be a positive integer'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for issuing an API key
+ */
+const validateCreateApiKey = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  
+  body('role')
+    .isIn(['reader', 'editor', 'admin'])
+    .withMessage('Role must be reader, editor or admin'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for API key list query parameters
+ */
+const validateApiKeyQueryParams = [
+  query('includeRevoked')
+    .optional()
+    .isBoolean()
+    .withMessage('includeRevoked must be true or false'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for listing deleted listings
+ */
+const validateDeletedListingsQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for permanently deleting a listing
+ * hard=true is required so the call cannot be mistaken for a soft delete
+ */
+const validateHardDelete = [
+  query('hard')
+    .equals('true')
+    .withMessage('hard=true is required; use DELETE /api/listings/:id to soft delete a listing'),
+  
   handleValidationErrors,
 ];
 
 module.exports = {
+  validateCreateListing,
   validateUpdateListing,
+  validateAuditQuery,
+  validateGetImage,
   validateGetById,
   validateQueryParams,
+  validateStatsQuery,
+  validateFacetQuery,
+  validateExportQuery,
+  validateImportQuery,
+  validateListingRow,
+  validateSetExchangeRate,
+  validateTriggerScrape,
+  validateJobQueryParams,
+  validateUpdateSchedule,
+  validateCreateSavedSearch,
+  validateUpdateSavedSearch,
+  validateAlertQueryParams,
+  validateMarkAlerts,
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateDeliveryQueryParams,
+  validateRetryDelivery,
+  validateCreateApiKey,
+  validateApiKeyQueryParams,
+  validateDeletedListingsQuery,
+  validateHardDelete,
   handleValidationErrors,
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+const db = require('../config/database');
+
+// Columns safe to return; the hash never leaves the model
+const PUBLIC_COLUMNS = 'id, name, key_prefix, role, last_used_at, revoked_at, created_at, updated_at';
+
+class ApiKeyModel {
+  /**
+   * Store a new API key
+   * @param {Object} apiKey - { name, role, keyPrefix, keyHash }
+   * @returns {Promise<Object>} Created key (without its hash)
+   */
+  static async create({ name, role, keyPrefix, keyHash }) {
+    const query = `
+      INSERT INTO api_keys (name, role, key_prefix, key_hash)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${PUBLIC_COLUMNS};
+    `;
+
+    const result = await db.query(query, [name, role, keyPrefix, keyHash]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get all API keys, newest first
+   * @param {Object} options - Options
+   * @param {boolean} options.includeRevoked - Include revoked keys
+   * @returns {Promise<Array>} Keys
+   */
+  static async findAll({ includeRevoked = false } = {}) {
+    const query = `
+      SELECT ${PUBLIC_COLUMNS} FROM api_keys
+      ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Find the unrevoked key with a hash
+   * @param {string} keyHash - SHA-256 hex digest of the key
+   * @returns {Promise<Object|null>} Key or null
+   */
+  static async findActiveByHash(keyHash) {
+    const query = `SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL`;
+    const result = await db.query(query, [keyHash]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record that a key was used; skipped when it was already recorded in the
+   * last minute so busy keys don't write on every request
+   * @param {number} id - Key ID
+   */
+  static async touch(id) {
+    const query = `
+      UPDATE api_keys
+      SET last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+        AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+    `;
+
+    await db.query(query, [id]);
+  }
+
+  /**
+   * Revoke a key
+   * @param {number} id - Key ID
+   * @returns {Promise<Object|null>} Revoked key, or null if not found or already revoked
+   */
+  static async revoke(id) {
+    const query = `
+      UPDATE api_keys
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING ${PUBLIC_COLUMNS};
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ApiKeyModel;
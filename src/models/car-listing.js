@@ -1,56 +1,281 @@
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const WebhookDeliveryModel = require('./webhook-delivery');
+const ListingAuditLogModel = require('./listing-audit-log');
 
+// Sort keys by sortBy value: the column to order by and its type, used to
+// compare against the key stored in a pagination cursor
+const SORT_KEYS = {
+  created_at: { column: 'created_at', type: 'timestamptz' },
+  price: { column: 'price_php', type: 'numeric' },
+  year: { column: 'year', type: 'integer' },
+  mileage: { column: 'mileage_km', type: 'integer' },
+  title: { column: 'title', type: 'text' },
+  make: { column: 'make', type: 'text' },
+  model: { column: 'model', type: 'text' },
+  deal_score: { column: 'deal_score', type: 'numeric' },
+  relevance: { column: null, type: 'float8' },
+};
+
+// Columns used internally that are not part of a listing
+const HIDDEN_COLUMNS = ['search_vector', 'normalized_title', 'image_phash', 'image_phash_url', 'sort_key'];
+
+// Columns that change on every scrape run, or follow other columns; a change
+// to only these is not a listing update
+const UNTRACKED_COLUMNS = `'{updated_at,last_scraped_at,missed_scrape_count,detail_scraped_at,${HIDDEN_COLUMNS.join(',')}}'::text[]`;
+
+// Columns an import sets on an existing listing, by the file field that
+// provides them; columns of fields missing from the file keep their value
+const IMPORT_COLUMNS = {
+  title: ['title', 'make', 'model', 'variant', 'engine_size', 'title_confidence'],
+  price: ['price'],
+  currency: ['currency'],
+  year: ['year'],
+  mileage: ['mileage', 'mileage_km'],
+  transmission: ['transmission'],
+  location: ['location'],
+  description: ['description'],
+  listing_id: ['listing_id'],
+  image_url: ['image_url'],
+};
+
+/**
+ * SQL for a listing row as it appears in webhook payloads
+ * @param {string} alias - Row alias
+ * @returns {string} jsonb expression
+ */
+const listingJson = alias => `to_jsonb(${alias}) - '{${HIDDEN_COLUMNS.join(',')}}'::text[]`;
+
+/**
+ * SQL for the number of bits that differ between the image hashes of two
+ * listings; NULL unless both images were hashed
+ * @param {string} a - Alias of one row
+ * @param {string} b - Alias of the other row
+ * @returns {string} Integer expression
+ */
+const imageDistance = (a, b) =>
+  `length(replace(((${a}.image_phash # ${b}.image_phash)::bit(64))::text, '0', ''))`;
+
+/**
+ * SQL condition that holds for the listing shown for its duplicate group when
+ * duplicates are collapsed: the newest live listing of the group
+ * @returns {string} Boolean expression over car_listings
+ */
+const groupRepresentative = () => `(
+  car_listings.duplicate_group_id IS NULL OR NOT EXISTS (
+    SELECT 1 FROM car_listings newer
+    WHERE newer.duplicate_group_id = car_listings.duplicate_group_id
+      AND newer.is_active = TRUE
+      AND newer.expired_at IS NULL
+      AND newer.id > car_listings.id
+  )
+)`;
+
+/**
+ * SQL condition that holds when a listing differs between two versions of its row
+ * @param {string} before - Alias of the old row
+ * @param {string} after - Alias of the new row
+ * @returns {string} Boolean expression
+ */
+const listingChanged = (before, after) =>
+  `(to_jsonb(${before}) - ${UNTRACKED_COLUMNS}) IS DISTINCT FROM (to_jsonb(${after}) - ${UNTRACKED_COLUMNS})`;
+
+/**
+ * SQL for the fields that differ between two versions of a listing row, as
+ * { field: { before, after } }, for the audit log
+ * @param {string} before - Alias of the old row
+ * @param {string} after - Alias of the new row
+ * @returns {string} jsonb expression
+ */
+const changedFields = (before, after) => `(
+  SELECT COALESCE(jsonb_object_agg(a.key, jsonb_build_object('before', b.value, 'after', a.value)), '{}'::jsonb)
+  FROM jsonb_each(to_jsonb(${after}) - ${UNTRACKED_COLUMNS}) a
+  JOIN jsonb_each(to_jsonb(${before}) - ${UNTRACKED_COLUMNS}) b ON b.key = a.key
+  WHERE a.value IS DISTINCT FROM b.value
+)`;
+
+/**
+ * SQL for every set field of a removed listing row as { field: { before, after: null } }
+ * @param {string} alias - Row alias
+ * @returns {string} jsonb expression
+ */
+const removedFields = alias => `(
+  SELECT COALESCE(jsonb_object_agg(b.key, jsonb_build_object('before', b.value, 'after', NULL)), '{}'::jsonb)
+  FROM jsonb_each(to_jsonb(${alias}) - ${UNTRACKED_COLUMNS}) b
+  WHERE b.value <> 'null'::jsonb
+)`;
+
+/**
+ * SQL for the value a scraper update gives a column: the current value while
+ * the field is pinned (see car_listings.pinned_fields), otherwise the new one
+ * @param {string} column - Column of car_listings
+ * @param {string} value - New value expression
+ * @param {string} [field=column] - Pinnable field the column belongs to, e.g.
+ *   make follows title
+ * @returns {string} SQL expression
+ */
+const unlessPinned = (column, value, field = column) =>
+  `CASE WHEN '${field}' = ANY(car_listings.pinned_fields) THEN car_listings.${column} ELSE ${value} END`;
+
+/**
+ * SQL condition that holds when the price or currency of a listing changed
+ * @param {string} before - Alias of the old row
+ * @param {string} after - Alias of the new row
+ * @returns {string} Boolean expression
+ */
+const priceChanged = (before, after) =>
+  `(${before}.price IS DISTINCT FROM ${after}.price OR ${before}.currency IS DISTINCT FROM ${after}.currency)`;
+
+/**
+ * SQL that follows the previous and upserted CTEs of an upsert: records a
+ * price history entry when the listing is new or its price/currency changed,
+ * queues its webhook events and selects the upserted row
+ * @returns {string} CTEs and final SELECT
+ */
+const upsertResult = () => `
+  history AS (
+    INSERT INTO listing_price_history (car_listing_id, price, currency)
+    SELECT u.id, u.price, u.currency
+    FROM upserted u
+    LEFT JOIN previous p ON p.id = u.id
+    WHERE p.id IS NULL
+       OR p.price IS DISTINCT FROM u.price
+       OR p.currency IS DISTINCT FROM u.currency
+    RETURNING id
+  ),
+  ${WebhookDeliveryModel.queueEventsCte(`
+    SELECT t.event_type, t.payload, t.position
+    FROM upserted u
+    LEFT JOIN previous p ON p.id = u.id
+    CROSS JOIN LATERAL (VALUES
+      ('listing.created', p.id IS NULL, 1,
+        jsonb_build_object('listing', ${listingJson('u')})),
+      ('listing.price_changed', p.id IS NOT NULL AND ${priceChanged('p', 'u')}, 2,
+        jsonb_build_object('listing', ${listingJson('u')}, 'previous_price', p.price, 'previous_currency', p.currency)),
+      ('listing.updated', p.id IS NOT NULL AND ${listingChanged('p', 'u')}, 3,
+        jsonb_build_object('listing', ${listingJson('u')}))
+    ) AS t(event_type, applies, position, payload)
+    WHERE t.applies
+  `)}
+  SELECT u.*,
+    p.price AS previous_price,
+    p.currency AS previous_currency,
+    (p.id IS NULL) AS inserted
+  FROM upserted u
+  LEFT JOIN previous p ON p.id = u.id;
+`;
+
+/**
+ * Strip internal columns from a listing row
+ * @param {Object|undefined} row - car_listings row
+ * @returns {Object|null} Listing or null
+ */
+const toListing = (row) => {
+  if (!row) return null;
+
+  const listing = { ...row };
+  HIDDEN_COLUMNS.forEach(column => delete listing[column]);
+  return listing;
+};
 
 class CarListingModel {
   /**
    * Create a new car listing or update if exists (upsert)
+   * Records a price history entry when the listing is new or its price/currency changed,
+   * and queues listing.created, listing.price_changed and listing.updated webhook events.
+   * Pinned fields of an existing listing keep their value
    * @param {Object} listing - Car listing data
-   * @returns {Promise<Object>} Created or updated listing
+   * @param {Object} [client=db] - Client to run the query on, e.g. the one
+   *   holding a transaction
+   * @returns {Promise<Object>} Created or updated listing, with previous_price,
+   *   previous_currency and an inserted flag
    */
-  static async upsert(listing) {
+  static async upsert(listing, client = db) {
     const {
       title,
       price,
       currency = 'PHP',
       year,
       mileage,
+      mileage_km = null,
       location,
+      source = 'facebook',
       source_url,
       listing_id,
       image_url,
       description,
+      make = null,
+      model = null,
+      variant = null,
+      transmission = null,
+      engine_size = null,
+      title_confidence = null,
     } = listing;
 
+    // Snapshot the previous row so a change can be logged to listing_price_history
+    // in the same statement (all CTEs see the table as it was before the upsert)
     const query = `
-      INSERT INTO car_listings (
-        title, price, currency, year, mileage, location,
-        source_url, listing_id, image_url, description,
-        last_scraped_at
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
-      ON CONFLICT (source_url) 
-      DO UPDATE SET
-        title = EXCLUDED.title,
-        price = EXCLUDED.price,
-        currency = EXCLUDED.currency,
-        year = EXCLUDED.year,
-        mileage = EXCLUDED.mileage,
-        location = EXCLUDED.location,
-        listing_id = EXCLUDED.listing_id,
-        image_url = EXCLUDED.image_url,
-        description = EXCLUDED.description,
-        last_scraped_at = CURRENT_TIMESTAMP,
-        is_active = TRUE
-      RETURNING *;
+      WITH previous AS (
+        SELECT * FROM car_listings WHERE source_url = $7
+      ),
+      upserted AS (
+        INSERT INTO car_listings (
+          title, price, currency, year, mileage, location,
+          source_url, listing_id, image_url, description,
+          source, make, model, variant, transmission, engine_size, title_confidence,
+          mileage_km, last_scraped_at
+        )
+        VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+          CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (source_url) 
+        DO UPDATE SET
+          title = ${unlessPinned('title', 'EXCLUDED.title')},
+          price = ${unlessPinned('price', 'EXCLUDED.price')},
+          currency = ${unlessPinned('currency', 'EXCLUDED.currency')},
+          year = ${unlessPinned('year', 'EXCLUDED.year')},
+          mileage = ${unlessPinned('mileage', 'COALESCE(EXCLUDED.mileage, car_listings.mileage)')},
+          mileage_km = ${unlessPinned('mileage_km', `CASE
+            WHEN EXCLUDED.mileage IS NOT NULL THEN EXCLUDED.mileage_km
+            ELSE car_listings.mileage_km
+          END`, 'mileage')},
+          location = ${unlessPinned('location', `CASE
+            WHEN car_listings.detail_scraped_at IS NOT NULL THEN COALESCE(car_listings.location, EXCLUDED.location)
+            ELSE EXCLUDED.location
+          END`)},
+          listing_id = EXCLUDED.listing_id,
+          image_url = ${unlessPinned('image_url', 'EXCLUDED.image_url')},
+          description = ${unlessPinned('description', 'COALESCE(EXCLUDED.description, car_listings.description)')},
+          source = EXCLUDED.source,
+          make = ${unlessPinned('make', 'EXCLUDED.make', 'title')},
+          model = ${unlessPinned('model', 'EXCLUDED.model', 'title')},
+          variant = ${unlessPinned('variant', 'EXCLUDED.variant', 'title')},
+          transmission = ${unlessPinned('transmission', `CASE
+            WHEN car_listings.detail_scraped_at IS NOT NULL THEN COALESCE(car_listings.transmission, EXCLUDED.transmission)
+            ELSE COALESCE(EXCLUDED.transmission, car_listings.transmission)
+          END`)},
+          engine_size = ${unlessPinned('engine_size', 'EXCLUDED.engine_size', 'title')},
+          title_confidence = ${unlessPinned('title_confidence', 'EXCLUDED.title_confidence', 'title')},
+          last_scraped_at = CURRENT_TIMESTAMP,
+          missed_scrape_count = 0,
+          expired_at = NULL,
+          expiry_reason = NULL,
+          is_active = TRUE,
+          deleted_at = NULL
+        RETURNING *
+      ),
+      ${upsertResult()}
     `;
 
     try {
-      const result = await db.query(query, [
+      const result = await client.query(query, [
         title, price, currency, year, mileage, location,
-        source_url, listing_id, image_url, description
+        source_url, listing_id, image_url, description,
+        source, make, model, variant, transmission, engine_size, title_confidence,
+        mileage_km,
       ]);
-      return result.rows[0];
+      return toListing(result.rows[0]);
     } catch (error) {
       logger.error('Error upserting car listing', { error: error.message, listing });
       throw error;
@@ -58,7 +283,69 @@ class CarListingModel {
   }
 
   /**
-   * Bulk upsert multiple listings
+   * Insert a new listing; unlike upsert, an existing listing with the same
+   * source_url is left alone. Records the first price history entry and
+   * queues listing.created
+   * @param {Object} listing - Car listing data (see upsert)
+   * @returns {Promise<Object|null>} Created listing, or null if the source_url is taken
+   */
+  static async create(listing) {
+    const {
+      title,
+      price,
+      currency = 'PHP',
+      year = null,
+      mileage = null,
+      mileage_km = null,
+      location = null,
+      source,
+      source_url,
+      listing_id = null,
+      image_url = null,
+      description = null,
+      make = null,
+      model = null,
+      variant = null,
+      transmission = null,
+      engine_size = null,
+      title_confidence = null,
+    } = listing;
+
+    const query = `
+      WITH created AS (
+        INSERT INTO car_listings (
+          title, price, currency, year, mileage, location,
+          source_url, listing_id, image_url, description,
+          source, make, model, variant, transmission, engine_size, title_confidence,
+          mileage_km
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+        ON CONFLICT (source_url) DO NOTHING
+        RETURNING *
+      ),
+      history AS (
+        INSERT INTO listing_price_history (car_listing_id, price, currency)
+        SELECT id, price, currency FROM created
+        RETURNING id
+      ),
+      ${WebhookDeliveryModel.queueEventsCte(`
+        SELECT 'listing.created' AS event_type, jsonb_build_object('listing', ${listingJson('c')}) AS payload, 1 AS position
+        FROM created c
+      `)}
+      SELECT * FROM created;
+    `;
+
+    const result = await db.query(query, [
+      title, price, currency, year, mileage, location,
+      source_url, listing_id, image_url, description,
+      source, make, model, variant, transmission, engine_size, title_confidence,
+      mileage_km,
+    ]);
+    return toListing(result.rows[0]);
+  }
+
+  /**
+   * Bulk upsert multiple listings in one transaction; if one fails, none are stored
    * @param {Array} listings - Array of car listing objects
    * @returns {Promise<Array>} Array of created/updated listings
    */
@@ -70,7 +357,7 @@ class CarListingModel {
       await client.query('BEGIN');
 
       for (const listing of listings) {
-        const result = await this.upsert(listing);
+        const result = await this.upsert(listing, client);
         results.push(result);
       }
 
@@ -87,26 +374,197 @@ class CarListingModel {
   }
 
   /**
-   * Find all listings with pagination and filtering
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Paginated results
+   * Insert an imported listing, or update the existing listing with the same
+   * source_url in the fields the import provides only
+   * Unlike upsert, the existing listing keeps its source, its other fields and
+   * its deletion state, and pinned fields keep their value. A transmission not
+   * found in a new title keeps its current value. Records price history and
+   * queues webhook events as upsert does
+   * @param {Object} listing - Car listing data (see upsert)
+   * @param {Array<string>} fields - Import fields provided for the listing (keys of
+   *   IMPORT_COLUMNS); title is always among them
+   * @param {Object} [client=db] - Client to run the query on, e.g. the one
+   *   holding a transaction
+   * @returns {Promise<Object>} Created or updated listing, with previous_price,
+   *   previous_currency and an inserted flag
    */
-  static async findAll(options = {}) {
+  static async importUpsert(listing, fields, client = db) {
+    const {
+      title,
+      price,
+      currency = 'PHP',
+      year = null,
+      mileage = null,
+      mileage_km = null,
+      location = null,
+      source,
+      source_url,
+      listing_id = null,
+      image_url = null,
+      description = null,
+      make = null,
+      model = null,
+      variant = null,
+      transmission = null,
+      engine_size = null,
+      title_confidence = null,
+    } = listing;
+
+    const assignments = fields
+      .filter(field => IMPORT_COLUMNS[field])
+      .flatMap(field => IMPORT_COLUMNS[field].map(column =>
+        `${column} = ${unlessPinned(column, `EXCLUDED.${column}`, field)}`));
+
+    if (fields.includes('title') && !fields.includes('transmission')) {
+      assignments.push(`transmission = ${unlessPinned('transmission', 'COALESCE(EXCLUDED.transmission, car_listings.transmission)')}`);
+    }
+
+    const query = `
+      WITH previous AS (
+        SELECT * FROM car_listings WHERE source_url = $7
+      ),
+      upserted AS (
+        INSERT INTO car_listings (
+          title, price, currency, year, mileage, location,
+          source_url, listing_id, image_url, description,
+          source, make, model, variant, transmission, engine_size, title_confidence,
+          mileage_km, last_scraped_at
+        )
+        VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+          CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (source_url)
+        DO UPDATE SET
+          ${assignments.join(',\n          ')}
+        RETURNING *
+      ),
+      ${upsertResult()}
+    `;
+
+    try {
+      const result = await client.query(query, [
+        title, price, currency, year, mileage, location,
+        source_url, listing_id, image_url, description,
+        source, make, model, variant, transmission, engine_size, title_confidence,
+        mileage_km,
+      ]);
+      return toListing(result.rows[0]);
+    } catch (error) {
+      logger.error('Error importing car listing', { error: error.message, listing });
+      throw error;
+    }
+  }
+
+  /**
+   * Import multiple listings in one transaction (see importUpsert); if one
+   * fails, none are stored
+   * @param {Array<Object>} imports - { listing, fields } pairs
+   * @returns {Promise<Array>} Array of created/updated listings
+   */
+  static async bulkImport(imports) {
+    const client = await db.getClient();
+    const results = [];
+
+    try {
+      await client.query('BEGIN');
+
+      for (const { listing, fields } of imports) {
+        const result = await this.importUpsert(listing, fields, client);
+        results.push(result);
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Bulk imported ${results.length} listings`);
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error in bulk import', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Store fields found on a listing's detail page
+   * Missing (null) and pinned fields keep their current value; a change queues listing.updated
+   * @param {number} id - Listing ID
+   * @param {Object} details - Detail fields
+   * @returns {Promise<Object|null>} Updated listing or null
+   */
+  static async updateDetails(id, details) {
+    const {
+      description = null,
+      location = null,
+      mileage = null,
+      mileage_km = null,
+      transmission = null,
+      fuel_type = null,
+      condition = null,
+      posted_at = null,
+    } = details;
+
+    const query = `
+      WITH previous AS (
+        SELECT * FROM car_listings WHERE id = $1
+      ),
+      updated AS (
+        UPDATE car_listings
+        SET
+          description = ${unlessPinned('description', 'COALESCE($2, car_listings.description)')},
+          location = ${unlessPinned('location', 'COALESCE($3, car_listings.location)')},
+          mileage = ${unlessPinned('mileage', 'COALESCE($4, car_listings.mileage)')},
+          mileage_km = ${unlessPinned('mileage_km', 'CASE WHEN $4 IS NOT NULL THEN $9 ELSE car_listings.mileage_km END', 'mileage')},
+          transmission = ${unlessPinned('transmission', 'COALESCE($5, car_listings.transmission)')},
+          fuel_type = COALESCE($6, fuel_type),
+          condition = COALESCE($7, condition),
+          posted_at = COALESCE($8, posted_at),
+          detail_scraped_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      ),
+      ${WebhookDeliveryModel.queueEventsCte(`
+        SELECT 'listing.updated' AS event_type, jsonb_build_object('listing', ${listingJson('u')}) AS payload, 1 AS position
+        FROM updated u
+        JOIN previous p ON p.id = u.id
+        WHERE ${listingChanged('p', 'u')}
+      `)}
+      SELECT * FROM updated;
+    `;
+
+    const result = await db.query(query, [
+      id, description, location, mileage, transmission, fuel_type, condition, posted_at,
+      mileage_km,
+    ]);
+    return toListing(result.rows[0]);
+  }
+
+  /**
+   * Build the WHERE conditions shared by listing queries
+   * @param {Object} filters - Listing filters (see findAll)
+   * @returns {Object} { conditions, params, searchParam } - searchParam is the
+   *   position of the search text in params, or null without a search
+   */
+  static buildFilterConditions(filters = {}) {
     const {
-      page = 1,
-      limit = 20,
-      sortBy = 'created_at',
-      sortOrder = 'DESC',
       minPrice,
       maxPrice,
       minYear,
       maxYear,
+      minMileage,
+      maxMileage,
       location,
+      source,
+      make,
+      model,
       search,
       isActive = true,
-    } = options;
+      includeExpired = false,
+      collapseDuplicates = false,
+      minDealScore,
+    } = filters;
 
-    const offset = (page - 1) * limit;
     const conditions = [];
     const params = [];
     let paramCount = 1;
@@ -117,13 +575,23 @@ class CarListingModel {
       params.push(isActive);
     }
 
+    if (!includeExpired) {
+      conditions.push('expired_at IS NULL');
+    }
+
+    // One listing per duplicate group
+    if (collapseDuplicates) {
+      conditions.push(groupRepresentative());
+    }
+
+    // Price filters compare the PHP-normalized price so mixed currencies line up
     if (minPrice) {
-      conditions.push(`price >= $${paramCount++}`);
+      conditions.push(`price_php >= $${paramCount++}`);
       params.push(minPrice);
     }
 
     if (maxPrice) {
-      conditions.push(`price <= $${paramCount++}`);
+      conditions.push(`price_php <= $${paramCount++}`);
       params.push(maxPrice);
     }
 
@@ -137,48 +605,242 @@ class CarListingModel {
       params.push(maxYear);
     }
 
+    if (minMileage !== undefined) {
+      conditions.push(`mileage_km >= $${paramCount++}`);
+      params.push(minMileage);
+    }
+
+    if (maxMileage !== undefined) {
+      conditions.push(`mileage_km <= $${paramCount++}`);
+      params.push(maxMileage);
+    }
+
+    if (minDealScore !== undefined) {
+      conditions.push(`deal_score >= $${paramCount++}`);
+      params.push(minDealScore);
+    }
+
     if (location) {
       conditions.push(`location ILIKE $${paramCount++}`);
       params.push(`%${location}%`);
     }
 
+    if (source) {
+      conditions.push(`source = $${paramCount++}`);
+      params.push(source);
+    }
+
+    if (make) {
+      conditions.push(`LOWER(make) = LOWER($${paramCount++})`);
+      params.push(make);
+    }
+
+    if (model) {
+      conditions.push(`LOWER(model) = LOWER($${paramCount++})`);
+      params.push(model);
+    }
+
+    // Full-text match, or every word matching in full text or closely matching a
+    // word of the title, to catch misspelled words ("toyta vyos"). Queries using
+    // search operators (quotes, -exclusions, or) are matched exactly; a hyphen
+    // inside a word (D-Max, Mercedes-Benz) is not an exclusion
+    let searchParam = null;
     if (search) {
-      conditions.push(`(title ILIKE $${paramCount} OR description ILIKE $${paramCount})`);
-      params.push(`%${search}%`);
-      paramCount++;
+      searchParam = paramCount++;
+      params.push(search);
+      const fullText = `search_vector @@ websearch_to_tsquery('english', $${searchParam})`;
+
+      if (/"|(^|\s)-|\bor\b/i.test(search)) {
+        conditions.push(fullText);
+      } else {
+        const wordMatches = search.trim().split(/\s+/).map((word) => {
+          const wordParam = paramCount++;
+          params.push(word);
+          return `(search_vector @@ plainto_tsquery('english', $${wordParam}) OR $${wordParam} <<% title)`;
+        });
+        conditions.push(`(${fullText} OR (${wordMatches.join(' AND ')}))`);
+      }
     }
 
+    return { conditions, params, searchParam };
+  }
+
+  /**
+   * Find all listings with pagination and filtering
+   *
+   * Rows are ordered by the sort key then id. Pass `after` (the `next` key of the
+   * previous result) to continue after that row instead of using page/offset.
+   * @param {Object} options - Query options
+   * @param {Object} [options.after] - Keyset position: { value, id }
+   * @param {boolean} [options.includeTotal=true] - Run the COUNT(*) query
+   * @returns {Promise<Object>} Paginated results, with pagination.next set to
+   *   the keyset position of the last row when there are more rows
+   */
+  static async findAll(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sortBy = 'created_at',
+      sortOrder = 'DESC',
+      after = null,
+      includeTotal = true,
+    } = options;
+
+    const offset = after ? 0 : (page - 1) * limit;
+    const { conditions, params, searchParam } = this.buildFilterConditions(options);
+    let paramCount = params.length + 1;
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     // Get total count
-    const countQuery = `SELECT COUNT(*) FROM car_listings ${whereClause}`;
-    const countResult = await db.query(countQuery, params);
-    const total = parseInt(countResult.rows[0].count, 10);
+    let total = null;
+    if (includeTotal) {
+      const countQuery = `SELECT COUNT(*) FROM car_listings ${whereClause}`;
+      const countResult = await db.query(countQuery, params);
+      total = parseInt(countResult.rows[0].count, 10);
+    }
 
-    // Get paginated data
+    const { rankExpression, sortKey, sortExpression, direction } = this.resolveSort({ sortBy, sortOrder }, searchParam);
+
+    // Keyset: continue after the given row, matching ORDER BY ... NULLS LAST, id
+    const dataConditions = [...conditions];
+    if (after) {
+      const op = direction === 'ASC' ? '>' : '<';
+      const idParam = paramCount++;
+      params.push(after.id);
+
+      if (after.value === null) {
+        dataConditions.push(`(${sortExpression} IS NULL AND id ${op} $${idParam})`);
+      } else {
+        const value = `$${paramCount++}::${sortKey.type}`;
+        params.push(after.value);
+        dataConditions.push(`(
+          ${sortExpression} ${op} ${value}
+          OR (${sortExpression} = ${value} AND id ${op} $${idParam})
+          OR ${sortExpression} IS NULL
+        )`);
+      }
+    }
+    const dataWhereClause = dataConditions.length > 0 ? `WHERE ${dataConditions.join(' AND ')}` : '';
+
+    // Highlight matched words
+    const searchColumns = searchParam ? `,
+      ${rankExpression} AS search_rank,
+      json_build_object(
+        'title', ts_headline('english', title, websearch_to_tsquery('english', $${searchParam}),
+          'HighlightAll=true, StartSel=<mark>, StopSel=</mark>'),
+        'description', ts_headline('english', description, websearch_to_tsquery('english', $${searchParam}),
+          'MaxFragments=2, MaxWords=20, MinWords=5, StartSel=<mark>, StopSel=</mark>')
+      ) AS highlights` : '';
+
+    // Get paginated data; one extra row tells whether there is a next page.
+    // The sort key is read as text so timestamps keep their full precision in cursors
     const dataQuery = `
-      SELECT * FROM car_listings
-      ${whereClause}
-      ORDER BY ${sortBy} ${sortOrder}
+      SELECT *, (${sortExpression})::text AS sort_key${searchColumns}
+      FROM car_listings
+      ${dataWhereClause}
+      ORDER BY ${sortExpression} ${direction} NULLS LAST, id ${direction}
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
-    params.push(limit, offset);
+    params.push(limit + 1, offset);
 
     const dataResult = await db.query(dataQuery, params);
+    const rows = dataResult.rows.slice(0, limit);
+    const hasNext = dataResult.rows.length > limit;
+    const last = rows[rows.length - 1];
 
     return {
-      data: dataResult.rows,
+      data: rows.map(toListing),
       pagination: {
-        page,
+        ...(after ? {} : { page }),
         limit,
         total,
-        totalPages: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
+        ...(after ? {} : { totalPages: total === null ? null : Math.ceil(total / limit) }),
+        hasNext,
+        hasPrev: after ? true : page > 1,
+        next: hasNext ? { value: last.sort_key, id: last.id } : null,
       },
     };
   }
 
+  /**
+   * Resolve the ORDER BY of a listing query
+   * @param {Object} sort - { sortBy, sortOrder }
+   * @param {number|null} searchParam - Position of the search text in the query parameters
+   * @returns {Object} { rankExpression, sortKey, sortExpression, direction } - rankExpression
+   *   is null without a search; relevance falls back to created_at then
+   */
+  static resolveSort({ sortBy = 'created_at', sortOrder = 'DESC' }, searchParam) {
+    // Rank full-text matches above title-only trigram matches
+    const rankExpression = searchParam
+      ? `(ts_rank(search_vector, websearch_to_tsquery('english', $${searchParam}))
+        + 0.1 * word_similarity($${searchParam}, title))`
+      : null;
+
+    const sortKey = SORT_KEYS[sortBy] && (sortBy !== 'relevance' || rankExpression)
+      ? SORT_KEYS[sortBy]
+      : SORT_KEYS.created_at;
+
+    return {
+      rankExpression,
+      sortKey,
+      sortExpression: sortKey.column || rankExpression,
+      direction: sortOrder === 'ASC' ? 'ASC' : 'DESC',
+    };
+  }
+
+  /**
+   * Read every listing matching the filters through a server-side cursor, so
+   * memory use does not grow with the number of rows. The cursor holds a
+   * connection and a transaction until the iteration ends or is stopped
+   * @param {Object} options - Filters and sort as for findAll; pagination is ignored
+   * @param {Object} settings - Settings
+   * @param {Array<string>} settings.columns - Columns to select; must be trusted names
+   * @param {number} [settings.batchSize=500] - Rows fetched per round trip
+   * @yields {Array<Object>} Batches of rows, in sort order
+   */
+  static async *streamAll(options = {}, { columns, batchSize = 500 }) {
+    const { conditions, params, searchParam } = this.buildFilterConditions(options);
+    const { sortExpression, direction } = this.resolveSort(options, searchParam);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const cursorQuery = `
+      DECLARE listings_export NO SCROLL CURSOR FOR
+      SELECT ${columns.map(column => `"${column}"`).join(', ')}
+      FROM car_listings
+      ${whereClause}
+      ORDER BY ${sortExpression} ${direction} NULLS LAST, id ${direction}
+    `;
+
+    // Checked out from the pool directly: an export can outlast the
+    // checkout warning of db.getClient
+    const client = await db.pool.connect();
+    let completed = false;
+    let releaseError;
+
+    try {
+      await client.query('BEGIN');
+      await client.query(cursorQuery, params);
+
+      while (true) {
+        const result = await client.query(`FETCH ${batchSize} FROM listings_export`);
+        if (result.rows.length === 0) break;
+        yield result.rows;
+      }
+
+      await client.query('COMMIT');
+      completed = true;
+    } finally {
+      // Stopped early or failed: end the transaction, or drop the connection if that fails too
+      if (!completed) {
+        await client.query('ROLLBACK').catch((error) => {
+          releaseError = error;
+        });
+      }
+      client.release(releaseError);
+    }
+  }
+
   /**
    * Find a single listing by ID
    * @param {number} id - Listing ID
@@ -187,47 +849,687 @@ class CarListingModel {
   static async findById(id) {
     const query = 'SELECT * FROM car_listings WHERE id = $1 AND is_active = TRUE';
     const result = await db.query(query, [id]);
-    return result.rows[0] || null;
+    return toListing(result.rows[0]);
+  }
+
+  /**
+   * Find the IDs of the listings with the given source URLs, active or not
+   * @param {Array<string>} sourceUrls - Source URLs
+   * @returns {Promise<Map>} Listing ID by source URL
+   */
+  static async findIdsBySourceUrls(sourceUrls) {
+    const query = 'SELECT id, source_url FROM car_listings WHERE source_url = ANY($1::text[])';
+    const result = await db.query(query, [sourceUrls]);
+    return new Map(result.rows.map(row => [row.source_url, row.id]));
   }
 
   /**
    * Update a listing
+   * Queues listing.price_changed and listing.updated webhook events and
+   * records an audit entry for the changes
    * @param {number} id - Listing ID
-   * @param {Object} updates - Fields to update
+   * @param {Object} updates - Fields to update; pinned_fields replaces the
+   *   pinned fields, pin (array) adds to them
+   * @param {Object} [audit] - Who made the change: { actor, apiKeyId, requestId }
    * @returns {Promise<Object|null>} Updated listing or null
    */
-  static async update(id, updates) {
-    const allowedFields = ['title', 'price', 'currency', 'year', 'mileage', 'location', 'description', 'image_url'];
+  static async update(id, updates, audit = {}) {
+    const allowedFields = [
+      'title', 'price', 'currency', 'year', 'mileage', 'mileage_km', 'location', 'description', 'image_url',
+      'make', 'model', 'variant', 'transmission', 'engine_size', 'title_confidence', 'pinned_fields',
+    ];
     const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+    const pin = Array.isArray(updates.pin) && updates.pin.length > 0 && !fields.includes('pinned_fields');
 
-    if (fields.length === 0) {
+    if (fields.length === 0 && !pin) {
       throw new Error('No valid fields to update');
     }
 
     const setClauses = fields.map((field, index) => `${field} = $${index + 2}`);
+    const values = [id, ...fields.map(field => updates[field])];
+
+    if (pin) {
+      values.push(updates.pin);
+      setClauses.push(`pinned_fields = ARRAY(
+        SELECT DISTINCT f FROM unnest(pinned_fields || $${values.length}::text[]) f ORDER BY f
+      )`);
+    }
+
     const query = `
-      UPDATE car_listings
-      SET ${setClauses.join(', ')}
-      WHERE id = $1 AND is_active = TRUE
-      RETURNING *;
+      WITH updated AS (
+        UPDATE car_listings
+        SET ${setClauses.join(', ')}
+        WHERE id = $1 AND is_active = TRUE
+        RETURNING *
+      ),
+      history AS (
+        INSERT INTO listing_price_history (car_listing_id, price, currency)
+        SELECT u.id, u.price, u.currency
+        FROM updated u
+        JOIN car_listings c ON c.id = u.id
+        WHERE c.price IS DISTINCT FROM u.price
+           OR c.currency IS DISTINCT FROM u.currency
+        RETURNING id
+      ),
+      ${WebhookDeliveryModel.queueEventsCte(`
+        SELECT t.event_type, t.payload, t.position
+        FROM updated u
+        JOIN car_listings c ON c.id = u.id
+        CROSS JOIN LATERAL (VALUES
+          ('listing.price_changed', ${priceChanged('c', 'u')}, 1,
+            jsonb_build_object('listing', ${listingJson('u')}, 'previous_price', c.price, 'previous_currency', c.currency)),
+          ('listing.updated', ${listingChanged('c', 'u')}, 2,
+            jsonb_build_object('listing', ${listingJson('u')}))
+        ) AS t(event_type, applies, position, payload)
+        WHERE t.applies
+      `)},
+      ${ListingAuditLogModel.recordCte(`
+        SELECT u.id AS car_listing_id, 'update' AS action, ${changedFields('c', 'u')} AS changes
+        FROM updated u
+        JOIN car_listings c ON c.id = u.id
+        WHERE ${listingChanged('c', 'u')}
+      `, values.length + 1)}
+      SELECT * FROM updated;
     `;
 
-    const values = [id, ...fields.map(field => updates[field])];
-    const result = await db.query(query, values);
-    return result.rows[0] || null;
+    const result = await db.query(query, [...values, ...ListingAuditLogModel.params(audit)]);
+    return toListing(result.rows[0]);
   }
 
   /**
-   * Soft delete a listing
+   * Soft delete a listing; deleting an active listing queues listing.deactivated,
+   * records an audit entry and starts its retention period
    * @param {number} id - Listing ID
+   * @param {Object} [audit] - Who made the change: { actor, apiKeyId, requestId }
    * @returns {Promise<boolean>} Success status
    */
-  static async delete(id) {
-    const query = 'UPDATE car_listings SET is_active = FALSE WHERE id = $1 RETURNING id';
+  static async delete(id, audit = {}) {
+    const query = `
+      WITH previous AS (
+        SELECT * FROM car_listings WHERE id = $1
+      ),
+      deactivated AS (
+        UPDATE car_listings
+        SET is_active = FALSE, deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP)
+        WHERE id = $1
+        RETURNING *
+      ),
+      ${WebhookDeliveryModel.queueEventsCte(`
+        SELECT 'listing.deactivated' AS event_type,
+          jsonb_build_object('listing', ${listingJson('d')}, 'reason', 'deleted') AS payload,
+          1 AS position
+        FROM deactivated d
+        JOIN previous p ON p.id = d.id
+        WHERE p.is_active = TRUE
+      `)},
+      ${ListingAuditLogModel.recordCte(`
+        SELECT d.id AS car_listing_id, 'delete' AS action, ${changedFields('p', 'd')} AS changes
+        FROM deactivated d
+        JOIN previous p ON p.id = d.id
+        WHERE p.is_active = TRUE
+      `, 2)}
+      SELECT id FROM deactivated;
+    `;
+    const result = await db.query(query, [id, ...ListingAuditLogModel.params(audit)]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find deleted listings, most recently deleted first
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Deleted listings with pagination
+   */
+  static async findDeleted({ page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const countResult = await db.query('SELECT COUNT(*) FROM car_listings WHERE is_active = FALSE');
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    const dataQuery = `
+      SELECT * FROM car_listings
+      WHERE is_active = FALSE
+      ORDER BY deleted_at DESC NULLS LAST, id DESC
+      LIMIT $1 OFFSET $2
+    `;
+    const dataResult = await db.query(dataQuery, [limit, offset]);
+
+    return {
+      data: dataResult.rows.map(toListing),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Restore a deleted listing; queues listing.updated and records an audit entry
+   * @param {number} id - Listing ID
+   * @param {Object} [audit] - Who made the change: { actor, apiKeyId, requestId }
+   * @returns {Promise<Object|null>} Restored listing, or null if not found or not deleted
+   */
+  static async restore(id, audit = {}) {
+    const query = `
+      WITH previous AS (
+        SELECT * FROM car_listings WHERE id = $1 AND is_active = FALSE
+      ),
+      restored AS (
+        UPDATE car_listings c
+        SET is_active = TRUE, deleted_at = NULL
+        FROM previous p
+        WHERE c.id = p.id
+        RETURNING c.*
+      ),
+      ${WebhookDeliveryModel.queueEventsCte(`
+        SELECT 'listing.updated' AS event_type,
+          jsonb_build_object('listing', ${listingJson('r')}) AS payload,
+          1 AS position
+        FROM restored r
+      `)},
+      ${ListingAuditLogModel.recordCte(`
+        SELECT r.id AS car_listing_id, 'restore' AS action, ${changedFields('p', 'r')} AS changes
+        FROM restored r
+        JOIN previous p ON p.id = r.id
+      `, 2)}
+      SELECT * FROM restored;
+    `;
+
+    const result = await db.query(query, [id, ...ListingAuditLogModel.params(audit)]);
+    return toListing(result.rows[0]);
+  }
+
+  /**
+   * Permanently delete a listing with its price history and alerts.
+   * Deleting an active listing queues listing.deactivated. The audit entry
+   * keeps the listing's last field values
+   * @param {number} id - Listing ID
+   * @param {Object} [audit] - Who made the change: { actor, apiKeyId, requestId }
+   * @returns {Promise<boolean>} True if the listing existed
+   */
+  static async hardDelete(id, audit = {}) {
+    const query = `
+      WITH removed AS (
+        DELETE FROM car_listings WHERE id = $1 RETURNING *
+      ),
+      ${WebhookDeliveryModel.queueEventsCte(`
+        SELECT 'listing.deactivated' AS event_type,
+          jsonb_build_object('listing', ${listingJson('r')} || '{"is_active": false}'::jsonb, 'reason', 'deleted') AS payload,
+          1 AS position
+        FROM removed r
+        WHERE r.is_active = TRUE
+      `)},
+      ${ListingAuditLogModel.recordCte(`
+        SELECT r.id AS car_listing_id, 'hard_delete' AS action, ${removedFields('r')} AS changes
+        FROM removed r
+      `, 2)}
+      SELECT id FROM removed;
+    `;
+
+    const result = await db.query(query, [id, ...ListingAuditLogModel.params(audit)]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Permanently delete listings deleted before a cutoff, optionally copying
+   * each one with its price history to car_listings_archive first
+   * @param {number} days - Days since deletion
+   * @param {Object} options - Options
+   * @param {boolean} options.archive - Archive before deleting
+   * @param {number} options.limit - Maximum listings handled per call
+   * @returns {Promise<Array<number>>} IDs of the listings removed
+   */
+  static async purgeDeleted(days, { archive, limit }) {
+    const query = `
+      WITH doomed AS (
+        SELECT id FROM car_listings
+        WHERE is_active = FALSE
+          AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        ORDER BY deleted_at
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+      ),
+      archived AS (
+        INSERT INTO car_listings_archive (listing_id, source_url, listing, price_history, deleted_at)
+        SELECT c.id, c.source_url, ${listingJson('c')},
+          COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('price', h.price, 'currency', h.currency, 'recorded_at', h.recorded_at)
+              ORDER BY h.recorded_at, h.id)
+            FROM listing_price_history h
+            WHERE h.car_listing_id = c.id
+          ), '[]'::jsonb),
+          c.deleted_at
+        FROM car_listings c
+        JOIN doomed d ON d.id = c.id
+        WHERE $2::boolean
+        RETURNING id
+      )
+      DELETE FROM car_listings
+      WHERE id IN (SELECT id FROM doomed)
+      RETURNING id;
+    `;
+
+    const result = await db.query(query, [days, archive, limit]);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Find listings whose image has not been hashed since it was last set
+   * @param {Array<number>} ids - Listing IDs to check
+   * @returns {Promise<Array>} { id, image_url } rows
+   */
+  static async findUnhashedImages(ids) {
+    const query = `
+      SELECT id, image_url FROM car_listings
+      WHERE id = ANY($1::int[])
+        AND image_url IS NOT NULL
+        AND image_phash_url IS DISTINCT FROM image_url
+      ORDER BY id
+    `;
+    const result = await db.query(query, [ids]);
+    return result.rows;
+  }
+
+  /**
+   * Store the perceptual hash of a listing's image. Ignored if the listing's
+   * image has changed since it was read
+   * @param {number} id - Listing ID
+   * @param {string} imageUrl - Image that was hashed
+   * @param {string|null} phash - Hash, or null if the image could not be read
+   * @returns {Promise<boolean>} True if stored
+   */
+  static async setImageHash(id, imageUrl, phash) {
+    const query = `
+      UPDATE car_listings
+      SET image_phash = $3, image_phash_url = $2
+      WHERE id = $1 AND image_url = $2
+    `;
+    const result = await db.query(query, [id, imageUrl, phash]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find live listings that are probably the same car as a listing: the same
+   * year (when both have one) and a price within the tolerance, plus either a
+   * similar image, or a similar title and the same location (when both have one)
+   * @param {number} id - Listing ID
+   * @param {Object} thresholds - Thresholds
+   * @param {number} thresholds.priceTolerance - Largest price difference, as a fraction
+   * @param {number} thresholds.titleSimilarity - Smallest trigram similarity of normalized titles
+   * @param {number} thresholds.imageDistance - Largest number of differing image hash bits
+   * @returns {Promise<Array>} { id, duplicate_group_id } rows
+   */
+  static async findDuplicateCandidates(id, { priceTolerance, titleSimilarity, imageDistance: maxImageDistance }) {
+    const candidates = `
+      SELECT c.id, c.duplicate_group_id
+      FROM car_listings l
+      JOIN car_listings c ON c.id <> l.id
+      WHERE l.id = $1
+        AND c.is_active = TRUE
+        AND c.expired_at IS NULL
+        AND (l.year IS NULL OR c.year IS NULL OR c.year = l.year)
+        AND c.price_php BETWEEN l.price_php * (1 - $2::numeric) AND l.price_php * (1 + $2::numeric)
+    `;
+
+    // Title matches use the % operator so the trigram index on normalized_title
+    // applies; its threshold is set for this transaction only
+    const query = `
+      ${candidates}
+        AND c.normalized_title % l.normalized_title
+        AND (l.location IS NULL OR c.location IS NULL OR lower(btrim(c.location)) = lower(btrim(l.location)))
+      UNION
+      ${candidates}
+        AND ${imageDistance('c', 'l')} <= $3
+      ORDER BY id
+    `;
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+      await client.query("SELECT set_config('pg_trgm.similarity_threshold', $1, true)", [String(titleSimilarity)]);
+      const result = await client.query(query, [id, priceTolerance, maxImageDistance]);
+      await client.query('COMMIT');
+
+      return result.rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error finding duplicate candidates', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Put listings, and every listing already grouped with any of them, into one
+   * duplicate group identified by the smallest listing ID among them
+   * @param {Array<number>} ids - IDs of listings found to be duplicates
+   * @returns {Promise<number>} Duplicate group ID
+   */
+  static async mergeDuplicateGroup(ids) {
+    const query = `
+      WITH members AS (
+        SELECT id FROM car_listings WHERE id = ANY($1::int[])
+        UNION
+        SELECT m.id FROM car_listings m
+        WHERE m.duplicate_group_id IN (
+          SELECT duplicate_group_id FROM car_listings
+          WHERE id = ANY($1::int[]) AND duplicate_group_id IS NOT NULL
+        )
+      ),
+      grouped AS (
+        UPDATE car_listings
+        SET duplicate_group_id = (SELECT MIN(id) FROM members)
+        WHERE id IN (SELECT id FROM members)
+          AND duplicate_group_id IS DISTINCT FROM (SELECT MIN(id) FROM members)
+        RETURNING id
+      )
+      SELECT MIN(id) AS duplicate_group_id FROM members;
+    `;
+    const result = await db.query(query, [ids]);
+    return result.rows[0].duplicate_group_id;
+  }
+
+  /**
+   * Find the active listings of a listing's duplicate group, newest first,
+   * with how closely each one matches the listing
+   * @param {number} id - Listing ID
+   * @returns {Promise<Array>} Listings with title_similarity and image_distance
+   */
+  static async findDuplicateGroup(id) {
+    const query = `
+      SELECT c.*,
+        round(similarity(c.normalized_title, l.normalized_title)::numeric, 2) AS title_similarity,
+        ${imageDistance('c', 'l')} AS image_distance
+      FROM car_listings l
+      JOIN car_listings c ON c.id = l.id OR c.duplicate_group_id = l.duplicate_group_id
+      WHERE l.id = $1 AND c.is_active = TRUE
+      ORDER BY c.id DESC
+    `;
     const result = await db.query(query, [id]);
+    return result.rows.map(toListing);
+  }
+
+  /**
+   * Remove every listing from its duplicate group, before grouping them again
+   * @returns {Promise<number>} Number of listings ungrouped
+   */
+  static async clearDuplicateGroups() {
+    const result = await db.query('UPDATE car_listings SET duplicate_group_id = NULL WHERE duplicate_group_id IS NOT NULL');
+    return result.rowCount;
+  }
+
+  /**
+   * Find the live listings comparable with a listing for its market value: the
+   * same make and model, a year within the year band and a known price. One
+   * listing per duplicate group is used, and none of the listing's own group
+   * @param {number} id - Listing ID
+   * @param {Object} bands - Bands
+   * @param {number} bands.yearBand - Largest year difference
+   * @param {number} bands.mileageBandKm - Largest mileage difference of a
+   *   comparable within_mileage_band
+   * @returns {Promise<Array>} Comparables, cheapest first
+   */
+  static async findComparables(id, { yearBand, mileageBandKm }) {
+    const query = `
+      SELECT car_listings.id, car_listings.title, car_listings.price, car_listings.currency,
+        car_listings.price_php, car_listings.year, car_listings.mileage_km, car_listings.location,
+        car_listings.source, car_listings.source_url,
+        COALESCE(ABS(car_listings.mileage_km - t.mileage_km) <= $3, FALSE) AS within_mileage_band
+      FROM car_listings t
+      JOIN car_listings ON car_listings.id <> t.id
+        AND LOWER(car_listings.make) = LOWER(t.make)
+        AND LOWER(car_listings.model) = LOWER(t.model)
+        AND car_listings.year BETWEEN t.year - $2 AND t.year + $2
+      WHERE t.id = $1
+        AND car_listings.is_active = TRUE
+        AND car_listings.expired_at IS NULL
+        AND car_listings.price_php IS NOT NULL
+        AND (t.duplicate_group_id IS NULL OR car_listings.duplicate_group_id IS DISTINCT FROM t.duplicate_group_id)
+        AND ${groupRepresentative()}
+      ORDER BY car_listings.price_php, car_listings.id
+    `;
+
+    const result = await db.query(query, [id, yearBand, mileageBandKm]);
+    return result.rows;
+  }
+
+  /**
+   * Find the live listings whose comparables may include any of the given
+   * listings: the same make and model and a year within the year band
+   * @param {Array<number>} ids - Listing IDs
+   * @param {Object} bands - Bands
+   * @param {number} bands.yearBand - Largest year difference
+   * @returns {Promise<Array<number>>} IDs, not including the given ones
+   */
+  static async findComparingListingIds(ids, { yearBand }) {
+    if (ids.length === 0) return [];
+
+    const query = `
+      SELECT DISTINCT car_listings.id
+      FROM car_listings t
+      JOIN car_listings ON NOT (car_listings.id = ANY($1::int[]))
+        AND LOWER(car_listings.make) = LOWER(t.make)
+        AND LOWER(car_listings.model) = LOWER(t.model)
+        AND car_listings.year BETWEEN t.year - $2 AND t.year + $2
+      WHERE t.id = ANY($1::int[])
+        AND car_listings.is_active = TRUE
+        AND car_listings.expired_at IS NULL
+        AND car_listings.price_php IS NOT NULL
+      ORDER BY car_listings.id
+    `;
+
+    const result = await db.query(query, [ids, yearBand]);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Store the market value estimate of a listing
+   * @param {number} id - Listing ID
+   * @param {Object|null} valuation - { basis, market_price_php, market_iqr_php,
+   *   percent_below_market, deal_score }, or null without enough comparables
+   * @param {number} comparableCount - Number of comparables used (found, without a valuation)
+   * @returns {Promise<boolean>} True if stored
+   */
+  static async setValuation(id, valuation, comparableCount) {
+    const query = `
+      UPDATE car_listings
+      SET valuation_basis = $2, market_price_php = $3, market_iqr_php = $4,
+          percent_below_market = $5, deal_score = $6, valuation_comparables = $7,
+          valued_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    const result = await db.query(query, [
+      id,
+      valuation?.basis ?? null,
+      valuation?.market_price_php ?? null,
+      valuation?.market_iqr_php ?? null,
+      valuation?.percent_below_market ?? null,
+      valuation?.deal_score ?? null,
+      comparableCount,
+    ]);
     return result.rowCount > 0;
   }
 
+  /**
+   * Count a missed scrape run for every live listing of a source not seen in the
+   * latest run of that source, and expire those that crossed a threshold.
+   * Each expired listing queues listing.deactivated
+   * @param {string} source - Source that was scraped
+   * @param {Array<number>} seenIds - IDs of listings stored by the latest run
+   * @param {Object} thresholds - Expiry thresholds (0 disables a threshold)
+   * @param {number} thresholds.afterMissedRuns - Consecutive missed runs before expiry
+   * @param {number} thresholds.afterHours - Hours since last seen before expiry
+   * @param {boolean} [thresholds.countMisses=true] - Count the missed run; when
+   *   false, missed runs are not counted but unseen listings still expire by hours
+   * @returns {Promise<Array>} Expired listings (id, expired_at, expiry_reason)
+   */
+  static async expireUnseen(source, seenIds, { afterMissedRuns, afterHours, countMisses = true }) {
+    const missedQuery = `
+      UPDATE car_listings
+      SET missed_scrape_count = missed_scrape_count + 1
+      WHERE source = $1
+        AND is_active = TRUE
+        AND expired_at IS NULL
+        AND NOT (id = ANY($2::int[]))
+    `;
+
+    // Listings seen in the latest run have missed_scrape_count reset to 0 by upsert.
+    // The hours threshold does not depend on missed runs being counted, so it
+    // still applies after runs that stopped at the listing limit
+    const expireQuery = `
+      WITH expired AS (
+        UPDATE car_listings
+        SET
+          expired_at = CURRENT_TIMESTAMP,
+          expiry_reason = CASE
+            WHEN $2::int > 0 AND missed_scrape_count >= $2::int
+              THEN 'Not seen in ' || missed_scrape_count || ' consecutive scrape runs'
+            ELSE 'Not seen for more than ' || $3::int || ' hours'
+          END
+        WHERE source = $1
+          AND is_active = TRUE
+          AND expired_at IS NULL
+          AND (
+            ($2::int > 0 AND missed_scrape_count > 0 AND missed_scrape_count >= $2::int)
+            OR (
+              $3::int > 0
+              AND NOT (id = ANY($4::int[]))
+              AND last_scraped_at < CURRENT_TIMESTAMP - make_interval(hours => $3::int)
+            )
+          )
+        RETURNING *
+      ),
+      ${WebhookDeliveryModel.queueEventsCte(`
+        SELECT 'listing.deactivated' AS event_type,
+          jsonb_build_object('listing', ${listingJson('e')}, 'reason', 'expired') AS payload,
+          e.id AS position
+        FROM expired e
+      `)}
+      SELECT id, expired_at, expiry_reason FROM expired;
+    `;
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+      if (countMisses) {
+        await client.query(missedQuery, [source, seenIds]);
+      }
+      const result = await client.query(expireQuery, [source, afterMissedRuns, afterHours, seenIds]);
+      await client.query('COMMIT');
+
+      return result.rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error expiring unseen listings', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Build the WHERE clause of one facet, leaving out the facet's own filters
+   * @param {Object} filters - Listing filters (see findAll)
+   * @param {Array<string>} excluded - Filter names to leave out
+   * @param {Array<string>} extraConditions - Additional conditions
+   * @returns {Object} { where, params }
+   */
+  static facetScope(filters, excluded, extraConditions = []) {
+    const scoped = { ...filters };
+    excluded.forEach(key => delete scoped[key]);
+
+    const { conditions, params } = this.buildFilterConditions(scoped);
+    conditions.push(...extraConditions);
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  /**
+   * Count listings per year, location, price range, make and currency
+   * Each facet ignores its own filter, so its counts show what picking another
+   * value would return while every other filter still applies
+   * @param {Object} filters - Listing filters (see findAll)
+   * @param {Object} options - Facet options
+   * @param {Array<number>} options.priceEdges - Ascending PHP price bucket edges
+   * @param {number} options.limit - Maximum location and make values
+   * @returns {Promise<Object>} { total, year, location, price, make, currency }
+   */
+  static async getFacets(filters, { priceEdges, limit }) {
+    const total = this.facetScope(filters, []);
+    const year = this.facetScope(filters, ['minYear', 'maxYear'], ['year IS NOT NULL']);
+    const location = this.facetScope(filters, ['location'], ['location IS NOT NULL']);
+    const price = this.facetScope(filters, ['minPrice', 'maxPrice'], ['price_php IS NOT NULL']);
+    const make = this.facetScope(filters, ['make'], ['make IS NOT NULL']);
+    const currency = this.facetScope(filters, [], ['currency IS NOT NULL']);
+
+    const topValues = (column, scope) => db.query(
+      `SELECT ${column} AS value, COUNT(*)::int AS count
+       FROM car_listings ${scope.where}
+       GROUP BY ${column}
+       ORDER BY count DESC, ${column}
+       LIMIT $${scope.params.length + 1}`,
+      [...scope.params, limit]
+    );
+
+    const [totalResult, yearResult, locationResult, priceResult, makeResult, currencyResult] = await Promise.all([
+      db.query(`SELECT COUNT(*)::int AS count FROM car_listings ${total.where}`, total.params),
+      db.query(
+        `SELECT year AS value, COUNT(*)::int AS count
+         FROM car_listings ${year.where}
+         GROUP BY year
+         ORDER BY year DESC`,
+        year.params
+      ),
+      topValues('location', location),
+      // width_bucket returns 0 below the first edge and edges.length at or above the last
+      db.query(
+        `SELECT width_bucket(price_php, $${price.params.length + 1}::numeric[]) AS bucket,
+           COUNT(*)::int AS count
+         FROM car_listings ${price.where}
+         GROUP BY bucket`,
+        [...price.params, priceEdges]
+      ),
+      topValues('make', make),
+      db.query(
+        `SELECT currency AS value, COUNT(*)::int AS count
+         FROM car_listings ${currency.where}
+         GROUP BY currency
+         ORDER BY count DESC, currency`,
+        currency.params
+      ),
+    ]);
+
+    // Report every bucket, including empty ones, so ranges stay stable between requests
+    const bucketCounts = new Map(priceResult.rows.map(row => [row.bucket, row.count]));
+    const priceBuckets = [];
+    for (let i = 0; i <= priceEdges.length; i++) {
+      priceBuckets.push({
+        min: i === 0 ? null : priceEdges[i - 1],
+        max: i === priceEdges.length ? null : priceEdges[i],
+        count: bucketCounts.get(i) || 0,
+      });
+    }
+
+    return {
+      total: totalResult.rows[0].count,
+      year: yearResult.rows,
+      location: locationResult.rows,
+      price: priceBuckets,
+      make: makeResult.rows,
+      currency: currencyResult.rows,
+    };
+  }
+
   /**
    * Get statistics about listings
    * @returns {Promise<Object>} Statistics object
@@ -237,11 +1539,14 @@ class CarListingModel {
       SELECT
         COUNT(*) as total_listings,
         COUNT(*) FILTER (WHERE is_active = TRUE) as active_listings,
-        AVG(price) as avg_price,
-        MIN(price) as min_price,
-        MAX(price) as max_price,
+        COUNT(*) FILTER (WHERE is_active = TRUE AND expired_at IS NOT NULL) as expired_listings,
+        COUNT(*) FILTER (WHERE is_active = TRUE AND expired_at IS NULL AND NOT ${groupRepresentative()}) as duplicate_listings,
+        AVG(price_php) as avg_price,
+        MIN(price_php) as min_price,
+        MAX(price_php) as max_price,
         AVG(year) as avg_year,
-        COUNT(DISTINCT location) as unique_locations
+        COUNT(DISTINCT location) as unique_locations,
+        COUNT(DISTINCT source) as unique_sources
       FROM car_listings;
     `;
 
@@ -0,0 +1,65 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+
+class ExchangeRateModel {
+  /**
+   * Get all exchange rates
+   * @returns {Promise<Array>} Rates ordered by currency code
+   */
+  static async findAll() {
+    const result = await db.query('SELECT * FROM exchange_rates ORDER BY currency_code');
+    return result.rows;
+  }
+
+  /**
+   * Get the rate for a currency
+   * @param {string} code - Currency code
+   * @returns {Promise<Object|null>} Rate or null
+   */
+  static async findByCode(code) {
+    const result = await db.query('SELECT * FROM exchange_rates WHERE currency_code = $1', [code]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create or change a rate and re-normalize every listing in that currency
+   * @param {string} code - Currency code
+   * @param {number} rateToPhp - PHP per one unit of the currency
+   * @returns {Promise<Object>} { rate, listingsUpdated }
+   */
+  static async upsert(code, rateToPhp) {
+    const rateQuery = `
+      INSERT INTO exchange_rates (currency_code, rate_to_php)
+      VALUES ($1, $2)
+      ON CONFLICT (currency_code) DO UPDATE SET
+        rate_to_php = EXCLUDED.rate_to_php
+      RETURNING *;
+    `;
+
+    const listingsQuery = `
+      UPDATE car_listings
+      SET price_php = ROUND(price * $2, 2)
+      WHERE currency = $1
+    `;
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+      const rate = await client.query(rateQuery, [code, rateToPhp]);
+      const listings = await client.query(listingsQuery, [code, rateToPhp]);
+      await client.query('COMMIT');
+
+      return { rate: rate.rows[0], listingsUpdated: listings.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error saving exchange rate', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = ExchangeRateModel;
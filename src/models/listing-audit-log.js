@@ -0,0 +1,71 @@
+const db = require('../config/database');
+
+class ListingAuditLogModel {
+  /**
+   * SQL for a CTE that records audit entries. Appended to the WITH list of
+   * the statement that changes the listings, so an entry is stored if and
+   * only if its change is
+   * @param {string} entriesSql - SELECT of (car_listing_id, action, changes) rows
+   * @param {number} paramIndex - Number of the first of the three query
+   *   parameters from params(): actor, API key ID and request ID
+   * @returns {string} CTE definition
+   */
+  static recordCte(entriesSql, paramIndex) {
+    return `
+      listing_audit_recorded AS (
+        INSERT INTO listing_audit_log (car_listing_id, action, changes, actor, api_key_id, request_id)
+        SELECT e.car_listing_id, e.action, e.changes,
+          $${paramIndex}::varchar, $${paramIndex + 1}::integer, $${paramIndex + 2}::varchar
+        FROM (${entriesSql}) e
+        RETURNING id
+      )`;
+  }
+
+  /**
+   * Query parameters for recordCte
+   * @param {Object} [audit] - Who made the change: { actor, apiKeyId, requestId }
+   * @returns {Array} Parameter values
+   */
+  static params(audit = {}) {
+    return [audit.actor ?? null, audit.apiKeyId ?? null, audit.requestId ?? null];
+  }
+
+  /**
+   * Get the audit trail of a listing, newest first
+   * @param {number} carListingId - Listing ID (car_listings.id)
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Entries with pagination
+   */
+  static async findByListingId(carListingId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM listing_audit_log WHERE car_listing_id = $1',
+      [carListingId]
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    const dataQuery = `
+      SELECT id, action, actor, api_key_id, changes, request_id, created_at
+      FROM listing_audit_log
+      WHERE car_listing_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const dataResult = await db.query(dataQuery, [carListingId, limit, offset]);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    };
+  }
+}
+
+module.exports = ListingAuditLogModel;
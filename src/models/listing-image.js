@@ -0,0 +1,167 @@
+const db = require('../config/database');
+
+// Columns returned for an image
+const IMAGE_COLUMNS = `
+  id, car_listing_id, position, source_url, status, attempts, last_error,
+  storage_key, content_type, width, height, bytes, phash::text AS phash,
+  archived_at, created_at, updated_at
+`;
+
+/**
+ * ON CONFLICT action that points an image at its new source URL. An archived
+ * image stays archived when only the query string changed (CDNs sign their
+ * URLs and re-sign them between scrapes); anything else is downloaded again
+ */
+const UPSERT_SOURCE = `
+  ON CONFLICT (car_listing_id, position) DO UPDATE SET
+    source_url = EXCLUDED.source_url,
+    status = CASE WHEN listing_images.status = 'stored'
+      AND split_part(listing_images.source_url, '?', 1) = split_part(EXCLUDED.source_url, '?', 1)
+      THEN 'stored' ELSE 'pending' END,
+    attempts = CASE WHEN listing_images.status = 'stored'
+      AND split_part(listing_images.source_url, '?', 1) = split_part(EXCLUDED.source_url, '?', 1)
+      THEN listing_images.attempts ELSE 0 END
+  WHERE listing_images.source_url IS DISTINCT FROM EXCLUDED.source_url
+`;
+
+class ListingImageModel {
+  /**
+   * Record the main image (position 0) of listings, as set in image_url
+   * @param {Array<Object>} listings - { id, image_url } of listings with an image
+   * @returns {Promise<number>} Number of images added or changed
+   */
+  static async setMainImages(listings) {
+    if (listings.length === 0) return 0;
+
+    const query = `
+      INSERT INTO listing_images (car_listing_id, position, source_url)
+      SELECT t.id, 0, t.url
+      FROM unnest($1::int[], $2::text[]) AS t(id, url)
+      ${UPSERT_SOURCE}
+    `;
+
+    const result = await db.query(query, [
+      listings.map(listing => listing.id),
+      listings.map(listing => listing.image_url),
+    ]);
+    return result.rowCount;
+  }
+
+  /**
+   * Replace the detail page photos of a listing (positions from 1)
+   * @param {number} carListingId - Listing ID
+   * @param {Array<string>} urls - Photo URLs, in page order
+   * @returns {Promise<Array<string>>} Storage keys of archived photos that were removed
+   */
+  static async setGallery(carListingId, urls) {
+    const query = `
+      WITH removed AS (
+        DELETE FROM listing_images
+        WHERE car_listing_id = $1 AND position > cardinality($2::text[])
+        RETURNING storage_key
+      ),
+      upserted AS (
+        INSERT INTO listing_images (car_listing_id, position, source_url)
+        SELECT $1, t.position, t.url
+        FROM unnest($2::text[]) WITH ORDINALITY AS t(url, position)
+        ${UPSERT_SOURCE}
+        RETURNING id
+      )
+      SELECT storage_key FROM removed WHERE storage_key IS NOT NULL
+    `;
+
+    const result = await db.query(query, [carListingId, urls]);
+    return result.rows.map(row => row.storage_key);
+  }
+
+  /**
+   * Find images of listings that still have to be archived
+   * @param {Array<number>} carListingIds - Listing IDs
+   * @returns {Promise<Array>} Images, by listing and position
+   */
+  static async findPending(carListingIds) {
+    const query = `
+      SELECT ${IMAGE_COLUMNS}
+      FROM listing_images
+      WHERE car_listing_id = ANY($1::int[]) AND status = 'pending'
+      ORDER BY car_listing_id, position
+    `;
+    const result = await db.query(query, [carListingIds]);
+    return result.rows;
+  }
+
+  /**
+   * Record an archived image. Ignored if its source URL has changed since it
+   * was read
+   * @param {number} id - Image ID
+   * @param {string} sourceUrl - URL that was downloaded
+   * @param {Object} file - { storageKey, contentType, width, height, bytes, phash }
+   * @returns {Promise<boolean>} True if recorded
+   */
+  static async markStored(id, sourceUrl, { storageKey, contentType, width, height, bytes, phash }) {
+    const query = `
+      UPDATE listing_images
+      SET status = 'stored', attempts = attempts + 1, last_error = NULL,
+          storage_key = $3, content_type = $4, width = $5, height = $6, bytes = $7, phash = $8,
+          archived_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND source_url = $2
+    `;
+    const result = await db.query(query, [id, sourceUrl, storageKey, contentType, width, height, bytes, phash]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record a failed download. The image is marked failed after maxAttempts
+   * failures and left pending (to be retried) before that
+   * @param {number} id - Image ID
+   * @param {string} sourceUrl - URL that was downloaded
+   * @param {string} message - Error message
+   * @param {number} maxAttempts - Attempts before giving up
+   * @returns {Promise<string|null>} New status, or null if the URL has changed
+   */
+  static async markFailed(id, sourceUrl, message, maxAttempts) {
+    const query = `
+      UPDATE listing_images
+      SET attempts = attempts + 1, last_error = $3,
+          status = CASE WHEN attempts + 1 >= $4 THEN 'failed' ELSE 'pending' END
+      WHERE id = $1 AND source_url = $2
+      RETURNING status
+    `;
+    const result = await db.query(query, [id, sourceUrl, message, maxAttempts]);
+    return result.rows[0]?.status || null;
+  }
+
+  /**
+   * Get the images of a listing
+   * @param {number} carListingId - Listing ID
+   * @returns {Promise<Array>} Images, by position
+   */
+  static async findByListingId(carListingId) {
+    const query = `
+      SELECT ${IMAGE_COLUMNS}
+      FROM listing_images
+      WHERE car_listing_id = $1
+      ORDER BY position
+    `;
+    const result = await db.query(query, [carListingId]);
+    return result.rows;
+  }
+
+  /**
+   * Get one image of a listing
+   * @param {number} carListingId - Listing ID
+   * @param {number} position - Image position (0 is the main image)
+   * @returns {Promise<Object|null>} Image or null
+   */
+  static async findOne(carListingId, position) {
+    const query = `
+      SELECT ${IMAGE_COLUMNS}
+      FROM listing_images
+      WHERE car_listing_id = $1 AND position = $2
+    `;
+    const result = await db.query(query, [carListingId, position]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ListingImageModel;
@@ -0,0 +1,23 @@
+const db = require('../config/database');
+
+
+class ListingPriceHistoryModel {
+  /**
+   * Get the price timeline of a listing, oldest first
+   * @param {number} carListingId - Listing ID (car_listings.id)
+   * @returns {Promise<Array>} Price history entries
+   */
+  static async findByListingId(carListingId) {
+    const query = `
+      SELECT id, price, currency, recorded_at
+      FROM listing_price_history
+      WHERE car_listing_id = $1
+      ORDER BY recorded_at ASC, id ASC
+    `;
+
+    const result = await db.query(query, [carListingId]);
+    return result.rows;
+  }
+}
+
+module.exports = ListingPriceHistoryModel;
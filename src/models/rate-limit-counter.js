@@ -0,0 +1,40 @@
+const db = require('../config/database');
+
+class RateLimitCounterModel {
+  /**
+   * Count a request against a key, starting a new window when the last one has ended
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} { count, reset_at } of the current window
+   */
+  static async increment(key, windowMs) {
+    const query = `
+      INSERT INTO rate_limit_counters (key, count, reset_at)
+      VALUES ($1, 1, CURRENT_TIMESTAMP + make_interval(secs => $2::float / 1000))
+      ON CONFLICT (key) DO UPDATE
+      SET count = CASE
+            WHEN rate_limit_counters.reset_at <= CURRENT_TIMESTAMP THEN 1
+            ELSE rate_limit_counters.count + 1
+          END,
+          reset_at = CASE
+            WHEN rate_limit_counters.reset_at <= CURRENT_TIMESTAMP THEN EXCLUDED.reset_at
+            ELSE rate_limit_counters.reset_at
+          END
+      RETURNING count, reset_at;
+    `;
+
+    const result = await db.query(query, [key, windowMs]);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete counters whose window has ended
+   * @returns {Promise<number>} Number of deleted counters
+   */
+  static async deleteExpired() {
+    const result = await db.query('DELETE FROM rate_limit_counters WHERE reset_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+}
+
+module.exports = RateLimitCounterModel;
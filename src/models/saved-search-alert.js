@@ -0,0 +1,110 @@
+const db = require('../config/database');
+const CarListingModel = require('./car-listing');
+
+
+class SavedSearchAlertModel {
+  /**
+   * Record alerts for the candidate listings that match a saved search's filters
+   * A listing already alerted for the same reason and price is skipped
+   * @param {number} savedSearchId - Saved search ID
+   * @param {Object} filters - Listing filters (see CarListingModel.findAll)
+   * @param {Array<Object>} candidates - { id, reason, previous_price } per listing
+   * @returns {Promise<Array>} Created alerts
+   */
+  static async createForMatches(savedSearchId, filters, candidates) {
+    const { conditions, params } = CarListingModel.buildFilterConditions(filters);
+    const paramCount = params.length + 1;
+
+    conditions.push('car_listings.id = c.candidate_id');
+
+    const query = `
+      INSERT INTO saved_search_alerts (saved_search_id, car_listing_id, reason, price, previous_price, currency)
+      SELECT $${paramCount}, car_listings.id, c.alert_reason, car_listings.price,
+        c.candidate_previous_price, car_listings.currency
+      FROM car_listings
+      CROSS JOIN unnest($${paramCount + 1}::int[], $${paramCount + 2}::varchar[], $${paramCount + 3}::numeric[])
+        AS c(candidate_id, alert_reason, candidate_previous_price)
+      WHERE ${conditions.join(' AND ')}
+      ON CONFLICT (saved_search_id, car_listing_id, reason, price) DO NOTHING
+      RETURNING *;
+    `;
+
+    const result = await db.query(query, [
+      ...params,
+      savedSearchId,
+      candidates.map(candidate => candidate.id),
+      candidates.map(candidate => candidate.reason),
+      candidates.map(candidate => candidate.previous_price ?? null),
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Get the alerts of a saved search with a summary of each listing, newest first
+   * @param {number} savedSearchId - Saved search ID
+   * @param {Object} options - { page, limit, unread }
+   * @returns {Promise<Object>} Alerts with pagination
+   */
+  static async findBySavedSearch(savedSearchId, options = {}) {
+    const { page = 1, limit = 20, unread = false } = options;
+
+    const offset = (page - 1) * limit;
+    const whereClause = `WHERE a.saved_search_id = $1${unread ? ' AND a.is_read = FALSE' : ''}`;
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM saved_search_alerts a ${whereClause}`,
+      [savedSearchId]
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    const dataQuery = `
+      SELECT a.*,
+        c.title, c.year, c.mileage, c.location, c.source, c.source_url, c.image_url,
+        c.is_active, c.expired_at
+      FROM saved_search_alerts a
+      JOIN car_listings c ON c.id = a.car_listing_id
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const dataResult = await db.query(dataQuery, [savedSearchId, limit, offset]);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Mark alerts of a saved search read or unread
+   * @param {number} savedSearchId - Saved search ID
+   * @param {Object} options - { ids, read }
+   * @param {Array<number>|null} options.ids - Alerts to mark (default: all of the saved search)
+   * @param {boolean} options.read - Read state to set
+   * @returns {Promise<number>} Number of alerts changed
+   */
+  static async markRead(savedSearchId, { ids = null, read = true }) {
+    const query = `
+      UPDATE saved_search_alerts
+      SET is_read = $2,
+          read_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE saved_search_id = $1
+        AND is_read <> $2
+        AND ($3::int[] IS NULL OR id = ANY($3::int[]))
+      RETURNING id;
+    `;
+
+    const result = await db.query(query, [savedSearchId, read, ids]);
+    return result.rowCount;
+  }
+}
+
+module.exports = SavedSearchAlertModel;
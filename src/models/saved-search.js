@@ -0,0 +1,86 @@
+const db = require('../config/database');
+
+// Unread alert count added to every saved search
+const UNREAD_ALERTS = `(
+  SELECT COUNT(*) FROM saved_search_alerts a
+  WHERE a.saved_search_id = s.id AND a.is_read = FALSE
+)::int AS unread_alerts`;
+
+class SavedSearchModel {
+  /**
+   * Create a saved search
+   * @param {Object} savedSearch - { name, filters }
+   * @returns {Promise<Object>} Created saved search
+   */
+  static async create({ name, filters = {} }) {
+    const query = `
+      INSERT INTO saved_searches (name, filters)
+      VALUES ($1, $2)
+      RETURNING *, 0 AS unread_alerts;
+    `;
+
+    const result = await db.query(query, [name, JSON.stringify(filters)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get all saved searches, newest first
+   * @returns {Promise<Array>} Saved searches
+   */
+  static async findAll() {
+    const query = `
+      SELECT s.*, ${UNREAD_ALERTS}
+      FROM saved_searches s
+      ORDER BY s.created_at DESC, s.id DESC
+    `;
+
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Find a saved search by ID
+   * @param {number} id - Saved search ID
+   * @returns {Promise<Object|null>} Saved search or null
+   */
+  static async findById(id) {
+    const query = `SELECT s.*, ${UNREAD_ALERTS} FROM saved_searches s WHERE s.id = $1`;
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update the name and/or filters of a saved search
+   * @param {number} id - Saved search ID
+   * @param {Object} updates - { name, filters }
+   * @returns {Promise<Object|null>} Updated saved search or null
+   */
+  static async update(id, { name, filters }) {
+    const query = `
+      UPDATE saved_searches s
+      SET name = COALESCE($2, s.name),
+          filters = COALESCE($3, s.filters)
+      WHERE s.id = $1
+      RETURNING s.*, ${UNREAD_ALERTS};
+    `;
+
+    const result = await db.query(query, [
+      id,
+      name ?? null,
+      filters ? JSON.stringify(filters) : null,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a saved search and its alerts
+   * @param {number} id - Saved search ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM saved_searches WHERE id = $1 RETURNING id', [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = SavedSearchModel;
@@ -0,0 +1,253 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+
+class ScrapeJobModel {
+  /**
+   * Queue a new scrape job
+   * @param {Object} params - Parameters passed to the scraper
+   * @param {Object} options - Job options
+   * @param {string} [options.triggeredBy] - What queued the job ('api' or 'schedule')
+   * @returns {Promise<Object>} Created job
+   */
+  static async create(params = {}, { triggeredBy = 'api' } = {}) {
+    const query = `
+      INSERT INTO scrape_jobs (params, triggered_by)
+      VALUES ($1, $2)
+      RETURNING *;
+    `;
+
+    const result = await db.query(query, [JSON.stringify(params), triggeredBy]);
+    return result.rows[0];
+  }
+
+  /**
+   * Check whether a job is queued or running
+   * @returns {Promise<boolean>} True if a scrape is pending or in progress
+   */
+  static async hasActive() {
+    const query = `
+      SELECT EXISTS (
+        SELECT 1 FROM scrape_jobs WHERE status IN ('queued', 'running')
+      ) AS active
+    `;
+
+    const result = await db.query(query);
+    return result.rows[0].active;
+  }
+
+  /**
+   * Find a queued job with the same parameters
+   * @param {Object} params - Scraper parameters
+   * @returns {Promise<Object|null>} Queued job or null
+   */
+  static async findQueued(params = {}) {
+    const query = `
+      SELECT * FROM scrape_jobs
+      WHERE status = 'queued' AND params = $1::jsonb
+      ORDER BY created_at ASC
+      LIMIT 1
+    `;
+
+    const result = await db.query(query, [JSON.stringify(params)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a job by ID
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM scrape_jobs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find jobs with pagination, newest first
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Paginated jobs
+   */
+  static async findAll(options = {}) {
+    const { page = 1, limit = 20, status } = options;
+
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      conditions.push(`status = $${paramCount++}`);
+      params.push(status);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM scrape_jobs ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    const dataQuery = `
+      SELECT * FROM scrape_jobs
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `;
+    params.push(limit, offset);
+
+    const dataResult = await db.query(dataQuery, params);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Claim the oldest queued job and mark it running
+   * Returns null when the queue is empty or another job is already running
+   * @returns {Promise<Object|null>} Claimed job or null
+   */
+  static async claimNext() {
+    const query = `
+      UPDATE scrape_jobs
+      SET status = 'running', started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM scrape_jobs
+        WHERE status = 'queued'
+          AND NOT EXISTS (SELECT 1 FROM scrape_jobs WHERE status = 'running')
+        ORDER BY created_at ASC, id ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *;
+    `;
+
+    try {
+      const result = await db.query(query);
+      return result.rows[0] || null;
+    } catch (error) {
+      // Another instance claimed a job at the same moment (idx_scrape_jobs_single_running)
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the heartbeat of a running job
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} Whether cancellation has been requested
+   */
+  static async heartbeat(id) {
+    const query = `
+      UPDATE scrape_jobs
+      SET heartbeat_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING cancel_requested
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0] ? result.rows[0].cancel_requested : false;
+  }
+
+  /**
+   * Mark a running job as finished
+   * @param {number} id - Job ID
+   * @param {string} status - Final status (succeeded, failed or cancelled)
+   * @param {Object} outcome - Outcome fields
+   * @returns {Promise<Object|null>} Updated job or null
+   */
+  static async finish(id, status, { listingsStored = null, listingsExpired = null, error = null } = {}) {
+    const query = `
+      UPDATE scrape_jobs
+      SET
+        status = $2,
+        listings_stored = $3,
+        listings_expired = $4,
+        error = $5,
+        finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'running'
+      RETURNING *;
+    `;
+
+    const result = await db.query(query, [id, status, listingsStored, listingsExpired, error]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put a running job back in the queue (e.g. on shutdown)
+   * Jobs with a pending cancellation are marked cancelled instead
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Updated job or null
+   */
+  static async requeue(id) {
+    const query = `
+      UPDATE scrape_jobs
+      SET
+        status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'queued' END,
+        started_at = NULL,
+        heartbeat_at = NULL
+      WHERE id = $1 AND status = 'running'
+      RETURNING *;
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Request cancellation of a job
+   * Queued jobs are cancelled immediately, running jobs are flagged for the worker
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Updated job or null if it already finished
+   */
+  static async requestCancel(id) {
+    const query = `
+      UPDATE scrape_jobs
+      SET
+        cancel_requested = TRUE,
+        status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+        finished_at = CASE WHEN status = 'queued' THEN CURRENT_TIMESTAMP ELSE finished_at END
+      WHERE id = $1 AND status IN ('queued', 'running')
+      RETURNING *;
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Re-queue running jobs whose worker stopped sending heartbeats
+   * (jobs that were being cancelled are marked cancelled instead)
+   * @param {number} staleAfterMs - Heartbeat age after which a job is considered orphaned
+   * @returns {Promise<number>} Number of recovered jobs
+   */
+  static async recoverStale(staleAfterMs) {
+    const query = `
+      UPDATE scrape_jobs
+      SET
+        status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'queued' END,
+        started_at = NULL,
+        heartbeat_at = NULL
+      WHERE status = 'running'
+        AND (heartbeat_at IS NULL OR heartbeat_at < CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval)
+      RETURNING id;
+    `;
+
+    const result = await db.query(query, [staleAfterMs]);
+    if (result.rowCount > 0) {
+      logger.warn(`Re-queued ${result.rowCount} orphaned scrape jobs`);
+    }
+    return result.rowCount;
+  }
+}
+
+module.exports = ScrapeJobModel;
@@ -0,0 +1,94 @@
+const db = require('../config/database');
+
+
+class ScrapeScheduleModel {
+  /**
+   * Get the scrape schedule
+   * @returns {Promise<Object|null>} Schedule or null if none is configured
+   */
+  static async get() {
+    const result = await db.query('SELECT * FROM scrape_schedule WHERE id = 1');
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create the schedule unless one already exists
+   * An existing schedule wins, so changes made through the API survive restarts
+   * @param {Object} schedule - Initial schedule
+   * @returns {Promise<Object>} Current schedule
+   */
+  static async seed({ cronExpression, timezone, jitterMs, isPaused = false, nextRunAt = null }) {
+    const query = `
+      INSERT INTO scrape_schedule (id, cron_expression, timezone, jitter_ms, is_paused, next_run_at)
+      VALUES (1, $1, $2, $3, $4, $5)
+      ON CONFLICT (id) DO NOTHING;
+    `;
+
+    await db.query(query, [cronExpression, timezone, jitterMs, isPaused, nextRunAt]);
+    return this.get();
+  }
+
+  /**
+   * Create or replace the schedule settings
+   * @param {Object} schedule - Full schedule settings
+   * @returns {Promise<Object>} Updated schedule
+   */
+  static async save({ cronExpression, timezone, jitterMs, isPaused, nextRunAt }) {
+    const query = `
+      INSERT INTO scrape_schedule (id, cron_expression, timezone, jitter_ms, is_paused, next_run_at)
+      VALUES (1, $1, $2, $3, $4, $5)
+      ON CONFLICT (id) DO UPDATE SET
+        cron_expression = EXCLUDED.cron_expression,
+        timezone = EXCLUDED.timezone,
+        jitter_ms = EXCLUDED.jitter_ms,
+        is_paused = EXCLUDED.is_paused,
+        next_run_at = EXCLUDED.next_run_at
+      RETURNING *;
+    `;
+
+    const result = await db.query(query, [cronExpression, timezone, jitterMs, isPaused, nextRunAt]);
+    return result.rows[0];
+  }
+
+  /**
+   * Claim a due tick by moving next_run_at forward
+   * Fails if another instance claimed the tick or the schedule changed meanwhile
+   * @param {Date} expectedRunAt - The next_run_at value the caller saw
+   * @param {Date} nextRunAt - The following tick
+   * @returns {Promise<boolean>} True if this caller owns the tick
+   */
+  static async claimTick(expectedRunAt, nextRunAt) {
+    const query = `
+      UPDATE scrape_schedule
+      SET next_run_at = $2
+      WHERE id = 1 AND is_paused = FALSE AND next_run_at = $1
+      RETURNING id;
+    `;
+
+    const result = await db.query(query, [expectedRunAt, nextRunAt]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record a tick that queued a job
+   * @param {number} jobId - Queued job ID
+   */
+  static async recordTriggered(jobId) {
+    const query = `
+      UPDATE scrape_schedule
+      SET last_triggered_at = CURRENT_TIMESTAMP, last_job_id = $1
+      WHERE id = 1;
+    `;
+
+    await db.query(query, [jobId]);
+  }
+
+  /**
+   * Record a tick that was skipped because a scrape was still in progress
+   */
+  static async recordSkipped() {
+    await db.query('UPDATE scrape_schedule SET last_skipped_at = CURRENT_TIMESTAMP WHERE id = 1');
+  }
+}
+
+module.exports = ScrapeScheduleModel;
@@ -0,0 +1,241 @@
+const db = require('../config/database');
+
+class WebhookDeliveryModel {
+  /**
+   * SQL for two CTEs that store events and queue a delivery for every active
+   * subscription to them. Appended to the WITH list of the statement that
+   * changes the data, so an event is stored if and only if its change is
+   * @param {string} eventsSql - SELECT of (event_type, payload, position) rows;
+   *   position orders the events of one statement
+   * @returns {string} CTE definitions
+   */
+  static queueEventsCte(eventsSql) {
+    return `
+      webhook_events_queued AS (
+        INSERT INTO webhook_events (event_type, payload)
+        SELECT e.event_type, e.payload
+        FROM (${eventsSql}) e
+        WHERE EXISTS (
+          SELECT 1 FROM webhook_subscriptions s
+          WHERE s.is_active = TRUE AND e.event_type = ANY(s.events)
+        )
+        ORDER BY e.position
+        RETURNING id, event_type
+      ),
+      webhook_deliveries_queued AS (
+        INSERT INTO webhook_deliveries (event_id, subscription_id)
+        SELECT q.id, s.id
+        FROM webhook_events_queued q
+        JOIN webhook_subscriptions s ON s.is_active = TRUE AND q.event_type = ANY(s.events)
+        ORDER BY q.id, s.id
+        RETURNING id
+      )`;
+  }
+
+  /**
+   * Store an event and queue it for delivery
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event data
+   * @param {Object} options - Options
+   * @param {number} [options.subscriptionId] - Deliver to this subscription only,
+   *   whatever its event types (default: every active subscription to the event)
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  static async enqueue(eventType, payload, { subscriptionId = null } = {}) {
+    const query = `
+      WITH event AS (
+        INSERT INTO webhook_events (event_type, payload)
+        SELECT $1::text, $2::jsonb
+        WHERE EXISTS (
+          SELECT 1 FROM webhook_subscriptions s
+          WHERE ${subscriptionId ? 's.id = $3' : 's.is_active = TRUE AND $1::text = ANY(s.events)'}
+        )
+        RETURNING id
+      )
+      INSERT INTO webhook_deliveries (event_id, subscription_id)
+      SELECT event.id, s.id
+      FROM event
+      JOIN webhook_subscriptions s
+        ON ${subscriptionId ? 's.id = $3' : 's.is_active = TRUE AND $1::text = ANY(s.events)'}
+      ORDER BY s.id
+      RETURNING id;
+    `;
+
+    const params = [eventType, JSON.stringify(payload)];
+    if (subscriptionId) {
+      params.push(subscriptionId);
+    }
+
+    const result = await db.query(query, params);
+    return result.rowCount;
+  }
+
+  /**
+   * Claim due deliveries. Only the oldest undelivered delivery of each active
+   * subscription is eligible, which keeps deliveries in order per subscription:
+   * a delivery waiting for a retry holds back the ones queued after it
+   * @param {number} limit - Maximum deliveries to claim
+   * @returns {Promise<Array>} Claimed deliveries with their subscription and event
+   */
+  static async claimDue(limit) {
+    const query = `
+      WITH heads AS (
+        SELECT DISTINCT ON (d.subscription_id) d.id, d.status, d.next_attempt_at
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id AND s.is_active = TRUE
+        WHERE d.status IN ('pending', 'delivering')
+        ORDER BY d.subscription_id, d.id
+      ),
+      due AS (
+        SELECT id FROM heads
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at, id
+        LIMIT $1
+      )
+      UPDATE webhook_deliveries d
+      SET status = 'delivering',
+          attempts = d.attempts + 1,
+          last_attempt_at = CURRENT_TIMESTAMP
+      FROM due, webhook_subscriptions s, webhook_events e
+      WHERE d.id = due.id
+        AND d.status = 'pending'
+        AND s.id = d.subscription_id
+        AND e.id = d.event_id
+      RETURNING d.*, s.url, s.secret, e.event_type, e.payload, e.created_at AS event_created_at;
+    `;
+
+    const result = await db.query(query, [limit]);
+    return result.rows;
+  }
+
+  /**
+   * Record a successful delivery
+   * @param {number} id - Delivery ID
+   * @param {number} statusCode - HTTP status of the response
+   */
+  static async markDelivered(id, statusCode) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'delivered',
+          delivered_at = CURRENT_TIMESTAMP,
+          last_status_code = $2,
+          last_error = NULL
+      WHERE id = $1;
+    `;
+
+    await db.query(query, [id, statusCode]);
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry, or dead-letter the delivery
+   * @param {number} id - Delivery ID
+   * @param {Object} outcome - Attempt outcome
+   * @param {number|null} outcome.statusCode - HTTP status, null without a response
+   * @param {string} outcome.error - Failure description
+   * @param {Date|null} outcome.retryAt - Next attempt, or null to give up
+   */
+  static async markFailed(id, { statusCode = null, error, retryAt }) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = CASE WHEN $4::timestamptz IS NULL THEN 'dead' ELSE 'pending' END,
+          next_attempt_at = $4,
+          last_status_code = $2,
+          last_error = $3
+      WHERE id = $1;
+    `;
+
+    await db.query(query, [id, statusCode, error, retryAt]);
+  }
+
+  /**
+   * Return deliveries whose worker died mid-attempt to the queue
+   * @param {number} staleAfterMs - Age of a claim after which it is considered dead
+   * @returns {Promise<number>} Number of recovered deliveries
+   */
+  static async recoverStale(staleAfterMs) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'pending',
+          next_attempt_at = CURRENT_TIMESTAMP,
+          last_error = 'Worker stopped during delivery'
+      WHERE status = 'delivering'
+        AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $1::float / 1000)
+      RETURNING id;
+    `;
+
+    const result = await db.query(query, [staleAfterMs]);
+    return result.rowCount;
+  }
+
+  /**
+   * Get the delivery log of a subscription, newest first
+   * @param {number} subscriptionId - Subscription ID
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} Deliveries with pagination
+   */
+  static async findBySubscription(subscriptionId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+
+    const offset = (page - 1) * limit;
+    const conditions = ['d.subscription_id = $1'];
+    const params = [subscriptionId];
+    let paramCount = 2;
+
+    if (status) {
+      conditions.push(`d.status = $${paramCount++}`);
+      params.push(status);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM webhook_deliveries d ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    const dataQuery = `
+      SELECT d.*, e.event_type, e.payload, e.created_at AS event_created_at
+      FROM webhook_deliveries d
+      JOIN webhook_events e ON e.id = d.event_id
+      ${whereClause}
+      ORDER BY d.id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `;
+    params.push(limit, offset);
+
+    const dataResult = await db.query(dataQuery, params);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Queue a dead or delivered delivery again, starting with a fresh attempt count
+   * @param {number} subscriptionId - Subscription ID
+   * @param {number} id - Delivery ID
+   * @returns {Promise<Object|null>} Requeued delivery, or null if not found or still queued
+   */
+  static async retry(subscriptionId, id) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'pending',
+          attempts = 0,
+          next_attempt_at = CURRENT_TIMESTAMP,
+          delivered_at = NULL
+      WHERE id = $1 AND subscription_id = $2 AND status IN ('dead', 'delivered')
+      RETURNING *;
+    `;
+
+    const result = await db.query(query, [id, subscriptionId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = WebhookDeliveryModel;
@@ -0,0 +1,90 @@
+const db = require('../config/database');
+
+// Queue state added to every subscription
+const DELIVERY_COUNTS = `
+  (SELECT COUNT(*) FROM webhook_deliveries d
+   WHERE d.subscription_id = s.id AND d.status IN ('pending', 'delivering'))::int AS pending_deliveries,
+  (SELECT COUNT(*) FROM webhook_deliveries d
+   WHERE d.subscription_id = s.id AND d.status = 'dead')::int AS dead_deliveries`;
+
+class WebhookSubscriptionModel {
+  /**
+   * Create a webhook subscription
+   * @param {Object} subscription - { url, events, secret, description, isActive }
+   * @returns {Promise<Object>} Created subscription
+   */
+  static async create({ url, events, secret, description = null, isActive = true }) {
+    const query = `
+      INSERT INTO webhook_subscriptions (url, events, secret, description, is_active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *, 0 AS pending_deliveries, 0 AS dead_deliveries;
+    `;
+
+    const result = await db.query(query, [url, events, secret, description, isActive]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get all subscriptions, oldest first
+   * @returns {Promise<Array>} Subscriptions
+   */
+  static async findAll() {
+    const query = `
+      SELECT s.*, ${DELIVERY_COUNTS}
+      FROM webhook_subscriptions s
+      ORDER BY s.id
+    `;
+
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Find a subscription by ID
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription or null
+   */
+  static async findById(id) {
+    const query = `SELECT s.*, ${DELIVERY_COUNTS} FROM webhook_subscriptions s WHERE s.id = $1`;
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a subscription
+   * @param {number} id - Subscription ID
+   * @param {Object} updates - Any of url, events, secret, description, is_active
+   * @returns {Promise<Object|null>} Updated subscription or null
+   */
+  static async update(id, updates) {
+    const allowedFields = ['url', 'events', 'secret', 'description', 'is_active'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key) && updates[key] !== undefined);
+
+    if (fields.length === 0) {
+      return this.findById(id);
+    }
+
+    const setClauses = fields.map((field, index) => `${field} = $${index + 2}`);
+    const query = `
+      UPDATE webhook_subscriptions s
+      SET ${setClauses.join(', ')}
+      WHERE s.id = $1
+      RETURNING s.*, ${DELIVERY_COUNTS};
+    `;
+
+    const result = await db.query(query, [id, ...fields.map(field => updates[field])]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * @param {number} id - Subscription ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id', [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = WebhookSubscriptionModel;
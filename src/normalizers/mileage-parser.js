@@ -0,0 +1,110 @@
+/**
+ * Mileage parser
+ * Converts free-text odometer readings ("50k", "50,000 km", "31 miles",
+ * "120k kms") to whole kilometers
+ */
+
+const KM_PER_MILE = 1.609344;
+
+// Readings above this are typos or not mileage at all
+const MAX_KM = 2000000;
+
+// "550k" alone is usually a price; without a unit it needs one of these next to it
+const CONTEXT_BEFORE = /(mileage|odo(?:meter)?|driven|run)\s*[:-]?\s*$/i;
+const CONTEXT_AFTER = /^\s*(mileage|odo(?:meter)?|only|driven|run)\b/i;
+
+// Thousands separators: comma, period, space, no-break space, thin space
+// and narrow no-break space
+const SEPARATORS = ',. \\u00a0\\u2009\\u202f';
+const SEPARATOR = new RegExp(`[${SEPARATORS}]`, 'g');
+const GROUPED = new RegExp(`[${SEPARATORS}]\\d{3}$`);
+
+// number, optional thousands multiplier, optional unit
+// "50,000", "50.000" and "50 000" use a thousands separator; "1.5" is a decimal;
+// "60tkm" is the local shorthand for 60 thousand km; "100,000+ km" is read as
+// its lower bound
+const READING = (
+  `(?<!\\d)(\\d{1,3}(?:[${SEPARATORS}]\\d{3})+(?!\\d)|\\d+(?:\\.\\d+)?)\\+?` +
+  '\\s*(k|thousand|t(?=km))?\\+?' +
+  '\\s*(kms?|kilomet(?:er|re)s?|mi|miles?)?'
+);
+const MILEAGE_PATTERN = new RegExp(`${READING}(?![a-z0-9])`, 'gi');
+const WHOLE_VALUE_PATTERN = new RegExp(`^\\s*${READING}\\s*$`, 'i');
+
+/**
+ * Convert a matched reading to kilometers
+ * @param {string} number - Numeric part
+ * @param {string} [multiplier] - "k" or "thousand"
+ * @param {string} [unit] - Distance unit
+ * @returns {number|null} Kilometers, or null when out of range
+ */
+function toKilometers(number, multiplier, unit) {
+  const isThousandsGrouped = GROUPED.test(number) && !/^\d+\.\d{1,2}$/.test(number);
+  let value = parseFloat(isThousandsGrouped ? number.replace(SEPARATOR, '') : number);
+
+  if (multiplier) {
+    value *= 1000;
+  }
+  if (unit && /^mi/i.test(unit)) {
+    value *= KM_PER_MILE;
+  }
+
+  const km = Math.round(value);
+  return km >= 0 && km <= MAX_KM ? km : null;
+}
+
+/**
+ * Find a mileage reading inside free text such as a listing title
+ * Only readings with a unit, or a "k" next to a word like "mileage" or "odo",
+ * count so prices, years and engine sizes are not mistaken for mileage
+ * @param {string} text - Text to search
+ * @returns {Object|null} { text, km } - Matched text and kilometers
+ */
+function extractMileage(text) {
+  if (!text) {
+    return null;
+  }
+
+  const source = String(text);
+
+  for (const match of source.matchAll(MILEAGE_PATTERN)) {
+    const [raw, number, multiplier, unit] = match;
+    if (!unit) {
+      const before = source.slice(0, match.index);
+      const after = source.slice(match.index + raw.length);
+      if (!multiplier || !(CONTEXT_BEFORE.test(before) || CONTEXT_AFTER.test(after))) continue;
+    }
+
+    const km = toKilometers(number, multiplier, unit);
+    if (km !== null) {
+      return { text: raw.trim(), km };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a mileage field such as car_listings.mileage; a value that is only a
+ * reading ("50k", "45000") is taken as is, bare numbers being kilometers
+ * @param {string|number} value - Mileage value
+ * @returns {number|null} Kilometers
+ */
+function parseMileage(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const whole = String(value).match(WHOLE_VALUE_PATTERN);
+  if (whole) {
+    return toKilometers(whole[1], whole[2], whole[3]);
+  }
+
+  const found = extractMileage(value);
+  return found ? found.km : null;
+}
+
+module.exports = {
+  extractMileage,
+  parseMileage,
+};
@@ -0,0 +1,251 @@
+const dictionary = require('./vehicle-dictionary');
+
+/**
+ * Listing title parser
+ * Extracts make, model, variant, transmission and engine size from free-text
+ * titles such as "2019 Toyota Vios 1.3 E MT" or "Mitsu Montero GLS 4x2 AT"
+ */
+
+// Words that say nothing about the vehicle and end the variant
+const NOISE_WORDS = new Set([
+  'for', 'sale', 'fs', 'rush', 'sell', 'selling', 'loaded', 'fresh', 'low', 'mileage',
+  'negotiable', 'nego', 'price', 'php', 'cash', 'financing', 'assume', 'balance',
+  'casa', 'maintained', 'first', 'owned', 'owner', 'mint', 'condition', 'w', 'with', 'and',
+]);
+
+const TRANSMISSIONS = [
+  { pattern: /^(a\/?t|auto|automatic|cvt|dct|tiptronic)$/, value: 'automatic' },
+  { pattern: /^(m\/?t|manual|stick)$/, value: 'manual' },
+];
+
+const MAX_VARIANT_TOKENS = 4;
+
+// Numbers and readings ("50k", "80000", "60tkm") are never part of a trim name
+const MEASUREMENT = /^\d[\d,.]*(k|km|kms|tkm|mi|miles)?$/;
+
+/**
+ * Lowercase text and split it into tokens; hyphens split words and
+ * decimal points survive so engine sizes stay intact
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9./]+/g, ' ')
+    .replace(/(^|\s)[./]+|[./]+(?=\s|$)/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Every token sequence a dictionary name or alias should match
+ * @param {string} name - Canonical name or alias
+ * @returns {Array<Array<string>>} Token sequences
+ */
+function spellings(name) {
+  const tokens = tokenize(name.replace(/-/g, ' '));
+  const forms = [tokens];
+  if (tokens.length > 1) {
+    forms.push([tokens.join('')]);
+  }
+  return forms;
+}
+
+// Flattened lookup tables, longest spellings first so "Land Cruiser Prado"
+// wins over "Land Cruiser" and "Mirage G4" over "Mirage"
+const MAKE_ENTRIES = [];
+const MODEL_ENTRIES = [];
+
+for (const entry of dictionary) {
+  for (const name of [entry.make, ...(entry.aliases || [])]) {
+    for (const tokens of spellings(name)) {
+      MAKE_ENTRIES.push({ make: entry.make, tokens });
+    }
+  }
+
+  for (const model of entry.models) {
+    for (const name of [model.name, ...(model.aliases || [])]) {
+      for (const tokens of spellings(name)) {
+        MODEL_ENTRIES.push({ make: entry.make, model: model.name, tokens });
+      }
+    }
+  }
+}
+
+const byLength = (a, b) => b.tokens.length - a.tokens.length || b.tokens.join('').length - a.tokens.join('').length;
+MAKE_ENTRIES.sort(byLength);
+MODEL_ENTRIES.sort(byLength);
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Allowed typos for a single-word spelling; short names must match exactly
+ * @param {string} word - Dictionary word
+ * @returns {number} Maximum edit distance
+ */
+function typoTolerance(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * Find the first dictionary entry that appears in the tokens
+ * @param {Array<string>} tokens - Title tokens
+ * @param {Array<Object>} entries - Dictionary entries to try
+ * @param {Set<number>} used - Token positions already claimed
+ * @returns {Object|null} { entry, start, end, exact }
+ */
+function findEntry(tokens, entries, used) {
+  for (const entry of entries) {
+    const length = entry.tokens.length;
+    for (let start = 0; start + length <= tokens.length; start++) {
+      if (used.has(start)) continue;
+      if (entry.tokens.every((token, i) => tokens[start + i] === token)) {
+        return { entry, start, end: start + length, exact: true };
+      }
+    }
+  }
+
+  // Fuzzy pass: single words only, closest match wins
+  let best = null;
+  for (const entry of entries) {
+    if (entry.tokens.length !== 1) continue;
+
+    const word = entry.tokens[0];
+    const tolerance = typoTolerance(word);
+    if (tolerance === 0) continue;
+
+    tokens.forEach((token, start) => {
+      if (used.has(start) || Math.abs(token.length - word.length) > tolerance) return;
+
+      const distance = editDistance(token, word);
+      if (distance <= tolerance && (!best || distance < best.distance)) {
+        best = { entry, start, end: start + 1, exact: false, distance };
+      }
+    });
+  }
+
+  return best;
+}
+
+/**
+ * Parse a listing title into structured vehicle fields
+ * @param {string} title - Listing title
+ * @returns {Object} { make, model, variant, transmission, engine_size, title_confidence },
+ *   title_confidence ranging from 0 (nothing recognized) to 1
+ */
+function parseTitle(title) {
+  const result = {
+    make: null,
+    model: null,
+    variant: null,
+    transmission: null,
+    engine_size: null,
+    title_confidence: 0,
+  };
+
+  if (!title) {
+    return result;
+  }
+
+  const tokens = tokenize(title);
+  const used = new Set();
+  let confidence = 0;
+
+  // Year, engine size and transmission can appear anywhere in the title
+  let hasYear = false;
+  tokens.forEach((token, i) => {
+    if (/^(19[5-9]\d|20\d\d)$/.test(token)) {
+      hasYear = true;
+      used.add(i);
+      return;
+    }
+
+    const engine = token.match(/^(\d\.\d)(l|liter|litre)?$/);
+    if (engine && !result.engine_size) {
+      const size = parseFloat(engine[1]);
+      if (size >= 0.6 && size <= 8) {
+        result.engine_size = size;
+        used.add(i);
+      }
+      return;
+    }
+
+    const transmission = TRANSMISSIONS.find(({ pattern }) => pattern.test(token));
+    if (transmission) {
+      result.transmission = result.transmission || transmission.value;
+      used.add(i);
+    }
+  });
+
+  const makeMatch = findEntry(tokens, MAKE_ENTRIES, used);
+  if (makeMatch) {
+    result.make = makeMatch.entry.make;
+    confidence += makeMatch.exact ? 0.4 : 0.3;
+    for (let i = makeMatch.start; i < makeMatch.end; i++) used.add(i);
+  }
+
+  const candidates = result.make
+    ? MODEL_ENTRIES.filter((entry) => entry.make === result.make)
+    : MODEL_ENTRIES;
+  const modelMatch = findEntry(tokens, candidates, used);
+
+  if (modelMatch) {
+    result.model = modelMatch.entry.model;
+    confidence += modelMatch.exact ? 0.4 : 0.25;
+    for (let i = modelMatch.start; i < modelMatch.end; i++) used.add(i);
+
+    // Titles often skip the make ("2019 Vios 1.3 E"); infer it from the model
+    if (!result.make) {
+      result.make = modelMatch.entry.make;
+      confidence += 0.2;
+    }
+
+    // The variant is whatever trim text directly follows the model
+    const variant = [];
+    for (let i = modelMatch.end; i < tokens.length && variant.length < MAX_VARIANT_TOKENS; i++) {
+      if (used.has(i)) continue;
+      if (NOISE_WORDS.has(tokens[i]) || MEASUREMENT.test(tokens[i])) break;
+      variant.push(tokens[i].toUpperCase());
+    }
+    if (variant.length > 0) {
+      result.variant = variant.join(' ');
+    }
+  }
+
+  // Year and trim details only support a make/model match, they are not one
+  if (result.make) {
+    if (hasYear) confidence += 0.1;
+    if (result.variant || result.engine_size) confidence += 0.1;
+  }
+
+  result.title_confidence = Math.round(Math.min(confidence, 1) * 100) / 100;
+
+  return result;
+}
+
+module.exports = {
+  parseTitle,
+};
@@ -0,0 +1,258 @@
+/**
+ * Make/model dictionary used to parse listing titles
+ *
+ * Names are the canonical values stored in car_listings.make/model. The parser
+ * also matches each name lowercased, with hyphens as spaces and without spaces
+ * ("D-Max" matches "d-max", "d max" and "dmax"), so aliases only need to list
+ * misspellings, abbreviations and local (Philippine market) naming.
+ */
+
+module.exports = [
+  {
+    make: 'Toyota',
+    aliases: ['toyta', 'toyata', 'tyota', 'toyoya'],
+    models: [
+      { name: 'Vios', aliases: ['vois', 'vius'] },
+      { name: 'Wigo' },
+      { name: 'Innova', aliases: ['inova'] },
+      { name: 'Fortuner', aliases: ['fortuna', 'fortunner'] },
+      { name: 'Hilux', aliases: ['hi-lux', 'hilox'] },
+      { name: 'Corolla Altis', aliases: ['altis', 'corolla'] },
+      { name: 'Camry' },
+      { name: 'Rush' },
+      { name: 'Avanza' },
+      { name: 'Veloz' },
+      { name: 'Raize' },
+      { name: 'Yaris' },
+      { name: 'RAV4', aliases: ['rav 4'] },
+      { name: 'Land Cruiser', aliases: ['landcruiser', 'lc200', 'lc300'] },
+      { name: 'Land Cruiser Prado', aliases: ['prado'] },
+      { name: 'Hiace', aliases: ['hi-ace', 'grandia', 'commuter'] },
+      { name: 'Revo' },
+      { name: 'Tamaraw FX', aliases: ['tamaraw'] },
+      { name: 'Alphard' },
+      { name: 'Lite Ace', aliases: ['liteace'] },
+    ],
+  },
+  {
+    make: 'Mitsubishi',
+    aliases: ['mitsu', 'mitsubichi', 'mitsibishi', 'mitsubushi', 'mitsubishe'],
+    models: [
+      { name: 'Mirage G4', aliases: ['g4'] },
+      { name: 'Mirage' },
+      { name: 'Montero Sport', aliases: ['montero'] },
+      { name: 'Strada' },
+      { name: 'Xpander', aliases: ['expander'] },
+      { name: 'L300', aliases: ['l-300'] },
+      { name: 'Adventure' },
+      { name: 'Lancer', aliases: ['lancer ex'] },
+      { name: 'Pajero' },
+      { name: 'ASX' },
+    ],
+  },
+  {
+    make: 'Honda',
+    aliases: ['hunda'],
+    models: [
+      { name: 'City' },
+      { name: 'Civic' },
+      { name: 'Jazz' },
+      { name: 'Brio' },
+      { name: 'BR-V' },
+      { name: 'CR-V' },
+      { name: 'HR-V' },
+      { name: 'Accord' },
+      { name: 'Mobilio' },
+      { name: 'Odyssey' },
+    ],
+  },
+  {
+    make: 'Nissan',
+    aliases: ['nisan', 'nissa'],
+    models: [
+      { name: 'Almera' },
+      { name: 'Navara', aliases: ['navarra'] },
+      { name: 'Terra' },
+      { name: 'Patrol' },
+      { name: 'Urvan', aliases: ['nv350'] },
+      { name: 'Sentra' },
+      { name: 'X-Trail' },
+      { name: 'Juke' },
+      { name: 'Livina' },
+      { name: 'Frontier' },
+    ],
+  },
+  {
+    make: 'Ford',
+    models: [
+      { name: 'Ranger', aliases: ['raptor'] },
+      { name: 'Everest' },
+      { name: 'EcoSport' },
+      { name: 'Territory' },
+      { name: 'Mustang' },
+      { name: 'Fiesta' },
+      { name: 'Focus' },
+      { name: 'Explorer' },
+      { name: 'Expedition' },
+    ],
+  },
+  {
+    make: 'Hyundai',
+    aliases: ['hyundia', 'hundai', 'hyunday', 'hyndai', 'huyndai'],
+    models: [
+      { name: 'Accent' },
+      { name: 'Reina' },
+      { name: 'Eon' },
+      { name: 'Tucson', aliases: ['tuscon'] },
+      { name: 'Santa Fe', aliases: ['santafe'] },
+      { name: 'Grand Starex', aliases: ['starex'] },
+      { name: 'Creta' },
+      { name: 'Stargazer' },
+      { name: 'Elantra' },
+      { name: 'i10' },
+    ],
+  },
+  {
+    make: 'Kia',
+    models: [
+      { name: 'Picanto' },
+      { name: 'Rio' },
+      { name: 'Soluto' },
+      { name: 'Stonic' },
+      { name: 'Sportage' },
+      { name: 'Sorento' },
+      { name: 'Carnival' },
+    ],
+  },
+  {
+    make: 'Suzuki',
+    aliases: ['suzuky', 'susuki'],
+    models: [
+      { name: 'Ertiga' },
+      { name: 'Swift' },
+      { name: 'Dzire' },
+      { name: 'Celerio' },
+      { name: 'Jimny', aliases: ['jimmy'] },
+      { name: 'Vitara' },
+      { name: 'XL7' },
+      { name: 'APV' },
+      { name: 'Alto' },
+      { name: 'S-Presso' },
+      { name: 'Carry', aliases: ['multicab'] },
+    ],
+  },
+  {
+    make: 'Isuzu',
+    aliases: ['isusu', 'izusu'],
+    models: [
+      { name: 'D-Max' },
+      { name: 'mu-X' },
+      { name: 'Crosswind', aliases: ['xwind'] },
+      { name: 'Traviz' },
+      { name: 'Sportivo' },
+    ],
+  },
+  {
+    make: 'Mazda',
+    models: [
+      { name: 'Mazda2', aliases: ['mazda 2'] },
+      { name: 'Mazda3', aliases: ['mazda 3'] },
+      { name: 'CX-3' },
+      { name: 'CX-5' },
+      { name: 'CX-30' },
+      { name: 'CX-9' },
+      { name: 'BT-50' },
+      { name: 'MX-5', aliases: ['miata'] },
+    ],
+  },
+  {
+    make: 'Chevrolet',
+    aliases: ['chevy', 'chev', 'chevrolet'],
+    models: [
+      { name: 'Trailblazer' },
+      { name: 'Spark' },
+      { name: 'Colorado' },
+      { name: 'Sail' },
+      { name: 'Trax' },
+      { name: 'Captiva' },
+    ],
+  },
+  {
+    make: 'Subaru',
+    models: [
+      { name: 'Forester' },
+      { name: 'XV' },
+      { name: 'Outback' },
+      { name: 'WRX' },
+      { name: 'BRZ' },
+    ],
+  },
+  {
+    make: 'MG',
+    models: [
+      { name: 'ZS' },
+      { name: 'RX5' },
+      { name: 'MG5', aliases: ['mg 5'] },
+    ],
+  },
+  {
+    make: 'Geely',
+    models: [
+      { name: 'Coolray' },
+      { name: 'Okavango' },
+      { name: 'Emgrand' },
+    ],
+  },
+  {
+    make: 'Chery',
+    models: [
+      { name: 'Tiggo' },
+    ],
+  },
+  {
+    make: 'Foton',
+    models: [
+      { name: 'Gratour' },
+      { name: 'Thunder' },
+      { name: 'Toplander' },
+    ],
+  },
+  {
+    make: 'Volkswagen',
+    aliases: ['vw', 'volkswagon'],
+    models: [
+      { name: 'Santana' },
+      { name: 'Lavida' },
+      { name: 'T-Cross' },
+    ],
+  },
+  {
+    make: 'BMW',
+    models: [
+      { name: '3 Series', aliases: ['318i', '320i', '320d', '330i'] },
+      { name: '5 Series', aliases: ['520i', '520d', '530i'] },
+      { name: 'X1' },
+      { name: 'X3' },
+      { name: 'X5' },
+    ],
+  },
+  {
+    make: 'Mercedes-Benz',
+    aliases: ['mercedes', 'benz', 'mercedez', 'mercedez benz'],
+    models: [
+      { name: 'C-Class', aliases: ['c200', 'c180', 'c300'] },
+      { name: 'E-Class', aliases: ['e200', 'e250', 'e300'] },
+      { name: 'GLA' },
+      { name: 'GLC' },
+    ],
+  },
+  {
+    make: 'Lexus',
+    models: [
+      { name: 'RX' },
+      { name: 'NX' },
+      { name: 'ES' },
+      { name: 'LX' },
+    ],
+  },
+];
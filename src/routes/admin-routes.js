@@ -0,0 +1,31 @@
+const express = require('express');
+const ApiKeyController = require('../controllers/api-key-controller');
+const CarListingController = require('../controllers/car-listing-controller');
+const {
+  validateGetById,
+  validateCreateApiKey,
+  validateApiKeyQueryParams,
+  validateDeletedListingsQuery,
+  validateHardDelete,
+} = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * API Routes for Administration
+ * Mounted at /api/admin; every route requires the admin role
+ */
+
+router.use(requireRole('admin'));
+
+// API keys
+router.get('/api-keys', validateApiKeyQueryParams, ApiKeyController.listKeys);
+router.post('/api-keys', validateCreateApiKey, ApiKeyController.createKey);
+router.delete('/api-keys/:id', validateGetById, ApiKeyController.revokeKey);
+
+// Deleted listings
+router.get('/listings/deleted', validateDeletedListingsQuery, CarListingController.getDeletedListings);
+router.delete('/listings/:id', validateGetById, validateHardDelete, CarListingController.purgeListing);
+
+module.exports = router;
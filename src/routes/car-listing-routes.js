@@ -1,10 +1,19 @@
 const express = require('express');
 const CarListingController = require('../controllers/car-listing-controller');
 const {
+  validateCreateListing,
   validateUpdateListing,
+  validateAuditQuery,
+  validateGetImage,
   validateGetById,
   validateQueryParams,
+  validateStatsQuery,
+  validateFacetQuery,
+  validateExportQuery,
+  validateImportQuery,
 } = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+const { exportRateLimit } = require('../middleware/rate-limiter');
 
 const router = express.Router();
 
@@ -13,19 +22,40 @@ const router = express.Router();
  * RESTful API endpoints
  */
 
+// CSV files are read as text; JSON bodies are parsed by the app
+const csvBody = express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '10mb' });
+
 // Health check
 router.get('/health', CarListingController.healthCheck);
 
 // Statistics
-router.get('/stats', CarListingController.getStatistics);
-
-// Trigger scraping
-router.post('/scrape', CarListingController.triggerScraping);
+router.get('/stats', requireRole('reader'), validateStatsQuery, CarListingController.getStatistics);
 
 // CRUD operations for listings
-router.get('/listings', validateQueryParams, CarListingController.getAllListings);
-router.get('/listings/:id', validateGetById, CarListingController.getListingById);
-router.put('/listings/:id', validateUpdateListing, CarListingController.updateListing);
-router.delete('/listings/:id', validateGetById, CarListingController.deleteListing);
+router.get('/listings', requireRole('reader'), validateQueryParams, CarListingController.getAllListings);
+router.post('/listings', requireRole('editor'), validateCreateListing, CarListingController.createListing);
+router.get('/listings/facets', requireRole('reader'), validateQueryParams, validateFacetQuery, CarListingController.getFacets);
+router.get('/listings/export', requireRole('reader'), exportRateLimit, validateQueryParams, validateExportQuery, CarListingController.exportListings);
+router.post('/listings/import', requireRole('editor'), csvBody, validateImportQuery, CarListingController.importListings);
+router.get('/listings/:id', requireRole('reader'), validateGetById, CarListingController.getListingById);
+router.put('/listings/:id', requireRole('editor'), validateUpdateListing, CarListingController.updateListing);
+router.delete('/listings/:id', requireRole('editor'), validateGetById, CarListingController.deleteListing);
+router.post('/listings/:id/restore', requireRole('editor'), validateGetById, CarListingController.restoreListing);
+
+// Price history
+router.get('/listings/:id/price-history', requireRole('reader'), validateGetById, CarListingController.getPriceHistory);
+
+// Probable duplicates (e.g. reposts) of a listing
+router.get('/listings/:id/duplicates', requireRole('reader'), validateGetById, CarListingController.getDuplicates);
+
+// Estimated market price and deal score, with the comparables used
+router.get('/listings/:id/valuation', requireRole('reader'), validateGetById, CarListingController.getValuation);
+
+// Archived copies of the listing's photos, with thumbnails
+router.get('/listings/:id/images', requireRole('reader'), validateGetById, CarListingController.getImages);
+router.get('/listings/:id/images/:size', requireRole('reader'), validateGetImage, CarListingController.getImage);
+
+// Audit trail of edits and deletions; names the API keys that made them
+router.get('/listings/:id/audit', requireRole('editor'), validateAuditQuery, CarListingController.getAuditLog);
 
 module.exports = router;
\ No newline at end of file
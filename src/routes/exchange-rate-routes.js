@@ -0,0 +1,16 @@
+const express = require('express');
+const ExchangeRateController = require('../controllers/exchange-rate-controller');
+const { validateSetExchangeRate } = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * API Routes for Exchange Rates
+ * Mounted at /api/exchange-rates
+ */
+
+router.get('/', requireRole('reader'), ExchangeRateController.listRates);
+router.put('/:code', requireRole('admin'), validateSetExchangeRate, ExchangeRateController.setRate);
+
+module.exports = router;
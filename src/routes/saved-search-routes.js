@@ -0,0 +1,29 @@
+const express = require('express');
+const SavedSearchController = require('../controllers/saved-search-controller');
+const {
+  validateGetById,
+  validateCreateSavedSearch,
+  validateUpdateSavedSearch,
+  validateAlertQueryParams,
+  validateMarkAlerts,
+} = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * API Routes for Saved Searches
+ * Mounted at /api/saved-searches
+ */
+
+router.get('/', requireRole('reader'), SavedSearchController.listSavedSearches);
+router.post('/', requireRole('editor'), validateCreateSavedSearch, SavedSearchController.createSavedSearch);
+router.get('/:id', requireRole('reader'), validateGetById, SavedSearchController.getSavedSearch);
+router.put('/:id', requireRole('editor'), validateUpdateSavedSearch, SavedSearchController.updateSavedSearch);
+router.delete('/:id', requireRole('editor'), validateGetById, SavedSearchController.deleteSavedSearch);
+
+// Alerts raised by scrapes
+router.get('/:id/alerts', requireRole('reader'), validateAlertQueryParams, SavedSearchController.getAlerts);
+router.patch('/:id/alerts', requireRole('editor'), validateMarkAlerts, SavedSearchController.markAlerts);
+
+module.exports = router;
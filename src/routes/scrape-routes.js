@@ -0,0 +1,32 @@
+const express = require('express');
+const ScrapeJobController = require('../controllers/scrape-job-controller');
+const ScrapeScheduleController = require('../controllers/scrape-schedule-controller');
+const {
+  validateGetById,
+  validateTriggerScrape,
+  validateJobQueryParams,
+  validateUpdateSchedule,
+} = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+const { scrapeRateLimit } = require('../middleware/rate-limiter');
+
+const router = express.Router();
+
+/**
+ * API Routes for Scraping
+ * Mounted at /api/scrape
+ */
+
+// Queue a scraping job
+router.post('/', requireRole('editor'), scrapeRateLimit, validateTriggerScrape, ScrapeJobController.triggerScraping);
+
+// Job status
+router.get('/jobs', requireRole('reader'), validateJobQueryParams, ScrapeJobController.listJobs);
+router.get('/jobs/:id', requireRole('reader'), validateGetById, ScrapeJobController.getJob);
+router.post('/jobs/:id/cancel', requireRole('editor'), validateGetById, ScrapeJobController.cancelJob);
+
+// Recurring schedule
+router.get('/schedule', requireRole('reader'), ScrapeScheduleController.getSchedule);
+router.put('/schedule', requireRole('admin'), validateUpdateSchedule, ScrapeScheduleController.updateSchedule);
+
+module.exports = router;
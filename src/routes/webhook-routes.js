@@ -0,0 +1,32 @@
+const express = require('express');
+const WebhookController = require('../controllers/webhook-controller');
+const {
+  validateGetById,
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateDeliveryQueryParams,
+  validateRetryDelivery,
+} = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * API Routes for Webhooks
+ * Mounted at /api/webhooks; subscriptions hold secrets, so every route is admin-only
+ */
+
+router.use(requireRole('admin'));
+
+router.get('/', WebhookController.listSubscriptions);
+router.post('/', validateCreateWebhook, WebhookController.createSubscription);
+router.get('/:id', validateGetById, WebhookController.getSubscription);
+router.put('/:id', validateUpdateWebhook, WebhookController.updateSubscription);
+router.delete('/:id', validateGetById, WebhookController.deleteSubscription);
+router.post('/:id/test', validateGetById, WebhookController.sendTestEvent);
+
+// Delivery log
+router.get('/:id/deliveries', validateDeliveryQueryParams, WebhookController.listDeliveries);
+router.post('/:id/deliveries/:deliveryId/retry', validateRetryDelivery, WebhookController.retryDelivery);
+
+module.exports = router;
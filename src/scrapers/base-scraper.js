@@ -0,0 +1,361 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const puppeteer = require('puppeteer');
+const logger = require('../utils/logger');
+const { parseTitle } = require('../normalizers/title-parser');
+const { extractMileage } = require('../normalizers/mileage-parser');
+
+const MODES = ['live', 'record', 'replay'];
+
+// Currency symbols seen in prices; an explicit code ("USD 5,000") wins
+const CURRENCY_SYMBOLS = {
+  '₱': 'PHP',
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+};
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Promise to guard
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The guarded promise
+ */
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Base Scraper
+ * Common browser handling and normalization for marketplace scrapers.
+ *
+ * A source extends this class, sets `static source` to its unique name and
+ * implements scrape(), setting `reachedLimit` when the run stopped at
+ * options.maxListings. Override normalizeListingData() or extractListingId()
+ * when the source needs different parsing. Implement scrapeDetail() to support
+ * the detail-page enrichment pass.
+ *
+ * Modes (options.mode):
+ * - live: scrape the marketplace
+ * - record: scrape the marketplace and save each loaded page as an HTML snapshot
+ * - replay: load saved snapshots from disk instead of the network
+ */
+
+class BaseScraper {
+  /**
+   * @param {Object} options - Source configuration (see config.scraper.sources)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.browser = null;
+    this.page = null;
+    // Set by scrape() when the run stopped at options.maxListings, so listings
+    // it did not return may still be live
+    this.reachedLimit = false;
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Invalid scrape mode: ${this.mode}. Expected one of: ${MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Scrape mode: live, record or replay
+   */
+  get mode() {
+    return this.options.mode || 'live';
+  }
+
+  /**
+   * Name stored in car_listings.source
+   */
+  static source = null;
+
+  /**
+   * Initialize browser and page
+   */
+  async initialize() {
+    try {
+      logger.info(`Initializing browser for ${this.constructor.source}...`);
+      
+      this.browser = await puppeteer.launch({
+        headless: this.options.headless,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--disable-gpu',
+          '--window-size=1920x1080',
+          '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
+        ],
+      });
+
+      this.page = await this.newPage();
+
+      logger.info('Browser initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize browser', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a new page configured like a real browser
+   * @returns {Promise<Page>} Puppeteer page
+   */
+  async newPage() {
+    const page = await this.browser.newPage();
+    
+    // Set viewport
+    await page.setViewport({ width: 1920, height: 1080 });
+
+    // Set extra headers to appear more like a real browser
+    await page.setExtraHTTPHeaders({
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    });
+
+    // Replay never touches the network, and recorded scripts must not rewrite the saved DOM
+    if (this.mode === 'replay') {
+      await page.setJavaScriptEnabled(false);
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.url().startsWith('file:')) {
+          request.continue();
+        } else {
+          request.abort();
+        }
+      });
+    }
+
+    return page;
+  }
+
+  /**
+   * Scrape listings from the source
+   * @param {Object} options - Scrape options
+   * @param {AbortSignal} [options.signal] - Aborts the run between steps
+   * @returns {Promise<Array>} Array of normalized car listing objects
+   */
+  async scrape() {
+    throw new Error(`${this.constructor.name} must implement scrape()`);
+  }
+
+  /**
+   * Scrape the detail page of a single listing
+   * @param {Page} page - Page to load the detail page in
+   * @param {Object} listing - Stored listing (id, source_url, listing_id, ...)
+   * @returns {Promise<Object|null>} Detail fields, or null if unsupported
+   */
+  async scrapeDetail() {
+    return null;
+  }
+
+  /**
+   * Detail-page enrichment pass: visit each listing's detail page with limited
+   * concurrency and a per-page timeout. A failing page is logged and skipped.
+   * @param {Array<Object>} listings - Stored listings to enrich
+   * @param {Object} options - Options
+   * @param {AbortSignal} [options.signal] - Stops the pass between pages
+   * @returns {Promise<Map<number, Object>>} Detail fields keyed by listing ID
+   */
+  async enrichListings(listings, { signal } = {}) {
+    const details = new Map();
+    const queue = [...listings];
+    const concurrency = Math.max(1, Math.min(this.options.detailConcurrency || 1, queue.length));
+
+    if (queue.length === 0) {
+      return details;
+    }
+
+    logger.info(`Enriching ${queue.length} listings from detail pages (concurrency ${concurrency})`);
+
+    const runWorker = async () => {
+      const page = await this.newPage();
+
+      try {
+        while (queue.length > 0) {
+          signal?.throwIfAborted();
+          const listing = queue.shift();
+
+          try {
+            const result = await withTimeout(
+              this.scrapeDetail(page, listing),
+              this.options.detailTimeout,
+              `Detail page timed out after ${this.options.detailTimeout}ms`
+            );
+            if (result) {
+              details.set(listing.id, result);
+            }
+          } catch (error) {
+            if (signal?.aborted) throw error;
+            logger.warn(`Failed to enrich listing ${listing.id}`, { url: listing.source_url, error: error.message });
+          }
+        }
+      } finally {
+        await page.close().catch(() => {});
+      }
+    };
+
+    try {
+      await this.initialize();
+      await Promise.all(Array.from({ length: concurrency }, runWorker));
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      throw error;
+    } finally {
+      await this.cleanup();
+    }
+
+    logger.info(`Enriched ${details.size} of ${listings.length} listings`);
+    return details;
+  }
+
+  /**
+   * Normalize and validate scraped data
+   * @param {Object} rawData - Raw scraped data (title, price_raw, url, ...)
+   * @returns {Object|null} Normalized listing object or null
+   */
+  normalizeListingData(rawData) {
+    try {
+      // Extract price and currency
+      const priceMatch = rawData.price_raw.match(/([A-Z]{3})?\s*([₱$€£])?\s*([\d,]+)/);
+      if (!priceMatch) {
+        logger.warn('Could not parse price', { rawData });
+        return null;
+      }
+
+      const currency = priceMatch[1] || CURRENCY_SYMBOLS[priceMatch[2]] || 'PHP';
+      const price = parseFloat(priceMatch[3].replace(/,/g, ''));
+
+      // Extract year from title if present
+      const yearMatch = rawData.title.match(/\b(19|20)\d{2}\b/);
+      const year = yearMatch ? parseInt(yearMatch[0], 10) : null;
+
+      // Extract mileage if present in title
+      const mileage = extractMileage(rawData.title);
+
+      return {
+        title: rawData.title,
+        price,
+        currency,
+        year,
+        mileage: mileage ? mileage.text : null,
+        mileage_km: mileage ? mileage.km : null,
+        ...parseTitle(rawData.title),
+        location: rawData.location || this.options.defaultLocation || null,
+        source: this.constructor.source,
+        source_url: rawData.url,
+        listing_id: rawData.listing_id || this.extractListingId(rawData.url),
+        image_url: rawData.image_url || null,
+        description: rawData.description || null,
+      };
+    } catch (error) {
+      logger.error('Error normalizing listing data', { error, rawData });
+      return null;
+    }
+  }
+
+  /**
+   * Extract the source's own listing ID from a listing URL
+   * @param {string} url - Listing URL
+   * @returns {string|null} Listing ID
+   */
+  extractListingId() {
+    return null;
+  }
+
+  /**
+   * Directory holding this source's snapshots
+   * @returns {string} Absolute path
+   */
+  getSnapshotDir() {
+    return path.resolve(this.options.snapshotDir || './snapshots', this.constructor.source);
+  }
+
+  /**
+   * Save the current page as a snapshot when running in record mode
+   * A <base> tag pointing at the original URL is injected so relative links
+   * resolve to the marketplace again when the snapshot is replayed
+   * @param {string} kind - Snapshot kind, used as the file name prefix (e.g. 'listings')
+   * @param {Page} [page] - Page to save (default: the main page)
+   * @returns {Promise<string|null>} Snapshot path, or null when not recording
+   */
+  async recordSnapshot(kind, page = this.page) {
+    if (this.mode !== 'record') return null;
+
+    const dir = this.getSnapshotDir();
+    await fs.mkdir(dir, { recursive: true });
+
+    const baseTag = `<base href="${page.url().replace(/"/g, '&quot;')}">`;
+    const html = (await page.content()).replace(/<head([^>]*)>/i, `<head$1>${baseTag}`);
+    const filePath = path.join(dir, `${kind}-${Date.now()}.html`);
+
+    await fs.writeFile(filePath, html, 'utf8');
+    logger.info(`Recorded snapshot: ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * List recorded snapshots of a kind, oldest first
+   * @param {string} kind - Snapshot kind (file name prefix)
+   * @returns {Promise<Array<string>>} Snapshot paths
+   */
+  async listSnapshots(kind) {
+    const dir = this.getSnapshotDir();
+
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`No snapshot directory for ${this.constructor.source}: ${dir}`);
+        return [];
+      }
+      throw error;
+    }
+
+    const snapshots = files
+      .filter(file => file.startsWith(`${kind}-`) && file.endsWith('.html'))
+      .sort()
+      .map(file => path.join(dir, file));
+
+    logger.debug(`Found ${snapshots.length} ${kind} snapshots in ${dir}`);
+    return snapshots;
+  }
+
+  /**
+   * Load a snapshot into a page
+   * @param {string} filePath - Snapshot path
+   * @param {Page} [page] - Page to load it in (default: the main page)
+   */
+  async openSnapshot(filePath, page = this.page) {
+    await page.goto(pathToFileURL(filePath).href, {
+      waitUntil: 'load',
+      timeout: this.options.timeout,
+    });
+  }
+
+  /**
+   * Cleanup browser resources
+   */
+  async cleanup() {
+    if (this.browser) {
+      const browser = this.browser;
+      this.browser = null;
+      this.page = null;
+      await browser.close();
+      logger.info('Browser closed');
+    }
+  }
+}
+
+module.exports = BaseScraper;
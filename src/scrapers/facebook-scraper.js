@@ -1,7 +1,6 @@
-const puppeteer = require('puppeteer');
-const config = require('../config');
+const BaseScraper = require('./base-scraper');
 const logger = require('../utils/logger');
-const CarListingModel = require('../models/car-listing');
+const { parseMileage } = require('../normalizers/mileage-parser');
 
 /**
  * Facebook Marketplace Scraper
@@ -15,145 +14,29 @@ const CarListingModel = require('../models/car-listing');
 - **Legal considerations**: Violates Facebook ToS
  */
 
-class FacebookScraper {
-  constructor() {
-    this.browser = null;
-    this.page = null;
-  }
-
-  /**
-   * Initialize browser and page
-   */
-  async initialize() {
-    try {
-      logger.info('Initializing browser...');
-      
-      this.browser = await puppeteer.launch({
-        headless: config.scraper.headless,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu',
-          '--window-size=1920x1080',
-          '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-        ],
-      });
-
-      this.page = await this.browser.newPage();
-      
-      // Set viewport
-      await this.page.setViewport({ width: 1920, height: 1080 });
-
-      // Set extra headers to appear more like a real browser
-      await this.page.setExtraHTTPHeaders({
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      });
-
-      logger.info('Browser initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize browser', error);
-      throw error;
-    }
-  }
+class FacebookScraper extends BaseScraper {
+  static source = 'facebook';
 
   /**
    * Scrape car listings from Facebook Marketplace
+   * In replay mode the listings come from recorded snapshots instead of the live site
+   * @param {Object} options - Scrape options
+   * @param {AbortSignal} [options.signal] - Aborts the run between steps
    * @returns {Promise<Array>} Array of car listing objects
    */
-  async scrape() {
+  async scrape({ signal } = {}) {
     const listings = [];
 
     try {
       await this.initialize();
+      signal?.throwIfAborted();
 
-      logger.info(`Navigating to: ${config.scraper.url}`);
-      
-      // Navigate to the URL
-      await this.page.goto(config.scraper.url, {
-        waitUntil: 'networkidle2',
-        timeout: config.scraper.timeout,
-      });
-
-      // Wait for content to load (Puppeteer v24+ removed page.waitForTimeout)
-      await this.page.waitForSelector('body', { timeout: 10000 }).catch(() => {});
-      await new Promise(res => setTimeout(res, 5000));
-
-      // Try to scroll to load more items (lazy loading)
-      await this.autoScroll();
-
-      // Extract listing data
-      const scrapedData = await this.page.evaluate((maxListings) => {
-        const results = [];
-        
-        // Target actual marketplace item links
-        const listingLinks = document.querySelectorAll('a[href*="/marketplace/item/"]');
-        
-        // Use a Set to track unique listing IDs
-        const seenIds = new Set();
-        
-        Array.from(listingLinks).forEach((linkElement) => {
-          try {
-            // Extract listing ID from URL to avoid duplicates
-            const urlMatch = linkElement.href.match(/\/item\/(\d+)/);
-            if (!urlMatch) return;
-            
-            const listingId = urlMatch[1];
-            if (seenIds.has(listingId)) return; // Skip duplicates
-            seenIds.add(listingId);
-            
-            if (results.length >= maxListings) return;
-            
-            // Find the parent container that holds all listing info
-            let container = linkElement;
-            for (let i = 0; i < 5; i++) {
-              container = container.parentElement;
-              if (!container) break;
-            }
-            
-            if (!container) return;
-            
-            // Extract all span elements with text content
-            const spans = Array.from(container.querySelectorAll('span'));
-            const textContent = spans.map(s => s.textContent.trim()).filter(t => t.length > 0);
-            
-            // Look for price (starts with PHP, ₱, or currency code)
-            const priceText = textContent.find(t => 
-              /^(PHP|₱|\$|€|£)\s*[\d,]+/.test(t) || /^[\d,]+\s*(PHP|₱)/.test(t)
-            );
-            
-            // Look for title (usually longer text, not a price)
-            const titleText = textContent.find(t => 
-              t.length > 10 && 
-              !t.includes('›') && 
-              !/^(PHP|₱|\$|€|£)/.test(t) &&
-              t !== priceText
-            );
-            
-            // Extract image if available
-            const imgElement = container.querySelector('img');
-            const imageUrl = imgElement ? (imgElement.src || imgElement.getAttribute('data-src')) : null;
-            
-            if (priceText && titleText && linkElement.href) {
-              results.push({
-                title: titleText,
-                price_raw: priceText,
-                url: linkElement.href,
-                image_url: imageUrl,
-                listing_id: listingId,
-              });
-            }
-          } catch (err) {
-            console.log('Error parsing listing element:', err);
-          }
-        });
-
-        return results;
-      }, config.scraper.maxListings);
+      const scrapedData = this.mode === 'replay'
+        ? await this.scrapeSnapshots(signal)
+        : await this.scrapeLivePage(signal);
 
       logger.info(`Scraped ${scrapedData.length} raw listings`);
+      this.reachedLimit = scrapedData.length >= this.options.maxListings;
 
       // Process and normalize the scraped data
       for (const item of scrapedData) {
@@ -166,6 +49,9 @@ class FacebookScraper {
       logger.info(`Processed ${listings.length} valid listings`);
 
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       logger.error('Scraping error', error);
       throw error;
     } finally {
@@ -175,6 +61,272 @@ class FacebookScraper {
     return listings;
   }
 
+  /**
+   * Load the live marketplace page and extract listings
+   * In record mode the loaded page is saved as a snapshot first
+   * @param {AbortSignal} [signal] - Aborts the run between steps
+   * @returns {Promise<Array>} Raw listing data
+   */
+  async scrapeLivePage(signal) {
+    logger.info(`Navigating to: ${this.options.url}`);
+    
+    // Navigate to the URL
+    await this.page.goto(this.options.url, {
+      waitUntil: 'networkidle2',
+      timeout: this.options.timeout,
+    });
+
+    // Wait for content to load (Puppeteer v24+ removed page.waitForTimeout)
+    await this.page.waitForSelector('body', { timeout: 10000 }).catch(() => {});
+    await new Promise(res => setTimeout(res, 5000));
+
+    signal?.throwIfAborted();
+
+    // Try to scroll to load more items (lazy loading)
+    await this.autoScroll();
+    signal?.throwIfAborted();
+
+    await this.recordSnapshot('listings');
+
+    return this.extractListings();
+  }
+
+  /**
+   * Extract listings from every recorded listings snapshot
+   * @param {AbortSignal} [signal] - Aborts the run between snapshots
+   * @returns {Promise<Array>} Raw listing data, de-duplicated across snapshots
+   */
+  async scrapeSnapshots(signal) {
+    const snapshots = await this.listSnapshots('listings');
+    const results = [];
+
+    logger.info(`Replaying ${snapshots.length} listings snapshots`);
+    const seenIds = new Set();
+
+    for (const snapshot of snapshots) {
+      signal?.throwIfAborted();
+      await this.openSnapshot(snapshot);
+
+      for (const item of await this.extractListings()) {
+        if (seenIds.has(item.listing_id) || results.length >= this.options.maxListings) continue;
+        seenIds.add(item.listing_id);
+        results.push(item);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Extract listing data from the grid on the current page
+   * @returns {Promise<Array>} Raw listing data
+   */
+  async extractListings() {
+    return this.page.evaluate((maxListings) => {
+      const results = [];
+      
+      // Target actual marketplace item links
+      const listingLinks = document.querySelectorAll('a[href*="/marketplace/item/"]');
+      
+      // Use a Set to track unique listing IDs
+      const seenIds = new Set();
+      
+      Array.from(listingLinks).forEach((linkElement) => {
+        try {
+          // Extract listing ID from URL to avoid duplicates
+          const urlMatch = linkElement.href.match(/\/item\/(\d+)/);
+          if (!urlMatch) return;
+          
+          const listingId = urlMatch[1];
+          if (seenIds.has(listingId)) return; // Skip duplicates
+          seenIds.add(listingId);
+          
+          if (results.length >= maxListings) return;
+          
+          // Find the parent container that holds all listing info
+          let container = linkElement;
+          for (let i = 0; i < 5; i++) {
+            container = container.parentElement;
+            if (!container) break;
+          }
+          
+          if (!container) return;
+          
+          // Extract all span elements with text content
+          const spans = Array.from(container.querySelectorAll('span'));
+          const textContent = spans.map(s => s.textContent.trim()).filter(t => t.length > 0);
+          
+          // Look for price (starts with PHP, ₱, or currency code)
+          const priceText = textContent.find(t => 
+            /^(PHP|₱|\$|€|£)\s*[\d,]+/.test(t) || /^[\d,]+\s*(PHP|₱)/.test(t)
+          );
+          
+          // Look for title (usually longer text, not a price)
+          const titleText = textContent.find(t => 
+            t.length > 10 && 
+            !t.includes('›') && 
+            !/^(PHP|₱|\$|€|£)/.test(t) &&
+            t !== priceText
+          );
+          
+          // Extract image if available
+          const imgElement = container.querySelector('img');
+          const imageUrl = imgElement ? (imgElement.src || imgElement.getAttribute('data-src')) : null;
+          
+          if (priceText && titleText && linkElement.href) {
+            results.push({
+              title: titleText,
+              price_raw: priceText,
+              url: linkElement.href,
+              image_url: imageUrl,
+              listing_id: listingId,
+            });
+          }
+        } catch (err) {
+          console.log('Error parsing listing element:', err);
+        }
+      });
+
+      return results;
+    }, this.options.maxListings);
+  }
+
+  /**
+   * Scrape a listing's /marketplace/item/ page
+   * @param {Page} page - Page to load the detail page in
+   * @param {Object} listing - Stored listing
+   * @returns {Promise<Object|null>} Normalized detail fields
+   */
+  async scrapeDetail(page, listing) {
+    const kind = `item-${listing.listing_id}`;
+
+    if (this.mode === 'replay') {
+      const snapshot = (await this.listSnapshots(kind)).pop();
+      if (!snapshot) return null;
+      await this.openSnapshot(snapshot, page);
+    } else {
+      await page.goto(listing.source_url, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.options.detailTimeout,
+      });
+      await page.waitForSelector('h1', { timeout: this.options.detailTimeout }).catch(() => {});
+      await this.recordSnapshot(kind, page);
+    }
+
+    const rawDetail = await page.evaluate(() => {
+      const texts = Array.from(document.querySelectorAll('span'))
+        .map(s => s.textContent.trim())
+        .filter(t => t.length > 0);
+
+      // The seller's description follows its heading in the next block
+      let description = null;
+      const heading = Array.from(document.querySelectorAll('span, h2'))
+        .find(el => /^(seller's description|description)$/i.test(el.textContent.trim()));
+      if (heading) {
+        let block = heading;
+        while (block && !block.nextElementSibling) {
+          block = block.parentElement;
+        }
+        if (block && block.nextElementSibling) {
+          description = block.nextElementSibling.textContent.trim() || null;
+        }
+      }
+
+      // Photos of the listing, in carousel order
+      const photos = Array.from(document.querySelectorAll('img[alt^="Product photo"]'))
+        .map(img => img.src);
+
+      return {
+        description,
+        photos,
+        listed: texts.find(t => /^Listed .+ ago/i.test(t)) || null,
+        driven: texts.find(t => /^Driven\s+[\d,.]+/i.test(t)) || null,
+        transmission: texts.find(t => /(automatic|manual) transmission/i.test(t)) || null,
+        fuel: texts.find(t => /^Fuel type:/i.test(t)) || null,
+        condition: texts.find(t => /^Condition:/i.test(t) || /^(new|like new|excellent|very good|good|fair|poor) condition$/i.test(t)) || null,
+      };
+    });
+
+    return this.normalizeDetailData(rawDetail);
+  }
+
+  /**
+   * Normalize raw detail page text into listing fields
+   * @param {Object} rawDetail - Raw detail page data
+   * @param {Date} [now] - Reference time for relative "Listed ... ago" dates
+   * @returns {Object} Detail fields (null where not found) and image_urls
+   */
+  normalizeDetailData(rawDetail, now = new Date()) {
+    const details = {
+      description: rawDetail.description || null,
+      location: null,
+      mileage: null,
+      mileage_km: null,
+      transmission: null,
+      fuel_type: null,
+      condition: null,
+      posted_at: null,
+      image_urls: [...new Set((rawDetail.photos || []).filter(url => /^https?:\/\//i.test(url)))],
+    };
+
+    // "Listed 3 days ago in Quezon City, Metro Manila"
+    const listedMatch = rawDetail.listed && rawDetail.listed.match(/^Listed (.+?) ago(?: in (.+))?$/i);
+    if (listedMatch) {
+      details.posted_at = this.parseRelativeTime(listedMatch[1], now);
+      details.location = listedMatch[2] ? listedMatch[2].trim() : null;
+    }
+
+    // "Driven 45,000 kilometers"
+    const drivenMatch = rawDetail.driven && rawDetail.driven.match(/^Driven\s+(.+)$/i);
+    if (drivenMatch) {
+      details.mileage = drivenMatch[1].trim();
+      details.mileage_km = parseMileage(details.mileage);
+    }
+
+    const transmissionMatch = rawDetail.transmission && rawDetail.transmission.match(/(automatic|manual)/i);
+    if (transmissionMatch) {
+      details.transmission = transmissionMatch[1].toLowerCase();
+    }
+
+    const fuelMatch = rawDetail.fuel && rawDetail.fuel.match(/^Fuel type:\s*(.+)$/i);
+    if (fuelMatch) {
+      details.fuel_type = fuelMatch[1].trim().toLowerCase();
+    }
+
+    if (rawDetail.condition) {
+      details.condition = rawDetail.condition
+        .replace(/^Condition:\s*/i, '')
+        .replace(/\s+condition$/i, '')
+        .trim()
+        .toLowerCase() || null;
+    }
+
+    return details;
+  }
+
+  /**
+   * Convert Facebook's relative age ("3 days", "an hour", "about a week") to a date
+   * @param {string} text - Relative age
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Approximate posting time
+   */
+  parseRelativeTime(text, now) {
+    const match = text.match(/(\d+|an?)\s+(minute|hour|day|week|month|year)s?/i);
+    if (!match) return null;
+
+    const amount = /^an?$/i.test(match[1]) ? 1 : parseInt(match[1], 10);
+    const unitMs = {
+      minute: 60 * 1000,
+      hour: 60 * 60 * 1000,
+      day: 24 * 60 * 60 * 1000,
+      week: 7 * 24 * 60 * 60 * 1000,
+      month: 30 * 24 * 60 * 60 * 1000,
+      year: 365 * 24 * 60 * 60 * 1000,
+    }[match[2].toLowerCase()];
+
+    return new Date(now.getTime() - amount * unitMs);
+  }
+
   /**
    * Auto-scroll to load lazy-loaded content
    */
@@ -199,49 +351,6 @@ class FacebookScraper {
     await new Promise(res => setTimeout(res, 2000));
   }
 
-  /**
-   * Normalize and validate scraped data
-   * @param {Object} rawData - Raw scraped data
-   * @returns {Object|null} Normalized listing object or null
-   */
-  normalizeListingData(rawData) {
-    try {
-      // Extract price and currency
-      const priceMatch = rawData.price_raw.match(/([A-Z]{3})?[\s₱$€£]*([\d,]+)/);
-      if (!priceMatch) {
-        logger.warn('Could not parse price', { rawData });
-        return null;
-      }
-
-      const currency = priceMatch[1] || 'PHP';
-      const price = parseFloat(priceMatch[2].replace(/,/g, ''));
-
-      // Extract year from title if present
-      const yearMatch = rawData.title.match(/\b(19|20)\d{2}\b/);
-      const year = yearMatch ? parseInt(yearMatch[0], 10) : null;
-
-      // Extract mileage if present in title
-      const mileageMatch = rawData.title.match(/(\d+[,.]?\d*)\s*(k|km|miles)/i);
-      const mileage = mileageMatch ? mileageMatch[0] : null;
-
-      return {
-        title: rawData.title,
-        price,
-        currency,
-        year,
-        mileage,
-        location: rawData.location || 'Manila', // Default location
-        source_url: rawData.url,
-        listing_id: this.extractListingId(rawData.url),
-        image_url: rawData.image_url || null,
-        description: rawData.description || null,
-      };
-    } catch (error) {
-      logger.error('Error normalizing listing data', { error, rawData });
-      return null;
-    }
-  }
-
   /**
    * Extract listing ID from URL
    * @param {string} url - Listing URL
@@ -255,65 +364,6 @@ class FacebookScraper {
       return null;
     }
   }
-
-  /**
-   * Cleanup browser resources
-   */
-  async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      logger.info('Browser closed');
-    }
-  }
-}
-
-/**
- * Main scraping function with database persistence
- */
-async function scrapeAndStore() {
-  const scraper = new FacebookScraper();
-  
-  try {
-    logger.info('=== Starting scraping process ===');
-    
-    const listings = await scraper.scrape();
-    
-    if (listings.length === 0) {
-      logger.warn('No listings scraped');
-      return { success: true, count: 0 };
-    }
-
-    // Store listings in database
-    logger.info(`Storing ${listings.length} listings in database...`);
-    const stored = await CarListingModel.bulkUpsert(listings);
-    
-    logger.info(`=== Scraping completed: ${stored.length} listings stored ===`);
-    
-    return {
-      success: true,
-      count: stored.length,
-      listings: stored,
-    };
-  } catch (error) {
-    logger.error('Scraping process failed', error);
-    throw error;
-  }
-}
-
-// Run scraper if executed directly
-if (require.main === module) {
-  scrapeAndStore()
-    .then((result) => {
-      logger.info('Scraper finished', result);
-      process.exit(0);
-    })
-    .catch((error) => {
-      logger.error('Scraper failed', error);
-      process.exit(1);
-    });
 }
 
-module.exports = {
-  FacebookScraper,
-  scrapeAndStore,
-};
\ No newline at end of file
+module.exports = FacebookScraper;
@@ -0,0 +1,227 @@
+const logger = require('../utils/logger');
+const CarListingModel = require('../models/car-listing');
+const ListingExpiryService = require('../services/listing-expiry-service');
+const ListingImageService = require('../services/listing-image-service');
+const ListingProcessingService = require('../services/listing-processing-service');
+const WebhookService = require('../services/webhook-service');
+const FacebookScraper = require('./facebook-scraper');
+const {
+  registerScraper,
+  listSources,
+  hasScraper,
+  createScraper,
+} = require('./registry');
+
+/**
+ * Scraping entry point
+ * Registers the available sources and runs them with database persistence.
+ * To add a source: extend BaseScraper, add its config under
+ * config.scraper.sources and register it here.
+ */
+
+registerScraper(FacebookScraper);
+
+/**
+ * Detail-page enrichment pass for freshly stored listings
+ * Listings enriched within the last detailRefreshHours are skipped.
+ * Failures are logged and never fail the scrape (except cancellation).
+ * @param {BaseScraper} scraper - Scraper of the source
+ * @param {Array<Object>} stored - Listings stored by the run
+ * @param {AbortSignal} [signal] - Cancels the pass
+ * @returns {Promise<number>} Number of enriched listings
+ */
+async function enrichStoredListings(scraper, stored, signal) {
+  const refreshBefore = Date.now() - scraper.options.detailRefreshHours * 60 * 60 * 1000;
+  const pending = stored.filter(listing =>
+    !listing.detail_scraped_at || new Date(listing.detail_scraped_at).getTime() < refreshBefore
+  );
+
+  try {
+    const details = await scraper.enrichListings(pending, { signal });
+
+    for (const [id, fields] of details) {
+      await CarListingModel.updateDetails(id, fields);
+
+      // An empty gallery more likely means the photos were not found than removed
+      if (fields.image_urls?.length > 0) {
+        await ListingImageService.setGallery(pending.find(listing => listing.id === id), fields.image_urls);
+      }
+    }
+
+    return details.size;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.error('Detail enrichment pass failed', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Scrape one source and store its listings
+ * @param {string} source - Source name
+ * @param {Object} options - Scrape options
+ * @param {AbortSignal} [options.signal] - Cancels the run; nothing is stored once aborted
+ * @returns {Promise<Object>} Source result
+ */
+async function scrapeSource(source, { signal } = {}) {
+  const scraper = createScraper(source);
+
+  // Closing the browser makes any pending page operation reject immediately
+  const onAbort = () => {
+    scraper.cleanup().catch((error) => logger.warn('Failed to close browser on abort', { error: error.message }));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    logger.info(`=== Starting scraping process: ${source} ===`);
+
+    const listings = await scraper.scrape({ signal });
+    signal?.throwIfAborted();
+
+    if (listings.length === 0) {
+      logger.warn(`No listings scraped from ${source}`);
+      return { count: 0, expiredCount: 0, enrichedCount: 0, imageCount: 0, duplicateCount: 0, valuedCount: 0, alertCount: 0, listings: [] };
+    }
+
+    // Store listings in database
+    logger.info(`Storing ${listings.length} listings in database...`);
+    const stored = await CarListingModel.bulkUpsert(listings);
+
+    // Optional second pass over each listing's detail page
+    const enrichedCount = scraper.options.enrichDetails
+      ? await enrichStoredListings(scraper, stored, signal)
+      : 0;
+
+    // Expire listings from this source that the run no longer saw
+    // (replayed snapshots say nothing about what is live today, and a run cut
+    // off at the listing limit did not see every live listing)
+    const expired = scraper.mode === 'replay'
+      ? []
+      : await ListingExpiryService.sweep(source, stored, { countMisses: !scraper.reachedLimit });
+
+    // Archive images, group duplicates, value and alert saved searches
+    const {
+      imageCount, duplicateCount, valuedCount, alertCount,
+    } = await ListingProcessingService.processStored(stored);
+
+    logger.info(`=== Scraping completed (${source}): ${stored.length} listings stored, ${expired.length} expired ===`);
+
+    return {
+      count: stored.length,
+      expiredCount: expired.length,
+      enrichedCount,
+      imageCount,
+      duplicateCount,
+      valuedCount,
+      alertCount,
+      listings: stored,
+    };
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Main scraping function with database persistence
+ * Runs the given source, or every enabled source one after another.
+ * A failing source does not stop the others; the run only fails if all of them fail.
+ * @param {Object} options - Scrape options
+ * @param {string} [options.source] - Source to scrape (default: all enabled sources)
+ * @param {AbortSignal} [options.signal] - Cancels the run; nothing is stored once aborted
+ * @returns {Promise<Object>} Combined result with per-source details
+ */
+async function scrapeAndStore({ source, signal } = {}) {
+  const sources = source ? [source] : listSources({ enabledOnly: true });
+  const results = {};
+  const errors = [];
+  let firstError = null;
+
+  for (const name of sources) {
+    try {
+      results[name] = await scrapeSource(name, { signal });
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.warn('=== Scraping cancelled ===');
+        throw error;
+      }
+      logger.error(`Scraping process failed for ${name}`, error);
+      results[name] = { count: 0, expiredCount: 0, enrichedCount: 0, imageCount: 0, duplicateCount: 0, valuedCount: 0, alertCount: 0, listings: [], error: error.message };
+      errors.push(`${name}: ${error.message}`);
+      firstError = firstError || error;
+    }
+  }
+
+  if (sources.length > 0 && errors.length === sources.length) {
+    throw firstError;
+  }
+
+  const outcomes = Object.values(results);
+  const summary = {
+    count: outcomes.reduce((sum, result) => sum + result.count, 0),
+    expiredCount: outcomes.reduce((sum, result) => sum + result.expiredCount, 0),
+    imageCount: outcomes.reduce((sum, result) => sum + result.imageCount, 0),
+    duplicateCount: outcomes.reduce((sum, result) => sum + result.duplicateCount, 0),
+    valuedCount: outcomes.reduce((sum, result) => sum + result.valuedCount, 0),
+    alertCount: outcomes.reduce((sum, result) => sum + result.alertCount, 0),
+    errors,
+  };
+
+  // Per-source counts without the stored listings, which have their own events
+  const sourceSummaries = Object.fromEntries(
+    Object.entries(results).map(([name, { listings, ...counts }]) => [name, counts])
+  );
+  await WebhookService.emit('scrape.completed', { ...summary, sources: sourceSummaries });
+
+  return {
+    success: true,
+    ...summary,
+    sources: results,
+  };
+}
+
+// Run scraper if executed directly: `npm run scrape [-- <source>] [--dry-run]`
+// --dry-run prints the normalized listings as JSON instead of storing them,
+// e.g. to check extraction changes against replayed snapshots without a database
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const source = args.find(arg => !arg.startsWith('--'));
+
+  if (source && !hasScraper(source)) {
+    logger.error(`Unknown scraper source: ${source}. Available: ${listSources().join(', ')}`);
+    process.exit(1);
+  }
+
+  const dryRunScrape = async () => {
+    const scraper = createScraper(source || listSources({ enabledOnly: true })[0]);
+    let listings = await scraper.scrape();
+
+    if (scraper.options.enrichDetails) {
+      const indexed = listings.map((listing, index) => ({ ...listing, id: index }));
+      const details = await scraper.enrichListings(indexed);
+      listings = indexed.map(({ id, ...listing }) => ({ ...listing, ...details.get(id) }));
+    }
+
+    process.stdout.write(`${JSON.stringify(listings, null, 2)}\n`);
+    return { count: listings.length, expiredCount: 0, errors: [] };
+  };
+
+  const run = dryRun ? dryRunScrape() : scrapeAndStore({ source });
+
+  run
+    .then((result) => {
+      logger.info('Scraper finished', { count: result.count, expiredCount: result.expiredCount, errors: result.errors });
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Scraper failed', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  scrapeAndStore,
+  scrapeSource,
+  listSources,
+  hasScraper,
+};
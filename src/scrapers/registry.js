@@ -0,0 +1,85 @@
+const config = require('../config');
+
+/**
+ * Scraper Registry
+ * Maps source names to scraper classes and builds each scraper with its own config
+ */
+
+const scrapers = new Map();
+
+/**
+ * Register a scraper class under its static `source` name
+ * @param {Function} ScraperClass - Class extending BaseScraper
+ */
+function registerScraper(ScraperClass) {
+  const { source } = ScraperClass;
+
+  if (!source) {
+    throw new Error(`${ScraperClass.name} must define a static source name`);
+  }
+  if (scrapers.has(source)) {
+    throw new Error(`Scraper already registered for source: ${source}`);
+  }
+
+  scrapers.set(source, ScraperClass);
+}
+
+/**
+ * Get the configuration of a source, merged over the shared scraper defaults
+ * @param {string} source - Source name
+ * @returns {Object} Source configuration
+ */
+function getSourceConfig(source) {
+  const { sources, ...defaults } = config.scraper;
+
+  return {
+    enabled: true,
+    ...defaults,
+    ...sources[source],
+  };
+}
+
+/**
+ * List registered sources
+ * @param {Object} options - Options
+ * @param {boolean} [options.enabledOnly] - Only sources not disabled in config
+ * @returns {Array<string>} Source names
+ */
+function listSources({ enabledOnly = false } = {}) {
+  const sources = Array.from(scrapers.keys());
+  return enabledOnly ? sources.filter(source => getSourceConfig(source).enabled) : sources;
+}
+
+/**
+ * Check whether a scraper is registered for a source
+ * @param {string} source - Source name
+ * @returns {boolean} True if registered
+ */
+function hasScraper(source) {
+  return scrapers.has(source);
+}
+
+/**
+ * Create a scraper instance for a source
+ * @param {string} source - Source name
+ * @returns {BaseScraper} Scraper instance
+ */
+function createScraper(source) {
+  const ScraperClass = scrapers.get(source);
+
+  if (!ScraperClass) {
+    const error = new Error(`Unknown scraper source: ${source}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return new ScraperClass(getSourceConfig(source));
+}
+
+module.exports = {
+  registerScraper,
+  getSourceConfig,
+  listSources,
+  hasScraper,
+  createScraper,
+};
@@ -1,6 +1,29 @@
 const CarListingModel = require('../models/car-listing');
+const ListingPriceHistoryModel = require('../models/listing-price-history');
+const ListingAuditLogModel = require('../models/listing-audit-log');
+const ExchangeRateService = require('./exchange-rate-service');
+const ListingRetentionService = require('./listing-retention-service');
+const ListingImageService = require('./listing-image-service');
+const ListingProcessingService = require('./listing-processing-service');
+const ListingValuationService = require('./listing-valuation-service');
+const config = require('../config');
 const logger = require('../utils/logger');
-const { scrapeAndStore } = require('../scrapers/facebook-scraper');
+const { parseTitle } = require('../normalizers/title-parser');
+const { parseMileage } = require('../normalizers/mileage-parser');
+const { sanitizeFilters, convertPriceFilters } = require('../utils/listing-filters');
+
+// Columns derived from other fields; they follow edits of those fields and are not set directly
+const DERIVED_FIELDS = ['make', 'model', 'variant', 'engine_size', 'title_confidence', 'mileage_km'];
+
+// Fields that can be pinned so scrapes do not overwrite them; a pinned title
+// also keeps make, model, variant and engine size, a pinned mileage mileage_km
+const PINNABLE_FIELDS = [
+  'title', 'price', 'currency', 'year', 'mileage', 'transmission', 'location',
+  'description', 'image_url',
+];
+
+// Source of listings created through the API
+const MANUAL_SOURCE = 'manual';
 
 /**
  * Car Listing Service Layer
@@ -15,16 +38,37 @@ class CarListingService {
    * @returns {Promise<Object>} Paginated listings
    */
   static async getAllListings(filters) {
+    // Validate and sanitize filters
+    const { currency, cursor, ...sanitizedFilters } = sanitizeFilters(filters);
+
+    if (cursor) {
+      sanitizedFilters.after = this.decodeCursor(cursor, sanitizedFilters);
+    }
+
+    // Prices are filtered in PHP; minPrice/maxPrice are given in the requested currency
+    const rate = currency ? await ExchangeRateService.getRate(currency) : null;
+
     try {
-      // Validate and sanitize filters
-      const sanitizedFilters = this.sanitizeFilters(filters);
-      
+      if (rate) {
+        convertPriceFilters(sanitizedFilters, rate);
+      }
+
       // Fetch from database
       const result = await CarListingModel.findAll(sanitizedFilters);
-      
+
+      if (rate) {
+        result.data = result.data.map(listing => this.convertPrice(listing, currency, rate));
+      }
+
+      const { next, ...pagination } = result.pagination;
+
       return {
         success: true,
-        ...result,
+        data: result.data,
+        pagination: {
+          ...pagination,
+          nextCursor: next ? this.encodeCursor(next, sanitizedFilters) : null,
+        },
       };
     } catch (error) {
       logger.error('Error in getAllListings', error);
@@ -57,18 +101,54 @@ class CarListingService {
     }
   }
 
+  /**
+   * Create a listing by hand, with the manual source
+   * Images, duplicates, valuation and saved search alerts are processed after returning
+   * @param {Object} data - Validated listing fields (see validateCreateListing)
+   * @returns {Promise<Object>} Created listing
+   */
+  static async createListing(data) {
+    try {
+      const listing = await CarListingModel.create(this.buildListing(data, MANUAL_SOURCE));
+
+      if (!listing) {
+        const existing = await CarListingModel.findIdsBySourceUrls([data.source_url]);
+        const error = new Error(`Listing ${existing.get(data.source_url)} already has this source URL`);
+        error.status = 409;
+        throw error;
+      }
+
+      // Archiving downloads the image, so the rest follows in the background;
+      // processStored logs failures instead of rejecting
+      ListingProcessingService.processStored([{ ...listing, inserted: true }]);
+
+      return {
+        success: true,
+        data: await CarListingModel.findById(listing.id),
+        message: 'Listing created successfully',
+      };
+    } catch (error) {
+      logger.error('Error in createListing', { sourceUrl: data.source_url, error });
+      throw error;
+    }
+  }
+
   /**
    * Update a listing
    * @param {number} id - Listing ID
-   * @param {Object} updates - Update data
+   * @param {Object} updates - Update data; pin: true also pins the edited
+   *   fields, pinned_fields replaces the pinned fields
+   * @param {Object} [audit] - Who makes the change: { actor, apiKeyId, requestId }
    * @returns {Promise<Object>} Updated listing
    */
-  static async updateListing(id, updates) {
+  static async updateListing(id, updates, audit) {
     try {
       // Validate updates
       this.validateUpdateData(updates);
+      this.applyPins(updates);
+      this.applyDerivedFields(updates);
 
-      const listing = await CarListingModel.update(id, updates);
+      const listing = await CarListingModel.update(id, updates, audit);
       
       if (!listing) {
         const error = new Error('Listing not found or inactive');
@@ -76,9 +156,12 @@ class CarListingService {
         throw error;
       }
 
+      // A corrected price, model, year or mileage changes the valuation
+      await ListingValuationService.valueListings([listing]);
+
       return {
         success: true,
-        data: listing,
+        data: await CarListingModel.findById(id),
         message: 'Listing updated successfully',
       };
     } catch (error) {
@@ -90,11 +173,12 @@ class CarListingService {
   /**
    * Delete a listing (soft delete)
    * @param {number} id - Listing ID
+   * @param {Object} [audit] - Who makes the change: { actor, apiKeyId, requestId }
    * @returns {Promise<Object>} Success response
    */
-  static async deleteListing(id) {
+  static async deleteListing(id, audit) {
     try {
-      const deleted = await CarListingModel.delete(id);
+      const deleted = await CarListingModel.delete(id, audit);
       
       if (!deleted) {
         const error = new Error('Listing not found');
@@ -113,22 +197,154 @@ class CarListingService {
   }
 
   /**
-   * Trigger scraping process
-   * @returns {Promise<Object>} Scraping result
+   * Get deleted listings, most recently deleted first, with the time the
+   * retention job will remove each one
+   * @param {Object} filters - { page, limit }
+   * @returns {Promise<Object>} Deleted listings with pagination
    */
-  static async triggerScraping() {
+  static async getDeletedListings(filters = {}) {
     try {
-      logger.info('Triggering scraping process...');
-      const result = await scrapeAndStore();
-      
+      const page = Math.max(1, parseInt(filters.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+
+      const result = await CarListingModel.findDeleted({ page, limit });
+
+      return {
+        success: true,
+        data: result.data.map(listing => ({
+          ...listing,
+          purge_after: ListingRetentionService.removalDate(listing),
+        })),
+        pagination: result.pagination,
+      };
+    } catch (error) {
+      logger.error('Error in getDeletedListings', error);
+      throw new Error('Failed to retrieve deleted listings');
+    }
+  }
+
+  /**
+   * Restore a deleted listing
+   * @param {number} id - Listing ID
+   * @param {Object} [audit] - Who makes the change: { actor, apiKeyId, requestId }
+   * @returns {Promise<Object>} Restored listing
+   */
+  static async restoreListing(id, audit) {
+    try {
+      const listing = await CarListingModel.restore(id, audit);
+
+      if (!listing) {
+        const error = new Error('Listing not found or not deleted');
+        error.status = 404;
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: listing,
+        message: 'Listing restored successfully',
+      };
+    } catch (error) {
+      logger.error('Error in restoreListing', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a listing with its price history; cannot be undone
+   * @param {number} id - Listing ID
+   * @param {Object} [audit] - Who makes the change: { actor, apiKeyId, requestId }
+   * @returns {Promise<Object>} Success response
+   */
+  static async purgeListing(id, audit) {
+    try {
+      const removed = await CarListingModel.hardDelete(id, audit);
+
+      if (!removed) {
+        const error = new Error('Listing not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await ListingImageService.deleteListingImages([id]);
+
       return {
         success: true,
-        message: 'Scraping completed successfully',
-        count: result.count,
+        message: 'Listing permanently deleted',
       };
     } catch (error) {
-      logger.error('Error in triggerScraping', error);
-      throw new Error('Scraping process failed');
+      logger.error('Error in purgeListing', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the audit trail of a listing, newest first. Available for deleted
+   * listings too, as long as they have entries
+   * @param {number} id - Listing ID
+   * @param {Object} filters - { page, limit }
+   * @returns {Promise<Object>} Audit entries with pagination
+   */
+  static async getAuditLog(id, filters = {}) {
+    try {
+      const page = Math.max(1, parseInt(filters.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+
+      const result = await ListingAuditLogModel.findByListingId(id, { page, limit });
+
+      if (result.pagination.total === 0 && !(await CarListingModel.findById(id))) {
+        const error = new Error('Listing not found');
+        error.status = 404;
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: result.data,
+        pagination: result.pagination,
+      };
+    } catch (error) {
+      logger.error('Error in getAuditLog', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the price timeline of a listing with absolute and percentage changes
+   * @param {number} id - Listing ID
+   * @returns {Promise<Object>} Price history
+   */
+  static async getPriceHistory(id) {
+    try {
+      const listing = await CarListingModel.findById(id);
+
+      if (!listing) {
+        const error = new Error('Listing not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const entries = await ListingPriceHistoryModel.findByListingId(id);
+      const history = entries.map((entry, index) => ({
+        price: parseFloat(entry.price),
+        currency: entry.currency,
+        recorded_at: entry.recorded_at,
+        ...this.calculatePriceChange(entries[index - 1], entry),
+      }));
+
+      return {
+        success: true,
+        data: {
+          listing_id: listing.id,
+          current_price: parseFloat(listing.price),
+          currency: listing.currency,
+          total: this.calculatePriceChange(entries[0], entries[entries.length - 1]),
+          history,
+        },
+      };
+    } catch (error) {
+      logger.error('Error in getPriceHistory', { id, error });
+      throw error;
     }
   }
 
@@ -136,7 +352,10 @@ class CarListingService {
    * Get statistics about listings
    * @returns {Promise<Object>} Statistics
    */
-  static async getStatistics() {
+  static async getStatistics(filters = {}) {
+    const currency = filters.currency ? filters.currency.toUpperCase() : 'PHP';
+    const rate = await ExchangeRateService.getRate(currency);
+
     try {
       const stats = await CarListingModel.getStats();
       
@@ -145,11 +364,15 @@ class CarListingService {
         data: {
           total_listings: parseInt(stats.total_listings, 10),
           active_listings: parseInt(stats.active_listings, 10),
-          average_price: parseFloat(stats.avg_price || 0).toFixed(2),
-          min_price: parseFloat(stats.min_price || 0),
-          max_price: parseFloat(stats.max_price || 0),
+          expired_listings: parseInt(stats.expired_listings, 10),
+          duplicate_listings: parseInt(stats.duplicate_listings, 10),
+          currency,
+          average_price: (parseFloat(stats.avg_price || 0) / rate).toFixed(2),
+          min_price: parseFloat((parseFloat(stats.min_price || 0) / rate).toFixed(2)),
+          max_price: parseFloat((parseFloat(stats.max_price || 0) / rate).toFixed(2)),
           average_year: stats.avg_year ? Math.round(stats.avg_year) : null,
           unique_locations: parseInt(stats.unique_locations, 10),
+          unique_sources: parseInt(stats.unique_sources, 10),
         },
       };
     } catch (error) {
@@ -159,54 +382,133 @@ class CarListingService {
   }
 
   /**
-   * Sanitize and validate filter parameters
-   * @param {Object} filters - Raw filters
-   * @returns {Object} Sanitized filters
+   * Get facet counts for the listings matching the filters
+   * Price buckets and price filters are in the requested currency (PHP by default)
+   * @param {Object} filters - Filter parameters, plus priceBuckets and facetLimit
+   * @returns {Promise<Object>} Total and counts per facet
    */
-  static sanitizeFilters(filters) {
-    const sanitized = {};
+  static async getFacets(filters) {
+    const { currency = 'PHP', ...sanitizedFilters } = sanitizeFilters(filters);
+    const rate = await ExchangeRateService.getRate(currency);
 
-    // Pagination
-    if (filters.page) {
-      sanitized.page = Math.max(1, parseInt(filters.page, 10) || 1);
-    }
-    if (filters.limit) {
-      sanitized.limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
-    }
+    // Custom edges are given in the requested currency, the defaults in PHP
+    const priceEdges = filters.priceBuckets
+      ? [...new Set(String(filters.priceBuckets).split(',').map(edge => parseFloat(edge)))]
+        .filter(edge => !isNaN(edge))
+        .sort((a, b) => a - b)
+      : config.facets.priceBuckets.map(edge => parseFloat((edge / rate).toFixed(2)));
+    const limit = filters.facetLimit
+      ? Math.min(100, Math.max(1, parseInt(filters.facetLimit, 10)))
+      : config.facets.valueLimit;
 
-    // Sorting
-    const allowedSortFields = ['created_at', 'price', 'year', 'title'];
-    if (filters.sortBy && allowedSortFields.includes(filters.sortBy)) {
-      sanitized.sortBy = filters.sortBy;
-    }
-    if (filters.sortOrder && ['ASC', 'DESC'].includes(filters.sortOrder.toUpperCase())) {
-      sanitized.sortOrder = filters.sortOrder.toUpperCase();
-    }
+    try {
+      convertPriceFilters(sanitizedFilters, rate);
 
-    // Filters
-    if (filters.minPrice) {
-      sanitized.minPrice = parseFloat(filters.minPrice);
-    }
-    if (filters.maxPrice) {
-      sanitized.maxPrice = parseFloat(filters.maxPrice);
-    }
-    if (filters.minYear) {
-      sanitized.minYear = parseInt(filters.minYear, 10);
+      const { total, price, ...facets } = await CarListingModel.getFacets(sanitizedFilters, {
+        priceEdges: priceEdges.map(edge => edge * rate),
+        limit,
+      });
+
+      return {
+        success: true,
+        data: {
+          total,
+          currency,
+          facets: {
+            year: facets.year,
+            location: facets.location,
+            // Report bucket edges back in the requested currency
+            price: price.map((bucket, i) => ({
+              min: i === 0 ? null : priceEdges[i - 1],
+              max: i === priceEdges.length ? null : priceEdges[i],
+              count: bucket.count,
+            })),
+            make: facets.make,
+            currency: facets.currency,
+          },
+        },
+      };
+    } catch (error) {
+      logger.error('Error in getFacets', error);
+      throw new Error('Failed to fetch listing facets');
     }
-    if (filters.maxYear) {
-      sanitized.maxYear = parseInt(filters.maxYear, 10);
+  }
+
+  /**
+   * Encode a keyset position as an opaque cursor
+   * The cursor records the sort it was made for, since its key means nothing under another sort
+   * @param {Object} next - Keyset position: { value, id }
+   * @param {Object} filters - Sanitized filters
+   * @returns {string} Cursor
+   */
+  static encodeCursor(next, { sortBy = 'created_at', sortOrder = 'DESC' }) {
+    const payload = { s: sortBy, o: sortOrder, v: next.value, i: next.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor from a previous response
+   * @param {string} cursor - Cursor
+   * @param {Object} filters - Sanitized filters
+   * @returns {Object} Keyset position: { value, id }
+   */
+  static decodeCursor(cursor, { sortBy = 'created_at', sortOrder = 'DESC' }) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (parseError) {
+      payload = null;
     }
-    if (filters.location) {
-      sanitized.location = filters.location.trim();
+
+    if (!payload || !Number.isInteger(payload.i) || !(typeof payload.v === 'string' || payload.v === null)) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
     }
-    if (filters.search) {
-      sanitized.search = filters.search.trim();
+
+    if (payload.s !== sortBy || payload.o !== sortOrder) {
+      const error = new Error(`Cursor was created for sortBy=${payload.s}&sortOrder=${payload.o}; pass the same sort`);
+      error.status = 400;
+      throw error;
     }
-    if (filters.isActive !== undefined) {
-      sanitized.isActive = filters.isActive === 'true' || filters.isActive === true;
+
+    return { value: payload.v, id: payload.i };
+  }
+
+  /**
+   * Add the price converted from price_php to the requested currency
+   * @param {Object} listing - Listing row
+   * @param {string} currency - Currency code
+   * @param {number} rate - PHP per one unit of the currency
+   * @returns {Object} Listing with converted_price and converted_currency
+   */
+  static convertPrice(listing, currency, rate) {
+    return {
+      ...listing,
+      converted_price: listing.price_php === null ? null : (parseFloat(listing.price_php) / rate).toFixed(2),
+      converted_currency: currency,
+    };
+  }
+
+  /**
+   * Calculate the change between two price history entries
+   * Changes across different currencies are not comparable and are reported as null
+   * @param {Object|undefined} from - Earlier entry
+   * @param {Object|undefined} to - Later entry
+   * @returns {Object} Absolute change and change percentage
+   */
+  static calculatePriceChange(from, to) {
+    if (!from || !to || from.currency !== to.currency) {
+      return { change: null, change_percent: null };
     }
 
-    return sanitized;
+    const fromPrice = parseFloat(from.price);
+    const change = parseFloat(to.price) - fromPrice;
+
+    return {
+      change: parseFloat(change.toFixed(2)),
+      change_percent: fromPrice > 0 ? parseFloat(((change / fromPrice) * 100).toFixed(2)) : null,
+    };
   }
 
   /**
@@ -236,6 +538,86 @@ class CarListingService {
       throw new Error('Title cannot be empty');
     }
   }
+
+  /**
+   * Turn the pin option of an edit into the fields to pin: with pin: true the
+   * edited pinnable fields are added to pinned_fields (or to the pinned fields
+   * the listing has, if pinned_fields is not given). Modifies updates in place
+   * @param {Object} updates - Update data
+   */
+  static applyPins(updates) {
+    const { pin } = updates;
+    delete updates.pin;
+
+    if (updates.pinned_fields !== undefined) {
+      updates.pinned_fields = [...new Set(updates.pinned_fields)].sort();
+    }
+
+    if (pin !== true) return;
+
+    const edited = PINNABLE_FIELDS.filter(field => updates[field] !== undefined);
+    if (updates.pinned_fields !== undefined) {
+      updates.pinned_fields = [...new Set([...updates.pinned_fields, ...edited])].sort();
+    } else {
+      updates.pin = edited;
+    }
+  }
+
+  /**
+   * Build a listing to store from validated fields, deriving the same fields
+   * as the scrapers do; a missing year is taken from the title
+   * @param {Object} values - Listing fields: title, price, source_url and
+   *   optionally currency, year, mileage, transmission, location, description,
+   *   listing_id, image_url
+   * @param {string} source - Source recorded on the listing
+   * @returns {Object} Listing
+   */
+  static buildListing(values, source) {
+    const { transmission, ...parsed } = parseTitle(values.title);
+    const titleYear = values.title.match(/\b(19|20)\d{2}\b/);
+
+    return {
+      ...parsed,
+      title: values.title,
+      price: parseFloat(values.price),
+      currency: values.currency || 'PHP',
+      year: values.year !== undefined && values.year !== null
+        ? parseInt(values.year, 10)
+        : (titleYear ? parseInt(titleYear[0], 10) : null),
+      mileage: values.mileage || null,
+      mileage_km: values.mileage ? parseMileage(values.mileage) : null,
+      transmission: values.transmission || transmission || null,
+      location: values.location || null,
+      description: values.description || null,
+      source,
+      source_url: values.source_url,
+      listing_id: values.listing_id || null,
+      image_url: values.image_url || null,
+    };
+  }
+
+  /**
+   * Re-parse vehicle fields when the title changes and mileage_km when the
+   * mileage changes. A transmission not found in the new title keeps its
+   * current value
+   * @param {Object} updates - Update data (modified in place)
+   */
+  static applyDerivedFields(updates) {
+    DERIVED_FIELDS.forEach(field => delete updates[field]);
+
+    if (updates.title !== undefined) {
+      const { transmission, ...parsed } = parseTitle(updates.title);
+      Object.assign(updates, parsed);
+
+      if (transmission && updates.transmission === undefined) {
+        updates.transmission = transmission;
+      }
+    }
+
+    if (updates.mileage !== undefined) {
+      updates.mileage_km = parseMileage(updates.mileage);
+    }
+  }
 }
 
 module.exports = CarListingService;
\ No newline at end of file
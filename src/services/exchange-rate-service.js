@@ -0,0 +1,100 @@
+const ExchangeRateModel = require('../models/exchange-rate');
+const logger = require('../utils/logger');
+
+// Listing prices are normalized to this currency (car_listings.price_php)
+const BASE_CURRENCY = 'PHP';
+
+/**
+ * Exchange Rate Service Layer
+ * Manages the rates used to normalize listing prices
+ */
+
+class ExchangeRateService {
+  /**
+   * List all exchange rates
+   * @returns {Promise<Object>} Rates
+   */
+  static async listRates() {
+    try {
+      const rates = await ExchangeRateModel.findAll();
+
+      return {
+        success: true,
+        base_currency: BASE_CURRENCY,
+        data: rates.map(rate => this.formatRate(rate)),
+      };
+    } catch (error) {
+      logger.error('Error in listRates', error);
+      throw new Error('Failed to fetch exchange rates');
+    }
+  }
+
+  /**
+   * Create or change the rate of a currency
+   * @param {string} code - Currency code
+   * @param {number} rateToPhp - PHP per one unit of the currency
+   * @returns {Promise<Object>} Saved rate
+   */
+  static async setRate(code, rateToPhp) {
+    const currency = code.toUpperCase();
+
+    if (currency === BASE_CURRENCY) {
+      const error = new Error(`${BASE_CURRENCY} is the base currency and its rate is always 1`);
+      error.status = 400;
+      throw error;
+    }
+
+    try {
+      const { rate, listingsUpdated } = await ExchangeRateModel.upsert(currency, rateToPhp);
+      logger.info(`Exchange rate for ${currency} set to ${rateToPhp}`, { listingsUpdated });
+
+      return {
+        success: true,
+        data: {
+          ...this.formatRate(rate),
+          listings_updated: listingsUpdated,
+        },
+        message: 'Exchange rate saved successfully',
+      };
+    } catch (error) {
+      logger.error('Error in setRate', { code, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rate of a currency for converting listing prices
+   * @param {string} code - Currency code
+   * @returns {Promise<number>} PHP per one unit of the currency
+   */
+  static async getRate(code) {
+    const currency = code.toUpperCase();
+    if (currency === BASE_CURRENCY) {
+      return 1;
+    }
+
+    const rate = await ExchangeRateModel.findByCode(currency);
+    if (!rate) {
+      const error = new Error(`No exchange rate for currency: ${currency}`);
+      error.status = 400;
+      throw error;
+    }
+
+    return parseFloat(rate.rate_to_php);
+  }
+
+  /**
+   * Shape a rate row for API responses
+   * @param {Object} rate - Rate row
+   * @returns {Object} Rate
+   */
+  static formatRate(rate) {
+    return {
+      currency_code: rate.currency_code,
+      rate_to_php: parseFloat(rate.rate_to_php),
+      updated_at: rate.updated_at,
+    };
+  }
+}
+
+module.exports = ExchangeRateService;
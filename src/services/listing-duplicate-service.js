@@ -0,0 +1,121 @@
+const CarListingModel = require('../models/car-listing');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { perceptualHash } = require('../utils/image-hash');
+const { downloadImage } = require('../utils/image-download');
+
+/**
+ * Listing Duplicate Service
+ * Groups listings that are probably the same car, e.g. a seller's reposts
+ * under new URLs, by title, price, year, location and image
+ */
+
+class ListingDuplicateService {
+  /**
+   * Hash the images of stored listings and add each listing to the duplicate
+   * group of the listings it matches, as after a scrape
+   * @param {Array<Object>} storedListings - Listings stored by the run
+   * @returns {Promise<number>} Number of stored listings that have duplicates
+   */
+  static async processListings(storedListings) {
+    const ids = storedListings.map(listing => listing.id);
+    if (ids.length === 0) return 0;
+
+    // Archived images are hashed as they are archived (see ListingImageService)
+    if (config.dedup.hashImages && !config.images.archive) {
+      await this.hashImages(ids);
+    }
+
+    let duplicateCount = 0;
+    for (const id of ids) {
+      if (await this.groupListing(id)) {
+        duplicateCount++;
+      }
+    }
+
+    if (duplicateCount > 0) {
+      logger.info(`Found duplicates for ${duplicateCount} of ${ids.length} listings`);
+    }
+
+    return duplicateCount;
+  }
+
+  /**
+   * Hash the images of listings whose image is new or changed. An image that
+   * cannot be downloaded or decoded is recorded without a hash and not retried
+   * @param {Array<number>} ids - Listing IDs
+   * @returns {Promise<number>} Number of images hashed
+   */
+  static async hashImages(ids) {
+    const rows = await CarListingModel.findUnhashedImages(ids);
+    let hashed = 0;
+
+    for (const { id, image_url: imageUrl } of rows) {
+      let phash = null;
+
+      try {
+        const data = await downloadImage(imageUrl, {
+          timeoutMs: config.dedup.imageTimeoutMs,
+          maxBytes: config.images.maxBytes,
+        });
+        phash = await perceptualHash(data);
+        hashed++;
+      } catch (error) {
+        logger.warn('Could not hash listing image', { id, imageUrl, error: error.message });
+      }
+
+      await CarListingModel.setImageHash(id, imageUrl, phash);
+    }
+
+    return hashed;
+  }
+
+  /**
+   * Add a listing to the duplicate group of the listings it matches
+   * @param {number} id - Listing ID
+   * @returns {Promise<number|null>} Duplicate group ID, or null without matches
+   */
+  static async groupListing(id) {
+    const candidates = await CarListingModel.findDuplicateCandidates(id, config.dedup);
+    if (candidates.length === 0) return null;
+
+    return CarListingModel.mergeDuplicateGroup([id, ...candidates.map(candidate => candidate.id)]);
+  }
+
+  /**
+   * Get the duplicate group of a listing
+   * @param {number} id - Listing ID
+   * @returns {Promise<Object>} Group ID and its active listings, newest first
+   */
+  static async getDuplicates(id) {
+    try {
+      const listing = await CarListingModel.findById(id);
+
+      if (!listing) {
+        const error = new Error('Listing not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const listings = await CarListingModel.findDuplicateGroup(id);
+
+      return {
+        success: true,
+        data: {
+          listing_id: listing.id,
+          duplicate_group_id: listing.duplicate_group_id,
+          count: listings.length,
+          listings: listings.map(member => ({
+            ...member,
+            title_similarity: member.title_similarity === null ? null : parseFloat(member.title_similarity),
+          })),
+        },
+      };
+    } catch (error) {
+      logger.error('Error in getDuplicates', { id, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = ListingDuplicateService;
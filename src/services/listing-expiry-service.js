@@ -0,0 +1,43 @@
+const CarListingModel = require('../models/car-listing');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Listing Expiry Service
+ * Expires listings that have disappeared from the marketplace
+ */
+
+class ListingExpiryService {
+  /**
+   * Sweep after a scrape run: listings of the scraped source not stored by the run
+   * count a missed run, and those missing for too many runs or hours are expired
+   * @param {string} source - Source that was scraped
+   * @param {Array<Object>} storedListings - Listings stored by the run
+   * @param {Object} [options] - Sweep options
+   * @param {boolean} [options.countMisses=true] - Count missed runs; false when
+   *   the run stopped at the listing limit, so not seeing a listing says nothing
+   * @returns {Promise<Array>} Expired listings
+   */
+  static async sweep(source, storedListings, { countMisses = true } = {}) {
+    const { afterMissedRuns, afterHours } = config.expiry;
+
+    if (afterMissedRuns <= 0 && afterHours <= 0) {
+      return [];
+    }
+
+    if (!countMisses) {
+      logger.info(`${source} run stopped at the listing limit; not counting missed runs`);
+    }
+
+    const seenIds = storedListings.map(listing => listing.id);
+    const expired = await CarListingModel.expireUnseen(source, seenIds, { afterMissedRuns, afterHours, countMisses });
+
+    if (expired.length > 0) {
+      logger.info(`Expired ${expired.length} ${source} listings no longer seen on the marketplace`);
+    }
+
+    return expired;
+  }
+}
+
+module.exports = ListingExpiryService;
@@ -0,0 +1,152 @@
+const CarListingModel = require('../models/car-listing');
+const CarListingService = require('./car-listing-service');
+const ExchangeRateService = require('./exchange-rate-service');
+const logger = require('../utils/logger');
+const { FORMATS, waitForDrain } = require('../utils/export-formats');
+const { sanitizeFilters, convertPriceFilters } = require('../utils/listing-filters');
+
+// Exportable columns and their types
+const EXPORT_COLUMNS = {
+  id: 'integer',
+  title: 'text',
+  price: 'numeric',
+  currency: 'text',
+  price_php: 'numeric',
+  year: 'integer',
+  make: 'text',
+  model: 'text',
+  variant: 'text',
+  transmission: 'text',
+  engine_size: 'numeric',
+  fuel_type: 'text',
+  condition: 'text',
+  mileage: 'text',
+  mileage_km: 'integer',
+  market_price_php: 'numeric',
+  percent_below_market: 'numeric',
+  deal_score: 'numeric',
+  location: 'text',
+  description: 'text',
+  source: 'text',
+  source_url: 'text',
+  listing_id: 'text',
+  image_url: 'text',
+  posted_at: 'timestamp',
+  created_at: 'timestamp',
+  updated_at: 'timestamp',
+  last_scraped_at: 'timestamp',
+  is_active: 'boolean',
+  expired_at: 'timestamp',
+};
+
+// Columns exported when none are chosen
+const DEFAULT_COLUMNS = [
+  'id', 'title', 'price', 'currency', 'year', 'make', 'model', 'variant',
+  'transmission', 'mileage_km', 'location', 'source', 'source_url', 'created_at',
+];
+
+/**
+ * Listing Export Service
+ * Streams every listing matching the GET /api/listings filters as a file
+ */
+
+class ListingExportService {
+  /**
+   * Prepare an export; failures that can be reported as an error response
+   * (e.g. an unknown currency) happen here, before anything is written
+   * @param {Object} filters - Listing filters, plus format (csv, ndjson or xlsx),
+   *   columns (comma-separated) and currency (adds converted_price)
+   * @returns {Promise<Object>} { filename, contentType, write } - write(stream)
+   *   writes the file to a writable stream and resolves once it has ended
+   */
+  static async exportListings(filters = {}) {
+    const format = FORMATS[filters.format] ? filters.format : 'csv';
+    const { currency, page, limit, cursor, includeTotal, ...sanitizedFilters } = sanitizeFilters(filters);
+    const rate = currency ? await ExchangeRateService.getRate(currency) : null;
+
+    if (rate) {
+      convertPriceFilters(sanitizedFilters, rate);
+    }
+
+    const names = this.parseColumns(filters.columns);
+    const columns = names.map(name => ({ name, type: EXPORT_COLUMNS[name] }));
+    if (rate) {
+      columns.push({ name: 'converted_price', type: 'numeric' }, { name: 'converted_currency', type: 'text' });
+    }
+
+    // price_php is needed for converted_price even when it is not exported
+    const selected = rate && !names.includes('price_php') ? [...names, 'price_php'] : names;
+
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+
+    return {
+      filename: `listings-${timestamp}.${FORMATS[format].extension}`,
+      contentType: FORMATS[format].contentType,
+      write: stream => this.writeExport(stream, {
+        format,
+        columns,
+        selected,
+        filters: sanitizedFilters,
+        convert: rate ? row => this.convertRow(row, names, currency, rate) : null,
+      }),
+    };
+  }
+
+  /**
+   * Write listings to a stream batch by batch, waiting for the stream to drain
+   * between batches. Stops reading (and closes the cursor) if the stream closes
+   * @param {Object} stream - Writable stream
+   * @param {Object} plan - { format, columns, selected, filters, convert }
+   * @returns {Promise<number>} Number of rows written
+   */
+  static async writeExport(stream, { format, columns, selected, filters, convert }) {
+    const writer = FORMATS[format].create(stream, columns);
+    let rowCount = 0;
+
+    try {
+      writer.start();
+
+      for await (const batch of CarListingModel.streamAll(filters, { columns: selected })) {
+        writer.writeRows(convert ? batch.map(convert) : batch);
+        rowCount += batch.length;
+        await waitForDrain(stream);
+      }
+
+      await writer.end();
+      logger.info(`Exported ${rowCount} listings as ${format}`);
+      return rowCount;
+    } catch (error) {
+      logger.error('Error in writeExport', { format, rowCount, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the columns parameter, keeping known columns in the order given
+   * @param {string|undefined} value - Comma-separated column names
+   * @returns {Array<string>} Columns
+   */
+  static parseColumns(value) {
+    if (!value) return DEFAULT_COLUMNS;
+
+    const names = [...new Set(String(value).split(',').map(name => name.trim()))]
+      .filter(name => EXPORT_COLUMNS[name]);
+
+    return names.length > 0 ? names : DEFAULT_COLUMNS;
+  }
+
+  /**
+   * Add converted_price to a row, dropping price_php unless it was asked for
+   * @param {Object} row - Listing row
+   * @param {Array<string>} names - Exported columns
+   * @param {string} currency - Currency code
+   * @param {number} rate - PHP per one unit of the currency
+   * @returns {Object} Row
+   */
+  static convertRow(row, names, currency, rate) {
+    const { price_php: pricePhp, ...fields } = CarListingService.convertPrice(row, currency, rate);
+    return names.includes('price_php') ? { ...fields, price_php: pricePhp } : fields;
+  }
+}
+
+module.exports = ListingExportService;
@@ -0,0 +1,244 @@
+const sharp = require('sharp');
+const CarListingModel = require('../models/car-listing');
+const ListingImageModel = require('../models/listing-image');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { perceptualHash } = require('../utils/image-hash');
+const { downloadImage } = require('../utils/image-download');
+const { createImageStorage } = require('../utils/image-storage');
+
+// Thumbnail sizes: longest side in pixels. Thumbnails are JPEG
+const THUMBNAIL_SIZES = {
+  small: 160,
+  medium: 480,
+  large: 1024,
+};
+
+// Sizes that can be requested: the thumbnails and the downloaded file
+const IMAGE_SIZES = [...Object.keys(THUMBNAIL_SIZES), 'original'];
+
+// File extension of the original, by sharp's format name
+const EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  gif: 'gif',
+  avif: 'avif',
+  heif: 'heic',
+  tiff: 'tif',
+};
+
+const storage = createImageStorage(config.images.storage, config.images);
+
+/**
+ * Listing Image Service
+ * Archives listing photos to image storage (IMAGE_STORAGE), so they outlive
+ * the marketplace's CDN links, with thumbnails and a perceptual hash of each
+ */
+
+class ListingImageService {
+  /**
+   * Archive the new and changed images of stored listings, as after a scrape.
+   * The main image's hash also goes to the listing for duplicate detection
+   * @param {Array<Object>} storedListings - Listings stored by the run
+   * @returns {Promise<number>} Number of images archived
+   */
+  static async archiveListings(storedListings) {
+    if (!config.images.archive || storedListings.length === 0) return 0;
+
+    await ListingImageModel.setMainImages(storedListings.filter(listing => listing.image_url));
+
+    const images = await ListingImageModel.findPending(storedListings.map(listing => listing.id));
+    let archived = 0;
+
+    for (const image of images) {
+      if (await this.archiveImage(image)) {
+        archived++;
+      }
+    }
+
+    if (images.length > 0) {
+      logger.info(`Archived ${archived} of ${images.length} listing images`);
+    }
+
+    return archived;
+  }
+
+  /**
+   * Download one image and store it with its thumbnails. A failed image is
+   * retried by later runs until IMAGE_ARCHIVE_MAX_ATTEMPTS
+   * @param {Object} image - Pending image
+   * @returns {Promise<boolean>} True if archived
+   */
+  static async archiveImage(image) {
+    const { id, car_listing_id: carListingId, position, source_url: sourceUrl } = image;
+    const storageKey = `${carListingId}/${position}`;
+
+    try {
+      const data = await downloadImage(sourceUrl, {
+        timeoutMs: config.images.downloadTimeoutMs,
+        maxBytes: config.images.maxBytes,
+      });
+
+      const metadata = await sharp(data).metadata();
+      const extension = EXTENSIONS[metadata.format];
+      if (!extension) {
+        throw new Error(`Unsupported image format: ${metadata.format}`);
+      }
+
+      // Clears the files of the image's previous source, whose original may have another extension
+      await storage.deletePrefix(storageKey);
+      await storage.put(`${storageKey}/original.${extension}`, data);
+      for (const [size, pixels] of Object.entries(THUMBNAIL_SIZES)) {
+        const thumbnail = await sharp(data)
+          .rotate()
+          .resize(pixels, pixels, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+        await storage.put(`${storageKey}/${size}.jpg`, thumbnail);
+      }
+
+      const phash = await perceptualHash(data);
+      await ListingImageModel.markStored(id, sourceUrl, {
+        storageKey,
+        contentType: `image/${metadata.format}`,
+        width: metadata.width,
+        height: metadata.height,
+        bytes: data.length,
+        phash,
+      });
+
+      if (position === 0) {
+        await CarListingModel.setImageHash(carListingId, sourceUrl, phash);
+      }
+
+      return true;
+    } catch (error) {
+      logger.warn('Could not archive listing image', { carListingId, position, sourceUrl, error: error.message });
+
+      const status = await ListingImageModel.markFailed(id, sourceUrl, error.message, config.images.maxAttempts);
+
+      // Recorded without a hash, as duplicate detection does for unreadable images
+      if (status === 'failed' && position === 0) {
+        await CarListingModel.setImageHash(carListingId, sourceUrl, null);
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Record the photos of a listing's detail page. The listing's main image is
+   * left out, as it is archived at position 0 already
+   * @param {Object} listing - Stored listing ({ id, image_url })
+   * @param {Array<string>} urls - Photo URLs, in page order
+   */
+  static async setGallery(listing, urls) {
+    const mainPath = listing.image_url ? listing.image_url.split('?')[0] : null;
+    const photos = urls.filter(url => url.split('?')[0] !== mainPath);
+
+    const removed = await ListingImageModel.setGallery(listing.id, photos);
+    for (const storageKey of removed) {
+      await this.deleteFiles(storageKey);
+    }
+  }
+
+  /**
+   * Delete the archived images of listings, e.g. after they were purged
+   * @param {Array<number>} carListingIds - Listing IDs
+   */
+  static async deleteListingImages(carListingIds) {
+    for (const carListingId of carListingIds) {
+      await this.deleteFiles(String(carListingId));
+    }
+  }
+
+  /**
+   * Delete stored files under a key prefix. A failure is logged and leaves
+   * the files behind rather than failing the caller
+   * @param {string} prefix - Storage key prefix
+   */
+  static async deleteFiles(prefix) {
+    try {
+      await storage.deletePrefix(prefix);
+    } catch (error) {
+      logger.error('Failed to delete archived images', { prefix, error });
+    }
+  }
+
+  /**
+   * Get the images of a listing, with the URLs of the archived sizes
+   * @param {number} id - Listing ID
+   * @returns {Promise<Object>} Images
+   */
+  static async getImages(id) {
+    try {
+      const listing = await CarListingModel.findById(id);
+
+      if (!listing) {
+        const error = new Error('Listing not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const images = await ListingImageModel.findByListingId(id);
+
+      return {
+        success: true,
+        data: images.map(({ storage_key: storageKey, ...image }) => ({
+          ...image,
+          urls: image.status === 'stored'
+            ? Object.fromEntries(IMAGE_SIZES.map(size =>
+              [size, `/api/listings/${id}/images/${size}?position=${image.position}`]))
+            : null,
+        })),
+      };
+    } catch (error) {
+      logger.error('Error in getImages', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Open an archived image for sending
+   * @param {number} id - Listing ID
+   * @param {string} size - small, medium, large or original
+   * @param {number} position - Image position (0 is the main image)
+   * @returns {Promise<Object>} { stream, contentType, etag }
+   */
+  static async getImage(id, size, position = 0) {
+    try {
+      const listing = await CarListingModel.findById(id);
+      const image = listing ? await ListingImageModel.findOne(id, position) : null;
+
+      if (!image || image.status !== 'stored') {
+        const error = new Error(listing ? 'Image not archived' : 'Listing not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const format = image.content_type.replace(/^image\//, '');
+      const original = size === 'original';
+      const stream = await storage.get(
+        `${image.storage_key}/${size}.${original ? EXTENSIONS[format] : 'jpg'}`
+      );
+
+      if (!stream) {
+        const error = new Error('Image not archived');
+        error.status = 404;
+        throw error;
+      }
+
+      return {
+        stream,
+        contentType: original ? image.content_type : 'image/jpeg',
+        etag: `"${image.id}-${size}-${new Date(image.archived_at).getTime()}"`,
+      };
+    } catch (error) {
+      logger.error('Error in getImage', { id, size, position, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = ListingImageService;
@@ -0,0 +1,272 @@
+const CarListingModel = require('../models/car-listing');
+const CarListingService = require('./car-listing-service');
+const ListingProcessingService = require('./listing-processing-service');
+const { listSources } = require('../scrapers');
+const { validateListingRow } = require('../middleware/validator');
+const { parseCsv } = require('../utils/csv-parser');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Listing fields that can be imported
+const IMPORT_FIELDS = [
+  'title', 'price', 'currency', 'year', 'mileage', 'transmission', 'location',
+  'description', 'source_url', 'listing_id', 'image_url',
+];
+
+// Common file column names for listing fields, after normalizeColumn
+const COLUMN_ALIASES = {
+  name: 'title',
+  listing_title: 'title',
+  asking_price: 'price',
+  amount: 'price',
+  url: 'source_url',
+  link: 'source_url',
+  listing_url: 'source_url',
+  model_year: 'year',
+  odometer: 'mileage',
+  km: 'mileage',
+  kilometers: 'mileage',
+  gearbox: 'transmission',
+  city: 'location',
+  image: 'image_url',
+  photo: 'image_url',
+  photo_url: 'image_url',
+};
+
+/**
+ * Listing Import Service
+ * Loads listings from CSV or JSON files, e.g. dealer inventory dumps
+ */
+
+class ListingImportService {
+  /**
+   * Import listings; rows are matched to existing listings by source_url
+   * Each row is validated with the rules of PUT /api/listings/:id and the
+   * valid ones are upserted together. Invalid rows are reported, not imported
+   * @param {string|Array|Object} body - CSV text, or a JSON array of rows
+   *   (or { listings: [...] })
+   * @param {Object} options - Query parameters: dryRun, source, mapping (JSON
+   *   object of file column to listing field)
+   * @returns {Promise<Object>} Summary and per-row report
+   */
+  static async importListings(body, options = {}) {
+    const dryRun = options.dryRun === 'true' || options.dryRun === true;
+    const source = options.source || config.imports.defaultSource;
+    const mapping = options.mapping ? JSON.parse(options.mapping) : {};
+
+    try {
+      if (listSources().includes(source)) {
+        throw this.badRequest(`Source "${source}" belongs to a scraper; imported listings need their own source`);
+      }
+
+      const { columns, records } = this.parseFile(body);
+
+      if (records.length === 0) {
+        throw this.badRequest('The file has no rows to import');
+      }
+      if (records.length > config.imports.maxRows) {
+        throw this.badRequest(`The file has ${records.length} rows; at most ${config.imports.maxRows} can be imported at once`);
+      }
+
+      const fields = this.mapColumns(columns, mapping);
+      const rows = [];
+      const accepted = [];
+      const firstRowByUrl = new Map();
+
+      for (const [index, record] of records.entries()) {
+        const values = this.mapRecord(record, fields);
+        const errors = await validateListingRow(values);
+
+        if (errors.length === 0 && firstRowByUrl.has(values.source_url)) {
+          errors.push({
+            field: 'source_url',
+            message: `Same source URL as row ${firstRowByUrl.get(values.source_url)}`,
+            value: values.source_url,
+          });
+        }
+
+        const row = { row: index + 1, status: 'rejected', id: null, source_url: values.source_url || null };
+        rows.push(row);
+
+        if (errors.length > 0) {
+          row.errors = errors;
+        } else {
+          firstRowByUrl.set(values.source_url, row.row);
+          accepted.push({
+            row,
+            listing: CarListingService.buildListing(values, source),
+            fields: Object.keys(values),
+          });
+        }
+      }
+
+      if (accepted.length > 0) {
+        await (dryRun ? this.planRows(accepted) : this.storeRows(accepted));
+      }
+
+      const summary = {
+        total: rows.length,
+        inserted: rows.filter(row => row.status === 'inserted').length,
+        updated: rows.filter(row => row.status === 'updated').length,
+        rejected: rows.filter(row => row.status === 'rejected').length,
+      };
+
+      logger.info(`${dryRun ? 'Dry-run import' : 'Import'} of ${summary.total} rows`, summary);
+
+      return {
+        success: true,
+        data: {
+          dry_run: dryRun,
+          source,
+          summary,
+          ignored_columns: columns.filter(column => !fields[column]),
+          rows,
+        },
+        message: dryRun
+          ? `Dry run: ${summary.inserted} listings would be inserted, ${summary.updated} updated, ${summary.rejected} rows rejected`
+          : `Imported ${summary.inserted + summary.updated} listings (${summary.inserted} inserted, ${summary.updated} updated), ${summary.rejected} rows rejected`,
+      };
+    } catch (error) {
+      logger.error('Error in importListings', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store accepted rows, group duplicates and alert saved searches about
+   * them, as after a scrape. Matched listings are updated in the fields of
+   * the file only; deleted listings stay deleted and are not processed further.
+   * Failures after the rows are stored are logged, not thrown
+   * @param {Array} accepted - { row, listing, fields } (rows are updated in place)
+   */
+  static async storeRows(accepted) {
+    const stored = await CarListingModel.bulkImport(accepted.map(({ listing, fields }) => ({ listing, fields })));
+
+    stored.forEach((listing, index) => {
+      accepted[index].row.status = listing.inserted ? 'inserted' : 'updated';
+      accepted[index].row.id = listing.id;
+    });
+
+    await ListingProcessingService.processStored(stored.filter(listing => !listing.deleted_at));
+  }
+
+  /**
+   * Report what storing accepted rows would do, without writing
+   * @param {Array} accepted - { row, listing, fields } (rows are updated in place)
+   */
+  static async planRows(accepted) {
+    const existing = await CarListingModel.findIdsBySourceUrls(accepted.map(({ listing }) => listing.source_url));
+
+    accepted.forEach(({ row, listing }) => {
+      const id = existing.get(listing.source_url);
+      row.status = id ? 'updated' : 'inserted';
+      row.id = id || null;
+    });
+  }
+
+  /**
+   * Read the rows of an uploaded file
+   * @param {string|Array|Object} body - Parsed request body
+   * @returns {Object} { columns, records }
+   */
+  static parseFile(body) {
+    if (typeof body === 'string') {
+      try {
+        return parseCsv(body);
+      } catch (parseError) {
+        throw this.badRequest(parseError.message);
+      }
+    }
+
+    const records = Array.isArray(body) ? body : body?.listings;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw this.badRequest('Send a CSV file (Content-Type: text/csv) or a JSON array of listing objects');
+    }
+
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { columns, records };
+  }
+
+  /**
+   * Match file columns to listing fields: explicit mappings first, then
+   * columns named like a field or one of its aliases
+   * @param {Array<string>} columns - File columns
+   * @param {Object} mapping - File column to listing field
+   * @returns {Object} Listing field by file column; unmatched columns are left out
+   */
+  static mapColumns(columns, mapping) {
+    const fields = {};
+    const mappedFields = new Set(Object.values(mapping));
+
+    columns.forEach((column) => {
+      if (mapping[column]) {
+        fields[column] = mapping[column];
+        return;
+      }
+
+      const name = this.normalizeColumn(column);
+      const field = IMPORT_FIELDS.includes(name) ? name : COLUMN_ALIASES[name];
+
+      // A field mapped explicitly is not also filled from a look-alike column
+      if (field && !mappedFields.has(field) && !Object.values(fields).includes(field)) {
+        fields[column] = field;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Normalize a column name: "Asking Price" -> asking_price
+   * @param {string} column - Column name
+   * @returns {string} Normalized name
+   */
+  static normalizeColumn(column) {
+    return String(column).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  /**
+   * Pick the listing fields out of a file row
+   * Blank values count as missing. Prices may use thousands separators,
+   * currency codes are upper-cased and transmissions lower-cased
+   * @param {Object} record - File row
+   * @param {Object} fields - Listing field by file column
+   * @returns {Object} Listing field values
+   */
+  static mapRecord(record, fields) {
+    const values = {};
+
+    Object.entries(fields).forEach(([column, field]) => {
+      let value = record[column];
+      if (typeof value === 'string') {
+        value = value.trim();
+      }
+      if (value === undefined || value === null || value === '') return;
+
+      if (field === 'price' && typeof value === 'string') {
+        value = value.replace(/[,\s]/g, '');
+      } else if (field === 'currency' && typeof value === 'string') {
+        value = value.toUpperCase();
+      } else if (field === 'transmission' && typeof value === 'string') {
+        value = value.toLowerCase();
+      }
+
+      values[field] = value;
+    });
+
+    return values;
+  }
+
+  /**
+   * Error for a request that cannot be imported
+   * @param {string} message - Error message
+   * @returns {Error} 400 error
+   */
+  static badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+module.exports = ListingImportService;
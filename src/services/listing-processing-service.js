@@ -0,0 +1,58 @@
+const ListingDuplicateService = require('./listing-duplicate-service');
+const ListingImageService = require('./listing-image-service');
+const ListingValuationService = require('./listing-valuation-service');
+const SavedSearchService = require('./saved-search-service');
+const logger = require('../utils/logger');
+
+/**
+ * Listing Processing Service Layer
+ * Follow-up steps for listings that were just stored, by a scrape, an import
+ * or by hand
+ */
+
+class ListingProcessingService {
+  /**
+   * Archive images, group duplicates, value and alert saved searches about
+   * stored listings, in that order. The listings are already stored, so a
+   * failing step is logged and counts 0 instead of failing the caller
+   * @param {Array} storedListings - Stored listings ({ inserted } marks new ones)
+   * @returns {Promise<Object>} { imageCount, duplicateCount, valuedCount, alertCount }
+   */
+  static async processStored(storedListings) {
+    // Copy new and changed images to image storage; this also hashes them for duplicate detection
+    const imageCount = await this.runStep('archive images of', storedListings,
+      () => ListingImageService.archiveListings(storedListings));
+
+    // Group reposts and other duplicates, before saved searches that collapse them are matched
+    const duplicateCount = await this.runStep('group duplicates of', storedListings,
+      () => ListingDuplicateService.processListings(storedListings));
+
+    // Estimate market prices and deal scores, which saved searches can filter on
+    const valuedCount = await this.runStep('value', storedListings,
+      () => ListingValuationService.valueListings(storedListings));
+
+    // Alert saved searches about new and cheaper listings
+    const alertCount = await this.runStep('match saved searches against', storedListings,
+      () => SavedSearchService.matchListings(storedListings));
+
+    return { imageCount, duplicateCount, valuedCount, alertCount };
+  }
+
+  /**
+   * Run one processing step, logging a failure instead of throwing it
+   * @param {string} action - What the step does, for the log message
+   * @param {Array} storedListings - Listings the step processes
+   * @param {Function} step - Returns a promise of the processed count
+   * @returns {Promise<number>} Processed count; 0 if the step failed
+   */
+  static async runStep(action, storedListings, step) {
+    try {
+      return await step();
+    } catch (error) {
+      logger.error(`Failed to ${action} ${storedListings.length} stored listings`, { error: error.message });
+      return 0;
+    }
+  }
+}
+
+module.exports = ListingProcessingService;
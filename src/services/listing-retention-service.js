@@ -0,0 +1,57 @@
+const CarListingModel = require('../models/car-listing');
+const ListingImageService = require('./listing-image-service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Listing Retention Service
+ * Removes deleted listings once they have been deleted for
+ * LISTING_RETENTION_DAYS, archiving them first unless the mode is purge
+ */
+
+class ListingRetentionService {
+  /**
+   * Remove every listing past its retention period, in batches
+   * @returns {Promise<number>} Number of listings removed
+   */
+  static async purgeDeleted() {
+    const { deletedListingDays, mode, batchSize } = config.retention;
+
+    if (deletedListingDays <= 0) {
+      return 0;
+    }
+
+    const archive = mode !== 'purge';
+    let total = 0;
+    let removed;
+
+    do {
+      removed = await CarListingModel.purgeDeleted(deletedListingDays, { archive, limit: batchSize });
+      await ListingImageService.deleteListingImages(removed);
+      total += removed.length;
+    } while (removed.length === batchSize);
+
+    if (total > 0) {
+      logger.info(`${archive ? 'Archived' : 'Purged'} ${total} listings deleted more than ${deletedListingDays} days ago`);
+    }
+
+    return total;
+  }
+
+  /**
+   * When a deleted listing will be removed by the retention job
+   * @param {Object} listing - Deleted listing
+   * @returns {Date|null} Removal time, or null if deleted listings are kept
+   */
+  static removalDate(listing) {
+    const { deletedListingDays } = config.retention;
+
+    if (deletedListingDays <= 0 || !listing.deleted_at) {
+      return null;
+    }
+
+    return new Date(new Date(listing.deleted_at).getTime() + deletedListingDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = ListingRetentionService;
@@ -0,0 +1,188 @@
+const CarListingModel = require('../models/car-listing');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Smallest price spread a deal score is measured in, as a fraction of the
+// market price, so near-identical comparable prices do not inflate scores
+const MIN_SPREAD = 0.05;
+
+// Deal scores are capped at this many spreads either way; far beyond it the
+// price is more likely a typo than a deal
+const MAX_DEAL_SCORE = 10;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Listing Valuation Service
+ * Estimates the market price of a listing from comparable live listings and
+ * scores how good a deal its price is
+ */
+
+class ListingValuationService {
+  /**
+   * Value stored listings and store the results, as after a scrape. The
+   * stored listings are comparables of other live listings of the same make,
+   * model and year band, so those are valued again too
+   * @param {Array<Object>} storedListings - Listings stored by the run
+   * @returns {Promise<number>} Number of stored listings with a market price
+   */
+  static async valueListings(storedListings) {
+    let valued = 0;
+
+    for (const { id } of storedListings) {
+      if (await this.valueListing(id)) {
+        valued++;
+      }
+    }
+
+    const storedIds = storedListings.map(({ id }) => id);
+    const comparingIds = await CarListingModel.findComparingListingIds(storedIds, config.valuation);
+
+    for (const id of comparingIds) {
+      await this.valueListing(id);
+    }
+
+    if (storedListings.length > 0) {
+      logger.info(`Valued ${valued} of ${storedListings.length} listings, revalued ${comparingIds.length} comparable listings`);
+    }
+
+    return valued;
+  }
+
+  /**
+   * Value a listing from its current comparables and store the result
+   * @param {number} id - Listing ID
+   * @returns {Promise<boolean>} True if the listing has a market price
+   */
+  static async valueListing(id) {
+    const listing = await CarListingModel.findById(id);
+    if (!listing) return false;
+
+    const comparables = await CarListingModel.findComparables(id, config.valuation);
+    const { valuation, used } = this.appraise(listing, comparables);
+
+    await CarListingModel.setValuation(id, valuation, used.length);
+    return valuation !== null;
+  }
+
+  /**
+   * Estimate the market price of a listing from its comparables. Comparables
+   * within the mileage band are used when there are enough of them, all
+   * comparables of the year band otherwise
+   * @param {Object} listing - Listing
+   * @param {Array<Object>} comparables - Comparables from CarListingModel.findComparables
+   * @returns {Object} { valuation, used, reason } - valuation is null (and
+   *   reason says why) without enough comparables; used are the comparables
+   *   the estimate is based on
+   */
+  static appraise(listing, comparables) {
+    const { minComparables } = config.valuation;
+
+    if (!listing.make || !listing.model || !listing.year || listing.price_php === null) {
+      return { valuation: null, used: [], reason: 'Make, model, year and price are needed for a valuation' };
+    }
+
+    const nearby = comparables.filter(comparable => comparable.within_mileage_band);
+    let basis;
+    let used;
+
+    if (listing.mileage_km !== null && nearby.length >= minComparables) {
+      basis = 'model_year_mileage';
+      used = nearby;
+    } else if (comparables.length >= minComparables) {
+      basis = 'model_year';
+      used = comparables;
+    } else {
+      return {
+        valuation: null,
+        used: comparables,
+        reason: `${comparables.length} comparable listings found, ${minComparables} needed`,
+      };
+    }
+
+    const prices = used.map(comparable => parseFloat(comparable.price_php)).sort((a, b) => a - b);
+    const price = parseFloat(listing.price_php);
+    const median = this.quantile(prices, 0.5);
+    const q1 = this.quantile(prices, 0.25);
+    const q3 = this.quantile(prices, 0.75);
+    const spread = Math.max(q3 - q1, median * MIN_SPREAD);
+    const dealScore = Math.max(-MAX_DEAL_SCORE, Math.min(MAX_DEAL_SCORE, (median - price) / spread));
+
+    return {
+      valuation: {
+        basis,
+        market_price_php: round(median),
+        q1_php: round(q1),
+        q3_php: round(q3),
+        market_iqr_php: round(q3 - q1),
+        percent_below_market: round(((median - price) / median) * 100),
+        deal_score: round(dealScore),
+      },
+      used,
+      reason: null,
+    };
+  }
+
+  /**
+   * Value at a quantile of sorted numbers, interpolating between neighbours
+   * (as PostgreSQL's percentile_cont)
+   * @param {Array<number>} sorted - Numbers in ascending order
+   * @param {number} fraction - Quantile, 0-1
+   * @returns {number} Value
+   */
+  static quantile(sorted, fraction) {
+    const index = (sorted.length - 1) * fraction;
+    const lower = Math.floor(index);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  /**
+   * Value a listing now and explain the estimate: the matching criteria and
+   * the comparables it is based on
+   * @param {number} id - Listing ID
+   * @returns {Promise<Object>} Valuation
+   */
+  static async getValuation(id) {
+    try {
+      const listing = await CarListingModel.findById(id);
+
+      if (!listing) {
+        const error = new Error('Listing not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const { yearBand, mileageBandKm, minComparables } = config.valuation;
+      const comparables = await CarListingModel.findComparables(id, config.valuation);
+      const { valuation, used, reason } = this.appraise(listing, comparables);
+      const mileageMatched = valuation?.basis === 'model_year_mileage';
+
+      return {
+        success: true,
+        data: {
+          listing_id: listing.id,
+          price_php: listing.price_php,
+          valuation,
+          reason,
+          criteria: {
+            make: listing.make,
+            model: listing.model,
+            year: listing.year === null ? null : { from: listing.year - yearBand, to: listing.year + yearBand },
+            mileage_km: mileageMatched
+              ? { from: Math.max(0, listing.mileage_km - mileageBandKm), to: listing.mileage_km + mileageBandKm }
+              : null,
+            min_comparables: minComparables,
+          },
+          comparable_count: used.length,
+          comparables: used,
+        },
+      };
+    } catch (error) {
+      logger.error('Error in getValuation', { id, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = ListingValuationService;
@@ -0,0 +1,315 @@
+const SavedSearchModel = require('../models/saved-search');
+const SavedSearchAlertModel = require('../models/saved-search-alert');
+const ExchangeRateService = require('./exchange-rate-service');
+const logger = require('../utils/logger');
+const { sanitizeFilters, convertPriceFilters } = require('../utils/listing-filters');
+
+/**
+ * Saved Search Service Layer
+ * Stores named listing filters and alerts them about new and cheaper listings
+ */
+
+class SavedSearchService {
+  /**
+   * List all saved searches
+   * @returns {Promise<Object>} Saved searches
+   */
+  static async listSavedSearches() {
+    try {
+      const savedSearches = await SavedSearchModel.findAll();
+
+      return {
+        success: true,
+        data: savedSearches,
+      };
+    } catch (error) {
+      logger.error('Error in listSavedSearches', error);
+      throw new Error('Failed to fetch saved searches');
+    }
+  }
+
+  /**
+   * Get a saved search by ID
+   * @param {number} id - Saved search ID
+   * @returns {Promise<Object>} Saved search
+   */
+  static async getSavedSearch(id) {
+    try {
+      const savedSearch = await SavedSearchModel.findById(id);
+
+      if (!savedSearch) {
+        throw this.notFound();
+      }
+
+      return {
+        success: true,
+        data: savedSearch,
+      };
+    } catch (error) {
+      logger.error('Error in getSavedSearch', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Save a filter set under a name
+   * @param {Object} data - { name, filters }
+   * @returns {Promise<Object>} Created saved search
+   */
+  static async createSavedSearch({ name, filters }) {
+    const savedFilters = await this.normalizeFilters(filters);
+
+    try {
+      const savedSearch = await SavedSearchModel.create({ name, filters: savedFilters });
+      logger.info(`Saved search ${savedSearch.id} created`, { name });
+
+      return {
+        success: true,
+        data: savedSearch,
+        message: 'Saved search created successfully',
+      };
+    } catch (error) {
+      logger.error('Error in createSavedSearch', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a saved search and/or replace its filters
+   * @param {number} id - Saved search ID
+   * @param {Object} data - { name, filters }
+   * @returns {Promise<Object>} Updated saved search
+   */
+  static async updateSavedSearch(id, { name, filters }) {
+    const savedFilters = filters !== undefined ? await this.normalizeFilters(filters) : undefined;
+
+    try {
+      const savedSearch = await SavedSearchModel.update(id, { name, filters: savedFilters });
+
+      if (!savedSearch) {
+        throw this.notFound();
+      }
+
+      return {
+        success: true,
+        data: savedSearch,
+        message: 'Saved search updated successfully',
+      };
+    } catch (error) {
+      logger.error('Error in updateSavedSearch', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved search and its alerts
+   * @param {number} id - Saved search ID
+   * @returns {Promise<Object>} Success message
+   */
+  static async deleteSavedSearch(id) {
+    try {
+      const deleted = await SavedSearchModel.delete(id);
+
+      if (!deleted) {
+        throw this.notFound();
+      }
+
+      return {
+        success: true,
+        message: 'Saved search deleted successfully',
+      };
+    } catch (error) {
+      logger.error('Error in deleteSavedSearch', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the alerts of a saved search, newest first
+   * @param {number} id - Saved search ID
+   * @param {Object} filters - Query parameters: page, limit, unread
+   * @returns {Promise<Object>} Paginated alerts
+   */
+  static async getAlerts(id, filters = {}) {
+    try {
+      const savedSearch = await SavedSearchModel.findById(id);
+
+      if (!savedSearch) {
+        throw this.notFound();
+      }
+
+      const options = {};
+      if (filters.page) {
+        options.page = Math.max(1, parseInt(filters.page, 10) || 1);
+      }
+      if (filters.limit) {
+        options.limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+      }
+      options.unread = filters.unread === 'true' || filters.unread === true;
+
+      const result = await SavedSearchAlertModel.findBySavedSearch(id, options);
+
+      return {
+        success: true,
+        unread_alerts: savedSearch.unread_alerts,
+        data: result.data.map(alert => this.formatAlert(alert)),
+        pagination: result.pagination,
+      };
+    } catch (error) {
+      logger.error('Error in getAlerts', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark alerts of a saved search read or unread
+   * @param {number} id - Saved search ID
+   * @param {Object} options - { ids, read }; without ids every alert is marked
+   * @returns {Promise<Object>} Number of alerts changed
+   */
+  static async markAlerts(id, { ids, read = true } = {}) {
+    try {
+      const savedSearch = await SavedSearchModel.findById(id);
+
+      if (!savedSearch) {
+        throw this.notFound();
+      }
+
+      const updated = await SavedSearchAlertModel.markRead(id, { ids: ids || null, read });
+
+      return {
+        success: true,
+        data: { updated },
+        message: `Alerts marked as ${read ? 'read' : 'unread'}`,
+      };
+    } catch (error) {
+      logger.error('Error in markAlerts', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Alert saved searches about listings stored by a scrape run
+   * Listings that are new or were re-scraped at a lower price in the same
+   * currency are matched against every saved search. Failures are logged and
+   * never fail the scrape
+   * @param {Array<Object>} storedListings - Listings stored by the run (upsert results)
+   * @returns {Promise<number>} Number of alerts created
+   */
+  static async matchListings(storedListings) {
+    const candidates = [];
+    for (const listing of storedListings) {
+      if (listing.inserted) {
+        candidates.push({ id: listing.id, reason: 'new', previous_price: null });
+      } else if (
+        listing.previous_price !== null &&
+        listing.previous_currency === listing.currency &&
+        parseFloat(listing.price) < parseFloat(listing.previous_price)
+      ) {
+        candidates.push({ id: listing.id, reason: 'price_drop', previous_price: listing.previous_price });
+      }
+    }
+
+    if (candidates.length === 0) {
+      return 0;
+    }
+
+    let savedSearches;
+    try {
+      savedSearches = await SavedSearchModel.findAll();
+    } catch (error) {
+      logger.error('Failed to load saved searches for alerts', { error: error.message });
+      return 0;
+    }
+
+    let alertCount = 0;
+    for (const savedSearch of savedSearches) {
+      try {
+        const filters = await this.toListingFilters(savedSearch.filters);
+        const alerts = await SavedSearchAlertModel.createForMatches(savedSearch.id, filters, candidates);
+        alertCount += alerts.length;
+      } catch (error) {
+        logger.error(`Failed to match saved search ${savedSearch.id}`, { error: error.message });
+      }
+    }
+
+    if (alertCount > 0) {
+      logger.info(`Created ${alertCount} saved search alerts for ${candidates.length} new or cheaper listings`);
+    }
+
+    return alertCount;
+  }
+
+  /**
+   * Sanitize filters for storage; paging state is dropped and an unknown
+   * currency is rejected up front rather than when the search is matched
+   * @param {Object} filters - Listing query parameters
+   * @returns {Promise<Object>} Filters to store
+   */
+  static async normalizeFilters(filters = {}) {
+    const { page, cursor, includeTotal, ...savedFilters } = sanitizeFilters(filters || {});
+
+    if (savedFilters.currency) {
+      await ExchangeRateService.getRate(savedFilters.currency);
+    }
+
+    return savedFilters;
+  }
+
+  /**
+   * Turn stored filters into model filters, with prices converted to PHP
+   * @param {Object} savedFilters - Stored filters
+   * @returns {Promise<Object>} Listing filters
+   */
+  static async toListingFilters(savedFilters) {
+    const { currency, limit, sortBy, sortOrder, ...filters } = sanitizeFilters(savedFilters);
+
+    if (currency) {
+      convertPriceFilters(filters, await ExchangeRateService.getRate(currency));
+    }
+
+    return filters;
+  }
+
+  /**
+   * Shape an alert row for API responses
+   * @param {Object} alert - Alert row joined with its listing
+   * @returns {Object} Alert
+   */
+  static formatAlert(alert) {
+    return {
+      id: alert.id,
+      reason: alert.reason,
+      price: alert.price,
+      previous_price: alert.previous_price,
+      currency: alert.currency,
+      is_read: alert.is_read,
+      read_at: alert.read_at,
+      created_at: alert.created_at,
+      listing: {
+        id: alert.car_listing_id,
+        title: alert.title,
+        year: alert.year,
+        mileage: alert.mileage,
+        location: alert.location,
+        source: alert.source,
+        source_url: alert.source_url,
+        image_url: alert.image_url,
+        is_active: alert.is_active,
+        expired_at: alert.expired_at,
+      },
+    };
+  }
+
+  /**
+   * Error for a missing saved search
+   * @returns {Error} 404 error
+   */
+  static notFound() {
+    const error = new Error('Saved search not found');
+    error.status = 404;
+    return error;
+  }
+}
+
+module.exports = SavedSearchService;
@@ -0,0 +1,154 @@
+const ScrapeJobModel = require('../models/scrape-job');
+const { hasScraper, listSources } = require('../scrapers');
+const logger = require('../utils/logger');
+
+/**
+ * Scrape Job Service Layer
+ * Queues scrape runs and reports their progress
+ */
+
+class ScrapeJobService {
+  /**
+   * Queue a scrape job
+   * An identical job that is still waiting in the queue is reused instead of queueing another
+   * @param {Object} params - Scraper parameters
+   * @param {string} [params.source] - Source to scrape (default: all enabled sources)
+   * @returns {Promise<Object>} Queued job
+   */
+  static async enqueueScrape(params = {}) {
+    if (params.source && !hasScraper(params.source)) {
+      const error = new Error(`Unknown scraper source: ${params.source}. Available: ${listSources().join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    try {
+      const existing = await ScrapeJobModel.findQueued(params);
+      if (existing) {
+        return {
+          success: true,
+          message: 'Scraping job already queued',
+          data: this.formatJob(existing),
+        };
+      }
+
+      const job = await ScrapeJobModel.create(params);
+      logger.info(`Queued scrape job ${job.id}`);
+
+      return {
+        success: true,
+        message: 'Scraping job queued',
+        data: this.formatJob(job),
+      };
+    } catch (error) {
+      logger.error('Error in enqueueScrape', error);
+      throw new Error('Failed to queue scraping job');
+    }
+  }
+
+  /**
+   * Get a scrape job by ID
+   * @param {number} id - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  static async getJob(id) {
+    try {
+      const job = await ScrapeJobModel.findById(id);
+
+      if (!job) {
+        const error = new Error('Scrape job not found');
+        error.status = 404;
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: this.formatJob(job),
+      };
+    } catch (error) {
+      logger.error('Error in getJob', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * List scrape jobs, newest first
+   * @param {Object} filters - Query parameters
+   * @returns {Promise<Object>} Paginated jobs
+   */
+  static async listJobs(filters) {
+    try {
+      const options = {};
+      if (filters.page) {
+        options.page = Math.max(1, parseInt(filters.page, 10) || 1);
+      }
+      if (filters.limit) {
+        options.limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+      }
+      if (filters.status) {
+        options.status = filters.status;
+      }
+
+      const result = await ScrapeJobModel.findAll(options);
+
+      return {
+        success: true,
+        data: result.data.map(job => this.formatJob(job)),
+        pagination: result.pagination,
+      };
+    } catch (error) {
+      logger.error('Error in listJobs', error);
+      throw new Error('Failed to fetch scrape jobs');
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {number} id - Job ID
+   * @returns {Promise<Object>} Updated job
+   */
+  static async cancelJob(id) {
+    try {
+      const job = await ScrapeJobModel.requestCancel(id);
+
+      if (!job) {
+        const existing = await ScrapeJobModel.findById(id);
+        const error = new Error(existing ? `Scrape job already ${existing.status}` : 'Scrape job not found');
+        error.status = existing ? 409 : 404;
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: job.status === 'cancelled' ? 'Scrape job cancelled' : 'Cancellation requested',
+        data: this.formatJob(job),
+      };
+    } catch (error) {
+      logger.error('Error in cancelJob', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Shape a job row for API responses
+   * @param {Object} job - Job row
+   * @returns {Object} Job
+   */
+  static formatJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      params: job.params,
+      triggered_by: job.triggered_by,
+      listings_stored: job.listings_stored,
+      listings_expired: job.listings_expired,
+      error: job.error,
+      cancel_requested: job.cancel_requested,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+    };
+  }
+}
+
+module.exports = ScrapeJobService;
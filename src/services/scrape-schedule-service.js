@@ -0,0 +1,107 @@
+const ScrapeScheduleModel = require('../models/scrape-schedule');
+const { ScrapeScheduler, scrapeScheduler } = require('../workers/scrape-scheduler');
+const logger = require('../utils/logger');
+
+/**
+ * Scrape Schedule Service Layer
+ * Reads and changes the recurring scrape schedule at runtime
+ */
+
+class ScrapeScheduleService {
+  /**
+   * Get the current schedule
+   * @returns {Promise<Object>} Schedule
+   */
+  static async getSchedule() {
+    try {
+      const schedule = await ScrapeScheduleModel.get();
+
+      return {
+        success: true,
+        data: this.formatSchedule(schedule),
+      };
+    } catch (error) {
+      logger.error('Error in getSchedule', error);
+      throw new Error('Failed to fetch scrape schedule');
+    }
+  }
+
+  /**
+   * Change the schedule, or pause/resume it
+   * @param {Object} updates - cron, timezone, jitterMs and/or paused
+   * @returns {Promise<Object>} Updated schedule
+   */
+  static async updateSchedule(updates) {
+    try {
+      const current = await ScrapeScheduleModel.get();
+
+      if (!current && !updates.cron) {
+        const error = new Error('cron is required when no schedule is configured');
+        error.status = 400;
+        throw error;
+      }
+
+      const settings = {
+        cronExpression: updates.cron ?? current.cron_expression,
+        timezone: updates.timezone ?? (current ? current.timezone : 'UTC'),
+        jitterMs: updates.jitterMs ?? (current ? current.jitter_ms : 0),
+        isPaused: updates.paused ?? (current ? current.is_paused : false),
+      };
+
+      let nextRunAt = null;
+      if (!settings.isPaused) {
+        try {
+          nextRunAt = ScrapeScheduler.computeNextRun(settings);
+        } catch (parseError) {
+          const error = new Error(`Invalid schedule: ${parseError.message}`);
+          error.status = 400;
+          throw error;
+        }
+      }
+
+      const schedule = await ScrapeScheduleModel.save({ ...settings, nextRunAt });
+      scrapeScheduler.reload();
+
+      logger.info('Scrape schedule updated', {
+        cron: schedule.cron_expression,
+        paused: schedule.is_paused,
+        nextRunAt: schedule.next_run_at,
+      });
+
+      return {
+        success: true,
+        data: this.formatSchedule(schedule),
+        message: 'Scrape schedule updated successfully',
+      };
+    } catch (error) {
+      logger.error('Error in updateSchedule', { updates, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Shape a schedule row for API responses
+   * @param {Object|null} schedule - Schedule row
+   * @returns {Object} Schedule
+   */
+  static formatSchedule(schedule) {
+    if (!schedule) {
+      return { configured: false };
+    }
+
+    return {
+      configured: true,
+      cron: schedule.cron_expression,
+      timezone: schedule.timezone,
+      jitter_ms: schedule.jitter_ms,
+      paused: schedule.is_paused,
+      next_run_at: schedule.next_run_at,
+      last_triggered_at: schedule.last_triggered_at,
+      last_job_id: schedule.last_job_id,
+      last_skipped_at: schedule.last_skipped_at,
+      updated_at: schedule.updated_at,
+    };
+  }
+}
+
+module.exports = ScrapeScheduleService;
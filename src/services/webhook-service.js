@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const WebhookSubscriptionModel = require('../models/webhook-subscription');
+const WebhookDeliveryModel = require('../models/webhook-delivery');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Longest response body excerpt kept in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Webhook Service Layer
+ * Manages webhook subscriptions and delivers queued events to them
+ */
+
+class WebhookService {
+  /**
+   * List all subscriptions
+   * @returns {Promise<Object>} Subscriptions
+   */
+  static async listSubscriptions() {
+    try {
+      const subscriptions = await WebhookSubscriptionModel.findAll();
+
+      return {
+        success: true,
+        data: subscriptions.map(subscription => this.formatSubscription(subscription)),
+      };
+    } catch (error) {
+      logger.error('Error in listSubscriptions', error);
+      throw new Error('Failed to fetch webhook subscriptions');
+    }
+  }
+
+  /**
+   * Get a subscription by ID
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object>} Subscription
+   */
+  static async getSubscription(id) {
+    try {
+      const subscription = await this.findSubscription(id);
+
+      return {
+        success: true,
+        data: this.formatSubscription(subscription),
+      };
+    } catch (error) {
+      logger.error('Error in getSubscription', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a subscription; a secret is generated when none is given
+   * The secret is only returned here and when it is changed
+   * @param {Object} data - { url, events, secret, description, isActive }
+   * @returns {Promise<Object>} Created subscription, with its secret
+   */
+  static async createSubscription({ url, events, secret, description, isActive }) {
+    try {
+      const subscription = await WebhookSubscriptionModel.create({
+        url,
+        events: [...new Set(events)],
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        description,
+        isActive,
+      });
+      logger.info(`Webhook subscription ${subscription.id} created`, { url, events: subscription.events });
+
+      return {
+        success: true,
+        data: {
+          ...this.formatSubscription(subscription),
+          secret: subscription.secret,
+        },
+        message: 'Webhook subscription created successfully',
+      };
+    } catch (error) {
+      logger.error('Error in createSubscription', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a subscription
+   * @param {number} id - Subscription ID
+   * @param {Object} data - Any of url, events, secret, description, isActive
+   * @returns {Promise<Object>} Updated subscription
+   */
+  static async updateSubscription(id, { url, events, secret, description, isActive }) {
+    try {
+      const subscription = await WebhookSubscriptionModel.update(id, {
+        url,
+        events: events ? [...new Set(events)] : undefined,
+        secret,
+        description,
+        is_active: isActive,
+      });
+
+      if (!subscription) {
+        throw this.notFound();
+      }
+
+      return {
+        success: true,
+        data: {
+          ...this.formatSubscription(subscription),
+          ...(secret ? { secret: subscription.secret } : {}),
+        },
+        message: 'Webhook subscription updated successfully',
+      };
+    } catch (error) {
+      logger.error('Error in updateSubscription', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object>} Success message
+   */
+  static async deleteSubscription(id) {
+    try {
+      const deleted = await WebhookSubscriptionModel.delete(id);
+
+      if (!deleted) {
+        throw this.notFound();
+      }
+
+      return {
+        success: true,
+        message: 'Webhook subscription deleted successfully',
+      };
+    } catch (error) {
+      logger.error('Error in deleteSubscription', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the delivery log of a subscription, newest first
+   * @param {number} id - Subscription ID
+   * @param {Object} filters - Query parameters: page, limit, status
+   * @returns {Promise<Object>} Paginated deliveries
+   */
+  static async listDeliveries(id, filters = {}) {
+    try {
+      await this.findSubscription(id);
+
+      const options = {};
+      if (filters.page) {
+        options.page = Math.max(1, parseInt(filters.page, 10) || 1);
+      }
+      if (filters.limit) {
+        options.limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+      }
+      if (filters.status) {
+        options.status = filters.status;
+      }
+
+      const result = await WebhookDeliveryModel.findBySubscription(id, options);
+
+      return {
+        success: true,
+        data: result.data.map(delivery => this.formatDelivery(delivery)),
+        pagination: result.pagination,
+      };
+    } catch (error) {
+      logger.error('Error in listDeliveries', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a dead or delivered delivery again
+   * @param {number} id - Subscription ID
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Promise<Object>} Requeued delivery
+   */
+  static async retryDelivery(id, deliveryId) {
+    try {
+      const delivery = await WebhookDeliveryModel.retry(id, deliveryId);
+
+      if (!delivery) {
+        const error = new Error('Delivery not found or still queued');
+        error.status = 404;
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: {
+          id: delivery.id,
+          status: delivery.status,
+          next_attempt_at: delivery.next_attempt_at,
+        },
+        message: 'Delivery queued for retry',
+      };
+    } catch (error) {
+      logger.error('Error in retryDelivery', { id, deliveryId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a webhook.ping event for one subscription, whatever its event types
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object>} Success message
+   */
+  static async sendTestEvent(id) {
+    try {
+      const subscription = await this.findSubscription(id);
+
+      await WebhookDeliveryModel.enqueue('webhook.ping', {
+        subscription_id: subscription.id,
+        url: subscription.url,
+      }, { subscriptionId: subscription.id });
+
+      return {
+        success: true,
+        message: 'Test event queued for delivery',
+      };
+    } catch (error) {
+      logger.error('Error in sendTestEvent', { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every active subscription to it
+   * Failures are logged and never fail the caller
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event data
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  static async emit(eventType, payload) {
+    try {
+      return await WebhookDeliveryModel.enqueue(eventType, payload);
+    } catch (error) {
+      logger.error(`Failed to queue ${eventType} webhook event`, { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * POST a claimed delivery to its subscription and record the outcome
+   * Any 2xx response counts as delivered; anything else is retried with
+   * exponential backoff until maxAttempts, then dead-lettered
+   * @param {Object} delivery - Claimed delivery (see WebhookDeliveryModel.claimDue)
+   * @returns {Promise<boolean>} True if delivered
+   */
+  static async deliver(delivery) {
+    const { timeoutMs, maxAttempts } = config.webhooks;
+
+    const body = JSON.stringify({
+      id: String(delivery.event_id),
+      type: delivery.event_type,
+      created_at: delivery.event_created_at,
+      data: delivery.payload,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let failure;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'car-listing-service-webhooks',
+          'X-Webhook-Id': String(delivery.event_id),
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(delivery.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      statusCode = response.status;
+
+      if (response.ok) {
+        await WebhookDeliveryModel.markDelivered(delivery.id, statusCode);
+        return true;
+      }
+
+      const text = await response.text().catch(() => '');
+      failure = `HTTP ${statusCode}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`;
+    } catch (error) {
+      failure = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+    }
+
+    const retryAt = delivery.attempts < maxAttempts
+      ? new Date(Date.now() + this.retryDelay(delivery.attempts))
+      : null;
+
+    await WebhookDeliveryModel.markFailed(delivery.id, { statusCode, error: failure, retryAt });
+
+    if (retryAt) {
+      logger.warn(`Webhook delivery ${delivery.id} failed, retrying at ${retryAt.toISOString()}`, { error: failure });
+    } else {
+      logger.error(`Webhook delivery ${delivery.id} dead-lettered after ${delivery.attempts} attempts`, { error: failure });
+    }
+
+    return false;
+  }
+
+  /**
+   * Signature of a delivery body: hex HMAC-SHA256 of "<timestamp>.<body>"
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix time in seconds, sent in the header
+   * @param {string} body - Raw request body
+   * @returns {string} Signature
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Wait before the next attempt, doubling after each failure
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  static retryDelay(attempts) {
+    const { retryBaseMs, retryMaxMs } = config.webhooks;
+    return Math.min(retryBaseMs * 2 ** Math.max(0, attempts - 1), retryMaxMs);
+  }
+
+  /**
+   * Load a subscription or fail with 404
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object>} Subscription
+   */
+  static async findSubscription(id) {
+    const subscription = await WebhookSubscriptionModel.findById(id);
+
+    if (!subscription) {
+      throw this.notFound();
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Shape a subscription row for API responses; the secret is left out
+   * @param {Object} subscription - Subscription row
+   * @returns {Object} Subscription
+   */
+  static formatSubscription(subscription) {
+    const { secret, ...fields } = subscription;
+    return fields;
+  }
+
+  /**
+   * Shape a delivery row for API responses
+   * @param {Object} delivery - Delivery row joined with its event
+   * @returns {Object} Delivery
+   */
+  static formatDelivery(delivery) {
+    return {
+      id: delivery.id,
+      event_id: delivery.event_id,
+      event_type: delivery.event_type,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+      last_attempt_at: delivery.last_attempt_at,
+      last_status_code: delivery.last_status_code,
+      last_error: delivery.last_error,
+      delivered_at: delivery.delivered_at,
+      created_at: delivery.created_at,
+      payload: delivery.payload,
+    };
+  }
+
+  /**
+   * Error for a missing subscription
+   * @returns {Error} 404 error
+   */
+  static notFound() {
+    const error = new Error('Webhook subscription not found');
+    error.status = 404;
+    return error;
+  }
+}
+
+module.exports = WebhookService;
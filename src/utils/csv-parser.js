@@ -0,0 +1,83 @@
+/**
+ * CSV parsing (RFC 4180): comma-separated fields, double-quoted fields may
+ * contain commas, line breaks and "" for a quote; lines end in LF or CRLF
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip a byte order mark
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Malformed CSV: a quoted field is not closed');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Object} { columns, records } - records have one key per column;
+ *   missing trailing fields are undefined
+ */
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map(column => column.trim());
+
+  const records = rows.map(fields => Object.fromEntries(
+    columns.map((column, index) => [column, fields[index]])
+  ));
+
+  return { columns, records };
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+};
@@ -0,0 +1,141 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Export file formats
+ * Each format writes rows to a writable stream (e.g. an HTTP response) as
+ * they are produced. Columns are { name, type } with type one of integer,
+ * numeric, text, boolean or timestamp
+ */
+
+/**
+ * Wait until a stream wants more data
+ * @param {Object} stream - Writable stream
+ * @returns {Promise<void>} Resolves on drain; rejects if the stream closes first
+ */
+const waitForDrain = (stream) => {
+  if (stream.destroyed) {
+    return Promise.reject(new Error('Export stream closed'));
+  }
+  if (!stream.writableNeedDrain) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Export stream closed'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+};
+
+/**
+ * Format a value as a CSV field
+ * Text starting with =, +, -, @ or a control character is prefixed with ' so
+ * spreadsheets show scraped text instead of running it as a formula
+ * @param {*} value - Value
+ * @returns {string} Field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert a value to the cell value of its column type
+ * numeric columns come from pg as strings and are written as numbers
+ * @param {*} value - Value
+ * @param {string} type - Column type
+ * @returns {*} Cell value
+ */
+const xlsxCell = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'numeric') return parseFloat(value);
+  return value;
+};
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    create: (stream, columns) => ({
+      start() {
+        stream.write(`${columns.map(column => csvField(column.name)).join(',')}\r\n`);
+      },
+      writeRows(rows) {
+        stream.write(rows
+          .map(row => `${columns.map(column => csvField(row[column.name])).join(',')}\r\n`)
+          .join(''));
+      },
+      async end() {
+        stream.end();
+      },
+    }),
+  },
+
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    create: stream => ({
+      start() {},
+      writeRows(rows) {
+        stream.write(rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+      },
+      async end() {
+        stream.end();
+      },
+    }),
+  },
+
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    create: (stream, columns) => {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream,
+        useStyles: true,
+        useSharedStrings: false,
+      });
+      const worksheet = workbook.addWorksheet('Listings', {
+        views: [{ state: 'frozen', ySplit: 1 }],
+      });
+
+      return {
+        start() {
+          worksheet.columns = columns.map(column => ({
+            header: column.name,
+            key: column.name,
+            width: column.type === 'text' ? 30 : 15,
+            ...(column.type === 'timestamp' ? { style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } } : {}),
+          }));
+        },
+        writeRows(rows) {
+          rows.forEach((row) => {
+            worksheet.addRow(columns.map(column => xlsxCell(row[column.name], column.type))).commit();
+          });
+        },
+        async end() {
+          worksheet.commit();
+          await workbook.commit();
+        },
+      };
+    },
+  },
+};
+
+module.exports = {
+  FORMATS,
+  csvField,
+  waitForDrain,
+};
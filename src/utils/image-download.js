@@ -0,0 +1,105 @@
+const dns = require('dns');
+const net = require('net');
+
+// Redirects followed per download; each hop is checked like the first URL
+const MAX_REDIRECTS = 3;
+
+// Addresses that are not on the public internet: this host, private networks,
+// link-local (including cloud metadata endpoints), multicast and reserved ranges
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if public
+ */
+const isPublicAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return type !== null && !NON_PUBLIC.check(address, type);
+};
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public addresses
+ * @param {URL} url - Image URL
+ * @throws {Error} If the URL may not be downloaded
+ */
+const assertPublicUrl = async (url) => {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported image URL protocol: ${url.protocol}`);
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`Image host is not a public address: ${hostname}`);
+  }
+};
+
+/**
+ * Download an image, e.g. a listing photo from a marketplace CDN
+ * Only public hosts are fetched, also after a redirect, so scraped or
+ * submitted URLs cannot reach the internal network
+ * @param {string} url - Image URL
+ * @param {Object} options - Options
+ * @param {number} options.timeoutMs - Time allowed for the whole download
+ * @param {number} options.maxBytes - Largest image accepted
+ * @returns {Promise<Buffer>} Image file contents
+ * @throws {Error} On a non-public host, a failed request, a non-image response or a too large image
+ */
+const downloadImage = async (url, { timeoutMs, maxBytes }) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let target = new URL(url);
+  let response;
+
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(target);
+    response = await fetch(target, { redirect: 'manual', signal });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      break;
+    }
+    if (redirects === MAX_REDIRECTS) {
+      throw new Error('Too many image redirects');
+    }
+    await response.body?.cancel();
+    target = new URL(location, target);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Image request failed with status ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!contentType.startsWith('image/')) {
+    throw new Error(`Not an image: ${contentType || 'no content type'}`);
+  }
+  if (parseInt(response.headers.get('content-length'), 10) > maxBytes) {
+    throw new Error('Image too large');
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  if (data.length > maxBytes) {
+    throw new Error('Image too large');
+  }
+
+  return data;
+};
+
+module.exports = {
+  downloadImage,
+  isPublicAddress,
+};
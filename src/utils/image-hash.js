@@ -0,0 +1,56 @@
+const sharp = require('sharp');
+
+/**
+ * Perceptual image hashing (pHash)
+ * The image is shrunk to 32x32 grayscale and the lowest 8x8 frequencies of
+ * its discrete cosine transform are compared with their median, one bit per
+ * frequency. Resized, recompressed or lightly edited copies of a photo get
+ * hashes that differ in only a few bits
+ */
+
+const SIZE = 32;
+const HASH_SIZE = 8;
+
+// cos((2x + 1) * u * PI / (2 * SIZE)) for the frequencies kept
+const COSINES = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: SIZE }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SIZE))));
+
+/**
+ * Compute the perceptual hash of an image
+ * @param {Buffer} image - Image file contents (JPEG, PNG, WebP, ...)
+ * @returns {Promise<string>} 64-bit hash as a signed decimal string, as stored
+ *   in a BIGINT column
+ * @throws {Error} If the image cannot be decoded
+ */
+const perceptualHash = async (image) => {
+  const pixels = await sharp(image)
+    .grayscale()
+    .resize(SIZE, SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+          sum += pixels[y * SIZE + x] * COSINES[u][x] * COSINES[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The first coefficient is the average brightness; it would skew the median
+  // of the other 63, which is the middle one
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[31];
+
+  const hash = coefficients.reduce((bits, coefficient) => (bits << 1n) | (coefficient > median ? 1n : 0n), 0n);
+  return BigInt.asIntN(64, hash).toString();
+};
+
+module.exports = {
+  perceptualHash,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Image storage backends
+ * A storage keeps files under slash-separated keys such as "42/0/small.jpg".
+ * Each has three methods: put(key, data) stores a Buffer, get(key) resolves
+ * to a readable stream (or null if there is no such file) and
+ * deletePrefix(prefix) removes every file under a prefix. Any object with
+ * those methods can be used, e.g. one backed by an object store
+ */
+
+/**
+ * Files on the local filesystem, under a root directory
+ */
+class LocalImageStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  async put(key, data) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    // Written under a temporary name first so a reader never sees half a file
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, data);
+    await fs.promises.rename(temporary, file);
+  }
+
+  async get(key) {
+    const file = this.resolve(key);
+
+    try {
+      await fs.promises.access(file, fs.constants.R_OK);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    return fs.createReadStream(file);
+  }
+
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+
+  /**
+   * Path of a key, refusing keys that would leave the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute path
+   */
+  resolve(key) {
+    const file = path.resolve(this.root, ...String(key).split('/'));
+    if (file !== this.root && !file.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+}
+
+/**
+ * Create the configured image storage
+ * @param {string} type - Storage type (local)
+ * @param {Object} options - Options of the storage type
+ * @param {string} options.localDir - Root directory of local storage
+ * @returns {Object} Image storage
+ */
+const createImageStorage = (type, { localDir }) => {
+  switch (type) {
+    case 'local':
+      return new LocalImageStorage(localDir);
+    default:
+      throw new Error(`Unknown image storage "${type}" (expected local)`);
+  }
+};
+
+module.exports = {
+  LocalImageStorage,
+  createImageStorage,
+};
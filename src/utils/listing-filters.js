@@ -0,0 +1,110 @@
+/**
+ * Listing filter parameters, shared by listing queries, exports and saved searches
+ */
+
+/**
+ * Convert minPrice/maxPrice from the requested currency to PHP
+ * @param {Object} filters - Sanitized filters (modified in place)
+ * @param {number} rate - PHP per one unit of the requested currency
+ */
+const convertPriceFilters = (filters, rate) => {
+  if (filters.minPrice) {
+    filters.minPrice *= rate;
+  }
+  if (filters.maxPrice) {
+    filters.maxPrice *= rate;
+  }
+};
+
+/**
+ * Sanitize and validate filter parameters
+ * @param {Object} filters - Raw filters
+ * @returns {Object} Sanitized filters
+ */
+const sanitizeFilters = (filters) => {
+  const sanitized = {};
+
+  // Pagination
+  if (filters.page) {
+    sanitized.page = Math.max(1, parseInt(filters.page, 10) || 1);
+  }
+  if (filters.limit) {
+    sanitized.limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+  }
+
+  // Sorting
+  const allowedSortFields = ['created_at', 'price', 'year', 'mileage', 'title', 'make', 'model', 'deal_score', 'relevance'];
+  if (filters.sortBy && allowedSortFields.includes(filters.sortBy)) {
+    sanitized.sortBy = filters.sortBy;
+  }
+  // Relevance only exists for a search; otherwise keep the default order
+  if (sanitized.sortBy === 'relevance' && !filters.search) {
+    delete sanitized.sortBy;
+  }
+  if (filters.sortOrder && ['ASC', 'DESC'].includes(filters.sortOrder.toUpperCase())) {
+    sanitized.sortOrder = filters.sortOrder.toUpperCase();
+  }
+
+  // Filters
+  if (filters.minPrice) {
+    sanitized.minPrice = parseFloat(filters.minPrice);
+  }
+  if (filters.maxPrice) {
+    sanitized.maxPrice = parseFloat(filters.maxPrice);
+  }
+  if (filters.minYear) {
+    sanitized.minYear = parseInt(filters.minYear, 10);
+  }
+  if (filters.maxYear) {
+    sanitized.maxYear = parseInt(filters.maxYear, 10);
+  }
+  if (filters.minMileage !== undefined && filters.minMileage !== '') {
+    sanitized.minMileage = parseInt(filters.minMileage, 10);
+  }
+  if (filters.maxMileage !== undefined && filters.maxMileage !== '') {
+    sanitized.maxMileage = parseInt(filters.maxMileage, 10);
+  }
+  if (filters.minDealScore !== undefined && filters.minDealScore !== '') {
+    sanitized.minDealScore = parseFloat(filters.minDealScore);
+  }
+  if (filters.location) {
+    sanitized.location = filters.location.trim();
+  }
+  if (filters.source) {
+    sanitized.source = filters.source.trim();
+  }
+  if (filters.make) {
+    sanitized.make = filters.make.trim();
+  }
+  if (filters.model) {
+    sanitized.model = filters.model.trim();
+  }
+  if (filters.search) {
+    sanitized.search = filters.search.trim();
+  }
+  if (filters.cursor) {
+    sanitized.cursor = filters.cursor.trim();
+  }
+  if (filters.includeTotal !== undefined) {
+    sanitized.includeTotal = !(filters.includeTotal === 'false' || filters.includeTotal === false);
+  }
+  if (filters.currency) {
+    sanitized.currency = filters.currency.trim().toUpperCase();
+  }
+  if (filters.includeExpired !== undefined) {
+    sanitized.includeExpired = filters.includeExpired === 'true' || filters.includeExpired === true;
+  }
+  if (filters.collapseDuplicates !== undefined) {
+    sanitized.collapseDuplicates = filters.collapseDuplicates === 'true' || filters.collapseDuplicates === true;
+  }
+  if (filters.isActive !== undefined) {
+    sanitized.isActive = filters.isActive === 'true' || filters.isActive === true;
+  }
+
+  return sanitized;
+};
+
+module.exports = {
+  convertPriceFilters,
+  sanitizeFilters,
+};
@@ -0,0 +1,102 @@
+const RateLimitCounterModel = require('../models/rate-limit-counter');
+const logger = require('./logger');
+
+/**
+ * Rate-limit counter stores
+ * A store counts requests per key in fixed windows. Each has one method,
+ * increment(key, windowMs), resolving to { count, resetAt } for the current
+ * window; any object with that method can be passed to createRateLimiter
+ */
+
+// How often expired counters are cleared out
+const PRUNE_INTERVAL_MS = 60000;
+
+/**
+ * Counters in process memory; each instance of the service counts on its own
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.nextPruneAt = Date.now() + PRUNE_INTERVAL_MS;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.prune(now);
+
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  /**
+   * Drop counters whose window has ended, at most once per PRUNE_INTERVAL_MS
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    if (now < this.nextPruneAt) return;
+
+    this.nextPruneAt = now + PRUNE_INTERVAL_MS;
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Counters in the rate_limit_counters table, shared by every instance
+ */
+class PostgresStore {
+  constructor() {
+    this.nextPruneAt = Date.now() + PRUNE_INTERVAL_MS;
+  }
+
+  async increment(key, windowMs) {
+    this.prune();
+
+    const counter = await RateLimitCounterModel.increment(key, windowMs);
+    return { count: counter.count, resetAt: new Date(counter.reset_at) };
+  }
+
+  /**
+   * Delete expired counters in the background, at most once per PRUNE_INTERVAL_MS
+   */
+  prune() {
+    const now = Date.now();
+    if (now < this.nextPruneAt) return;
+
+    this.nextPruneAt = now + PRUNE_INTERVAL_MS;
+    RateLimitCounterModel.deleteExpired().catch((error) => {
+      logger.warn('Failed to delete expired rate-limit counters', { error: error.message });
+    });
+  }
+}
+
+/**
+ * Create a store by name
+ * @param {string} type - memory or postgres
+ * @returns {MemoryStore|PostgresStore} Store
+ */
+const createStore = (type) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'postgres':
+      return new PostgresStore();
+    default:
+      throw new Error(`Unknown rate-limit store "${type}" (expected memory or postgres)`);
+  }
+};
+
+module.exports = {
+  MemoryStore,
+  PostgresStore,
+  createStore,
+};
@@ -0,0 +1,81 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const ListingRetentionService = require('../services/listing-retention-service');
+
+/**
+ * Retention Worker
+ * Periodically removes deleted listings past their retention period.
+ * Safe to run on several instances: each claims rows with SKIP LOCKED
+ */
+
+class RetentionWorker {
+  constructor({ intervalMs = config.retention.intervalMs } = {}) {
+    this.intervalMs = intervalMs;
+    this.running = false;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  /**
+   * Start running on the interval; the first run happens right away
+   */
+  start() {
+    if (this.running) return;
+
+    if (config.retention.deletedListingDays <= 0) {
+      logger.info('Retention worker disabled (LISTING_RETENTION_DAYS=0)');
+      return;
+    }
+
+    this.running = true;
+    logger.info('Retention worker started');
+    this.schedule(0);
+  }
+
+  /**
+   * Stop running
+   * @returns {Promise<void>} Resolves once an in-progress run has finished
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Retention worker stopped');
+  }
+
+  /**
+   * Schedule the next run
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedule(delay) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.run(), delay);
+  }
+
+  /**
+   * Remove expired deleted listings
+   */
+  async run() {
+    try {
+      this.currentRun = ListingRetentionService.purgeDeleted();
+      await this.currentRun;
+    } catch (error) {
+      logger.error('Retention run failed', { error: error.message });
+    } finally {
+      this.currentRun = null;
+    }
+
+    this.schedule(this.intervalMs);
+  }
+}
+
+module.exports = {
+  RetentionWorker,
+  retentionWorker: new RetentionWorker(),
+};
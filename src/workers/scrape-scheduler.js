@@ -0,0 +1,174 @@
+const { CronExpressionParser } = require('cron-parser');
+const config = require('../config');
+const logger = require('../utils/logger');
+const ScrapeJobModel = require('../models/scrape-job');
+const ScrapeScheduleModel = require('../models/scrape-schedule');
+
+// Upper bound on how long the scheduler sleeps before re-reading the schedule,
+// so changes made by other instances are picked up
+const RESYNC_INTERVAL_MS = 60000;
+
+/**
+ * Scrape Scheduler
+ * Queues a scrape job on a cron schedule stored in scrape_schedule.
+ * Ticks are skipped while a previous scrape is queued or running.
+ */
+
+class ScrapeScheduler {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * Compute the next run time for a schedule
+   * @param {Object} schedule - Schedule settings
+   * @param {string} schedule.cronExpression - Cron expression
+   * @param {string} schedule.timezone - IANA timezone the expression is evaluated in
+   * @param {number} schedule.jitterMs - Maximum random delay added to each tick
+   * @param {Date} [from] - Compute the first tick after this date
+   * @returns {Date} Next run time
+   * @throws {Error} If the expression or timezone is invalid
+   */
+  static computeNextRun({ cronExpression, timezone, jitterMs }, from = new Date()) {
+    const interval = CronExpressionParser.parse(cronExpression, { currentDate: from, tz: timezone });
+    const next = interval.next().getTime();
+    const jitter = jitterMs > 0 ? Math.floor(Math.random() * jitterMs) : 0;
+
+    return new Date(next + jitter);
+  }
+
+  /**
+   * Load (or seed) the schedule and start ticking
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.seedFromConfig();
+    } catch (error) {
+      logger.error('Failed to seed scrape schedule', { error: error.message });
+    }
+
+    logger.info('Scrape scheduler started');
+    this.arm(0);
+  }
+
+  /**
+   * Stop ticking; waits for an in-progress tick to finish
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.ticking) {
+      await this.ticking;
+    }
+
+    logger.info('Scrape scheduler stopped');
+  }
+
+  /**
+   * Re-read the schedule now (after it was changed through the API)
+   */
+  reload() {
+    if (!this.running || this.ticking) return;
+    this.arm(0);
+  }
+
+  /**
+   * Create the schedule from SCRAPE_SCHEDULE if none is stored yet
+   */
+  async seedFromConfig() {
+    const { cron, timezone, jitterMs } = config.schedule;
+    if (!cron) return;
+
+    const settings = { cronExpression: cron, timezone, jitterMs };
+    const schedule = await ScrapeScheduleModel.seed({
+      ...settings,
+      nextRunAt: ScrapeScheduler.computeNextRun(settings),
+    });
+
+    if (schedule.cron_expression !== cron) {
+      logger.info(`Using stored scrape schedule "${schedule.cron_expression}" (SCRAPE_SCHEDULE is only used for the initial schedule)`);
+    }
+  }
+
+  /**
+   * Schedule the next tick
+   * @param {number} delay - Delay in milliseconds
+   */
+  arm(delay) {
+    if (!this.running) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.ticking = this.tick().finally(() => {
+        this.ticking = null;
+      });
+    }, Math.max(0, Math.min(delay, RESYNC_INTERVAL_MS)));
+  }
+
+  /**
+   * Queue a scrape if the schedule is due, then re-arm
+   */
+  async tick() {
+    let delay = RESYNC_INTERVAL_MS;
+
+    try {
+      const schedule = await ScrapeScheduleModel.get();
+
+      if (schedule && !schedule.is_paused && schedule.next_run_at) {
+        const now = new Date();
+        const dueAt = new Date(schedule.next_run_at);
+
+        if (dueAt <= now) {
+          await this.runDueTick(schedule, now);
+          delay = 0;
+        } else {
+          delay = dueAt.getTime() - now.getTime();
+        }
+      }
+    } catch (error) {
+      logger.error('Scrape scheduler tick failed', { error: error.message });
+    }
+
+    this.arm(delay);
+  }
+
+  /**
+   * Claim a due tick and queue a scrape unless one is already in progress
+   * A tick missed while the service was down runs once on startup
+   * @param {Object} schedule - Schedule row
+   * @param {Date} now - Current time
+   */
+  async runDueTick(schedule, now) {
+    const nextRunAt = ScrapeScheduler.computeNextRun({
+      cronExpression: schedule.cron_expression,
+      timezone: schedule.timezone,
+      jitterMs: schedule.jitter_ms,
+    }, now);
+
+    const claimed = await ScrapeScheduleModel.claimTick(schedule.next_run_at, nextRunAt);
+    if (!claimed) return;
+
+    if (await ScrapeJobModel.hasActive()) {
+      await ScrapeScheduleModel.recordSkipped();
+      logger.warn('Skipping scheduled scrape: previous run still in progress');
+      return;
+    }
+
+    const job = await ScrapeJobModel.create({}, { triggeredBy: 'schedule' });
+    await ScrapeScheduleModel.recordTriggered(job.id);
+    logger.info(`Scheduled scrape queued as job ${job.id}, next run at ${nextRunAt.toISOString()}`);
+  }
+}
+
+module.exports = {
+  ScrapeScheduler,
+  scrapeScheduler: new ScrapeScheduler(),
+};
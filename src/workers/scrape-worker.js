@@ -0,0 +1,143 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const ScrapeJobModel = require('../models/scrape-job');
+const { scrapeAndStore } = require('../scrapers');
+
+// How often a running job refreshes its heartbeat and checks for cancellation
+const HEARTBEAT_INTERVAL_MS = 5000;
+
+/**
+ * Scrape Worker
+ * Polls the scrape_jobs queue and runs one job at a time
+ */
+
+class ScrapeWorker {
+  constructor({
+    pollIntervalMs = config.jobs.pollIntervalMs,
+    staleAfterMs = config.jobs.staleAfterMs,
+  } = {}) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.staleAfterMs = staleAfterMs;
+    this.running = false;
+    this.pollTimer = null;
+    this.currentJob = null;
+    this.abortController = null;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    logger.info('Scrape worker started');
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Stop polling; a running job is put back in the queue
+   * @returns {Promise<void>} Resolves once the current job has been released
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.pollTimer);
+
+    if (this.currentJob) {
+      this.abortController.abort(new Error('Scrape worker shutting down'));
+      await this.currentJob;
+    }
+
+    logger.info('Scrape worker stopped');
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedulePoll(delay) {
+    if (!this.running) return;
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  /**
+   * Claim and run the next queued job, if any
+   */
+  async poll() {
+    let claimed = false;
+
+    try {
+      await ScrapeJobModel.recoverStale(this.staleAfterMs);
+
+      const job = await ScrapeJobModel.claimNext();
+      if (job) {
+        claimed = true;
+        this.currentJob = this.runJob(job);
+        await this.currentJob;
+      }
+    } catch (error) {
+      logger.error('Scrape worker poll failed', { error: error.message });
+    } finally {
+      this.currentJob = null;
+      this.abortController = null;
+    }
+
+    // Drain the queue without waiting when a job was just processed
+    this.schedulePoll(claimed ? 0 : this.pollIntervalMs);
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @param {Object} job - Claimed job
+   */
+  async runJob(job) {
+    const controller = new AbortController();
+    this.abortController = controller;
+
+    logger.info(`Running scrape job ${job.id}`);
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const cancelRequested = await ScrapeJobModel.heartbeat(job.id);
+        if (cancelRequested && !controller.signal.aborted) {
+          logger.info(`Cancelling scrape job ${job.id}`);
+          controller.abort(new Error('Scrape job cancelled'));
+        }
+      } catch (error) {
+        logger.warn(`Heartbeat failed for scrape job ${job.id}`, { error: error.message });
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+      const result = await scrapeAndStore({ ...job.params, signal: controller.signal });
+
+      // Sources that failed while others succeeded are reported in the error field
+      await ScrapeJobModel.finish(job.id, 'succeeded', {
+        listingsStored: result.count,
+        listingsExpired: result.expiredCount,
+        error: result.errors.length > 0 ? result.errors.join('; ') : null,
+      });
+      logger.info(`Scrape job ${job.id} succeeded: ${result.count} listings stored`);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        await ScrapeJobModel.finish(job.id, 'failed', { error: error.message });
+        logger.error(`Scrape job ${job.id} failed`, { error: error.message });
+      } else if (!this.running) {
+        await ScrapeJobModel.requeue(job.id);
+        logger.info(`Scrape job ${job.id} re-queued on shutdown`);
+      } else {
+        await ScrapeJobModel.finish(job.id, 'cancelled', { error: controller.signal.reason.message });
+        logger.info(`Scrape job ${job.id} cancelled`);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = {
+  ScrapeWorker,
+  scrapeWorker: new ScrapeWorker(),
+};
@@ -0,0 +1,105 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const WebhookDeliveryModel = require('../models/webhook-delivery');
+const WebhookService = require('../services/webhook-service');
+
+/**
+ * Webhook Worker
+ * Polls the webhook_deliveries queue and sends due deliveries, at most one
+ * at a time per subscription so each subscription receives events in order
+ */
+
+class WebhookWorker {
+  constructor({
+    pollIntervalMs = config.webhooks.pollIntervalMs,
+    batchSize = config.webhooks.batchSize,
+    staleAfterMs = config.webhooks.staleAfterMs,
+  } = {}) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.batchSize = batchSize;
+    this.staleAfterMs = staleAfterMs;
+    this.running = false;
+    this.pollTimer = null;
+    this.currentBatch = null;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    logger.info('Webhook worker started');
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Stop polling
+   * @returns {Promise<void>} Resolves once in-flight deliveries have finished
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.pollTimer);
+
+    if (this.currentBatch) {
+      await this.currentBatch;
+    }
+
+    logger.info('Webhook worker stopped');
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedulePoll(delay) {
+    if (!this.running) return;
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  /**
+   * Claim and send a batch of due deliveries
+   */
+  async poll() {
+    let claimed = 0;
+
+    try {
+      await WebhookDeliveryModel.recoverStale(this.staleAfterMs);
+
+      const deliveries = await WebhookDeliveryModel.claimDue(this.batchSize);
+      claimed = deliveries.length;
+
+      if (claimed > 0) {
+        this.currentBatch = Promise.all(deliveries.map(delivery => this.send(delivery)));
+        await this.currentBatch;
+      }
+    } catch (error) {
+      logger.error('Webhook worker poll failed', { error: error.message });
+    } finally {
+      this.currentBatch = null;
+    }
+
+    // Keep draining while there is work; the next head of each subscription may already be due
+    this.schedulePoll(claimed > 0 ? 0 : this.pollIntervalMs);
+  }
+
+  /**
+   * Send one delivery; errors recording the outcome leave it to stale recovery
+   * @param {Object} delivery - Claimed delivery
+   */
+  async send(delivery) {
+    try {
+      await WebhookService.deliver(delivery);
+    } catch (error) {
+      logger.error(`Webhook delivery ${delivery.id} could not be recorded`, { error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  WebhookWorker,
+  webhookWorker: new WebhookWorker(),
+};
@@ -0,0 +1,34 @@
+/**
+ * Load the configuration with an environment variable set
+ * @param {string} name - Variable name
+ * @param {string} value - Variable value
+ * @returns {Object} Configuration
+ */
+const loadConfig = (name, value) => {
+  const previous = process.env[name];
+  process.env[name] = value;
+
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require('../src/config');
+    });
+    return config;
+  } finally {
+    if (previous === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = previous;
+    }
+  }
+};
+
+describe('search.typoSimilarity', () => {
+  it('reads SEARCH_TYPO_SIMILARITY', () => {
+    expect(loadConfig('SEARCH_TYPO_SIMILARITY', '0.4').search.typoSimilarity).toBe(0.4);
+  });
+
+  it.each(['', 'high', '1.5', '-0.2'])('falls back to 0.25 for %p', (value) => {
+    expect(loadConfig('SEARCH_TYPO_SIMILARITY', value).search.typoSimilarity).toBe(0.25);
+  });
+});
@@ -0,0 +1,39 @@
+const { parseCsv, parseCsvRows } = require('../src/utils/csv-parser');
+
+describe('parseCsvRows', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsvRows('a,b\r\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('reads quoted fields with commas, line breaks and escaped quotes', () => {
+    expect(parseCsvRows('"Vios, 1.3","line\nbreak","say ""hi"""')).toEqual([['Vios, 1.3', 'line\nbreak', 'say "hi"']]);
+  });
+
+  it('skips a byte order mark and blank lines', () => {
+    expect(parseCsvRows('\uFEFFa\n\n1\n')).toEqual([['a'], ['1']]);
+  });
+
+  it('keeps empty fields', () => {
+    expect(parseCsvRows('a,,c')).toEqual([['a', '', 'c']]);
+  });
+
+  it('rejects an unclosed quoted field', () => {
+    expect(() => parseCsvRows('"open')).toThrow('Malformed CSV');
+  });
+});
+
+describe('parseCsv', () => {
+  it('keys records by the trimmed header', () => {
+    expect(parseCsv(' title , price\nVios,500000\nCity')).toEqual({
+      columns: ['title', 'price'],
+      records: [
+        { title: 'Vios', price: '500000' },
+        { title: 'City', price: undefined },
+      ],
+    });
+  });
+
+  it('returns no columns for empty text', () => {
+    expect(parseCsv('')).toEqual({ columns: [], records: [] });
+  });
+});
@@ -0,0 +1,30 @@
+const { csvField } = require('../src/utils/export-formats');
+
+describe('csvField', () => {
+  it('writes null and undefined as empty fields', () => {
+    expect(csvField(null)).toBe('');
+    expect(csvField(undefined)).toBe('');
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    expect(csvField('Vios, 1.3')).toBe('"Vios, 1.3"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+  });
+
+  it('neutralizes text that spreadsheets would run as a formula', () => {
+    expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvField('-fortuner')).toBe("'-fortuner");
+  });
+
+  it('leaves numbers alone', () => {
+    expect(csvField('-5')).toBe('-5');
+    expect(csvField(-5)).toBe('-5');
+    expect(csvField('500000.00')).toBe('500000.00');
+  });
+
+  it('writes dates as ISO 8601', () => {
+    expect(csvField(new Date('2024-01-02T03:04:05Z'))).toBe('2024-01-02T03:04:05.000Z');
+  });
+});
@@ -0,0 +1,29 @@
+const { TestEnvironment } = require('jest-environment-node');
+
+/**
+ * Jest environment with an in-memory PostgreSQL (PGlite) database for the
+ * test file, exposed as the `pglite` global (see ./database)
+ *
+ * PGlite loads its WebAssembly with dynamic imports, which jest's module
+ * sandbox does not allow, so it is created here, outside the sandbox.
+ * Use it with a docblock at the top of a test file:
+ *   @jest-environment ./tests/helpers/database-environment.js
+ */
+class DatabaseEnvironment extends TestEnvironment {
+  async setup() {
+    await super.setup();
+
+    const { PGlite } = await import('@electric-sql/pglite');
+    const { pg_trgm } = await import('@electric-sql/pglite/contrib/pg_trgm');
+    this.pglite = new PGlite({ extensions: { pg_trgm } });
+    await this.pglite.waitReady;
+    this.global.pglite = this.pglite;
+  }
+
+  async teardown() {
+    await this.pglite?.close();
+    await super.teardown();
+  }
+}
+
+module.exports = DatabaseEnvironment;
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../src/config');
+
+/**
+ * In-memory PostgreSQL (PGlite) standing in for src/config/database in tests
+ *
+ * The test file runs in ./database-environment.js, which creates the
+ * database; mock the database module with this one and migrate first:
+ *   @jest-environment ./tests/helpers/database-environment.js
+ *   jest.mock('../src/config/database', () => require('./helpers/database'));
+ *   beforeAll(() => db.migrate());
+ *
+ * PGlite has a single connection, so getClient() hands out that connection;
+ * tests must not run queries alongside an open transaction
+ */
+
+const migrationsDir = path.join(__dirname, '../../src/db/migrations');
+
+/**
+ * Execute a query, with a node-postgres shaped result
+ * @param {string} text - SQL query
+ * @param {array} params - Query parameters
+ * @returns {Promise} Query result
+ */
+const query = async (text, params) => {
+  const result = await global.pglite.query(text, params);
+  return { ...result, rowCount: result.rows.length || result.affectedRows || 0 };
+};
+
+/**
+ * Get a client for transactions
+ * @returns {Promise} Database client
+ */
+const getClient = async () => ({ query, release: () => {} });
+
+/**
+ * Run every migration, then apply the settings the pool sets on connect
+ */
+const migrate = async () => {
+  const files = fs.readdirSync(migrationsDir).filter(file => file.endsWith('.sql')).sort();
+
+  for (const file of files) {
+    await global.pglite.exec(fs.readFileSync(path.join(migrationsDir, file), 'utf8'));
+  }
+
+  await global.pglite.exec(`SET pg_trgm.strict_word_similarity_threshold = ${config.search.typoSimilarity}`);
+};
+
+/**
+ * Closing is left to the test environment
+ */
+const closePool = async () => {};
+
+module.exports = {
+  query,
+  getClient,
+  closePool,
+  migrate,
+  pool: { query, connect: getClient, end: closePool },
+};
@@ -0,0 +1,90 @@
+const dns = require('dns');
+const { downloadImage, isPublicAddress } = require('../src/utils/image-download');
+
+const OPTIONS = { timeoutMs: 5000, maxBytes: 1024 };
+
+// Host names of the tests and the addresses they resolve to
+const HOSTS = {
+  'cdn.example.com': '93.184.216.34',
+  'metadata.example.com': '169.254.169.254',
+};
+
+/**
+ * Fetch response stub
+ * @param {number} status - Status code
+ * @param {Object} headers - Response headers
+ * @param {string} body - Response body
+ * @returns {Response} Response
+ */
+const respond = (status, headers = {}, body = null) => new Response(body, { status, headers });
+
+describe('isPublicAddress', () => {
+  it.each(['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8'])('accepts %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'not-an-address',
+  ])('rejects %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+});
+
+describe('downloadImage', () => {
+  beforeEach(() => {
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async (hostname) => (
+      HOSTS[hostname] ? [{ address: HOSTS[hostname], family: 4 }] : [{ address: '127.0.0.1', family: 4 }]
+    ));
+    jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('downloads an image from a public host', async () => {
+    fetch.mockResolvedValue(respond(200, { 'content-type': 'image/jpeg' }, 'jpeg'));
+
+    const data = await downloadImage('https://cdn.example.com/photo.jpg', OPTIONS);
+
+    expect(data.toString()).toBe('jpeg');
+    expect(fetch).toHaveBeenCalledWith(expect.any(URL), expect.objectContaining({ redirect: 'manual' }));
+  });
+
+  it.each(['http://localhost/photo.jpg', 'http://127.0.0.1/photo.jpg', 'http://[::1]/photo.jpg', 'http://metadata.example.com/'])(
+    'does not fetch %s',
+    async (url) => {
+      await expect(downloadImage(url, OPTIONS)).rejects.toThrow('not a public address');
+      expect(fetch).not.toHaveBeenCalled();
+    }
+  );
+
+  it('does not fetch other protocols', async () => {
+    await expect(downloadImage('file:///etc/passwd', OPTIONS)).rejects.toThrow('Unsupported image URL protocol');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('follows a redirect to a public host', async () => {
+    fetch
+      .mockResolvedValueOnce(respond(302, { location: '/photos/1.jpg' }))
+      .mockResolvedValueOnce(respond(200, { 'content-type': 'image/jpeg' }, 'jpeg'));
+
+    await downloadImage('http://cdn.example.com/photo.jpg', OPTIONS);
+
+    expect(fetch.mock.calls[1][0].href).toBe('http://cdn.example.com/photos/1.jpg');
+  });
+
+  it('does not follow a redirect to a non-public host', async () => {
+    fetch.mockResolvedValueOnce(respond(302, { location: 'http://metadata.example.com/latest/meta-data/' }));
+
+    await expect(downloadImage('https://cdn.example.com/photo.jpg', OPTIONS)).rejects.toThrow('not a public address');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops after too many redirects', async () => {
+    fetch.mockImplementation(async () => respond(302, { location: '/again' }));
+
+    await expect(downloadImage('https://cdn.example.com/photo.jpg', OPTIONS)).rejects.toThrow('Too many image redirects');
+  });
+});
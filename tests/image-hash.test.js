@@ -0,0 +1,53 @@
+const sharp = require('sharp');
+const { perceptualHash } = require('../src/utils/image-hash');
+
+/**
+ * An image with a circle and a bar, for hashing
+ * @param {Object} options - { width, circle, format }
+ * @returns {Promise<Buffer>} Encoded image
+ */
+const picture = ({ width = 256, circle = 'red', bar = 'navy', format = 'png' } = {}) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="192">
+    <rect width="256" height="192" fill="#ddd"/>
+    <circle cx="80" cy="90" r="50" fill="${circle}"/>
+    <rect x="150" y="20" width="60" height="150" fill="${bar}"/>
+  </svg>`;
+  return sharp(Buffer.from(svg)).resize({ width })[format]().toBuffer();
+};
+
+/**
+ * Number of bits that differ between two hashes
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {number} Differing bits
+ */
+const distance = (a, b) => (BigInt.asUintN(64, BigInt(a) ^ BigInt(b))).toString(2).replace(/0/g, '').length;
+
+describe('perceptualHash', () => {
+  it('returns a signed 64-bit integer as a string', async () => {
+    const hash = await perceptualHash(await picture());
+
+    expect(hash).toMatch(/^-?\d+$/);
+    expect(BigInt.asIntN(64, BigInt(hash))).toBe(BigInt(hash));
+  });
+
+  it('is stable for the same image', async () => {
+    const image = await picture();
+
+    expect(await perceptualHash(image)).toBe(await perceptualHash(image));
+  });
+
+  it('barely changes for a resized, recompressed copy', async () => {
+    const original = await perceptualHash(await picture());
+    const copy = await perceptualHash(await picture({ width: 120, format: 'jpeg' }));
+
+    expect(distance(original, copy)).toBeLessThanOrEqual(4);
+  });
+
+  it('differs for a different image', async () => {
+    const original = await perceptualHash(await picture());
+    const other = await perceptualHash(await picture({ circle: '#ddd', bar: '#ddd' }));
+
+    expect(distance(original, other)).toBeGreaterThan(10);
+  });
+});
@@ -0,0 +1,34 @@
+const CarListingService = require('../src/services/car-listing-service');
+
+describe('listing cursors', () => {
+  const filters = { sortBy: 'price', sortOrder: 'ASC' };
+
+  it('decodes the position it encoded', () => {
+    const cursor = CarListingService.encodeCursor({ value: '500000.00', id: 42 }, filters);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(CarListingService.decodeCursor(cursor, filters)).toEqual({ value: '500000.00', id: 42 });
+  });
+
+  it('keeps a null sort key', () => {
+    const cursor = CarListingService.encodeCursor({ value: null, id: 7 }, {});
+
+    expect(CarListingService.decodeCursor(cursor, {})).toEqual({ value: null, id: 7 });
+  });
+
+  it('rejects a malformed cursor with 400', () => {
+    expect(() => CarListingService.decodeCursor('not-a-cursor', filters)).toThrow(expect.objectContaining({
+      message: 'Invalid cursor',
+      status: 400,
+    }));
+  });
+
+  it('rejects a cursor made for another sort with 400', () => {
+    const cursor = CarListingService.encodeCursor({ value: '2018', id: 3 }, { sortBy: 'year', sortOrder: 'DESC' });
+
+    expect(() => CarListingService.decodeCursor(cursor, filters)).toThrow(expect.objectContaining({
+      message: 'Cursor was created for sortBy=year&sortOrder=DESC; pass the same sort',
+      status: 400,
+    }));
+  });
+});
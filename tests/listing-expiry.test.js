@@ -0,0 +1,92 @@
+/**
+ * @jest-environment ./tests/helpers/database-environment.js
+ */
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const db = require('../src/config/database');
+const config = require('../src/config');
+const CarListingModel = require('../src/models/car-listing');
+const ListingExpiryService = require('../src/services/listing-expiry-service');
+
+/**
+ * Store a scraped listing, last seen the given number of hours ago
+ * @param {number} n - Listing number
+ * @param {number} [hoursAgo=0] - Hours since the listing was last scraped
+ * @returns {Promise<Object>} Stored listing
+ */
+const scraped = async (n, hoursAgo = 0) => {
+  const listing = await CarListingModel.upsert({
+    title: `Toyota Vios 1.3 E MT 2018 #${n}`,
+    price: 500000,
+    source: 'facebook',
+    source_url: `https://www.facebook.com/marketplace/item/${n}`,
+  });
+  await db.query(
+    `UPDATE car_listings SET last_scraped_at = CURRENT_TIMESTAMP - make_interval(hours => $2) WHERE id = $1`,
+    [listing.id, hoursAgo]
+  );
+  return listing;
+};
+
+/**
+ * Expiry columns of every listing, by ID
+ * @returns {Promise<Array<Object>>} Rows
+ */
+const state = async () => {
+  const result = await db.query('SELECT id, missed_scrape_count, expired_at, expiry_reason FROM car_listings ORDER BY id');
+  return result.rows;
+};
+
+describe('ListingExpiryService.sweep', () => {
+  beforeAll(() => db.migrate());
+
+  beforeEach(async () => {
+    config.expiry.afterMissedRuns = 3;
+    config.expiry.afterHours = 72;
+    await db.query('TRUNCATE car_listings RESTART IDENTITY CASCADE');
+  });
+
+  it('expires listings missing from consecutive complete runs', async () => {
+    const seen = await scraped(1);
+    await scraped(2);
+
+    for (let run = 0; run < 2; run++) {
+      expect(await ListingExpiryService.sweep('facebook', [seen])).toEqual([]);
+    }
+    const expired = await ListingExpiryService.sweep('facebook', [seen]);
+
+    expect(expired).toHaveLength(1);
+    expect(expired[0].expiry_reason).toBe('Not seen in 3 consecutive scrape runs');
+    expect((await state())[0].expired_at).toBeNull();
+  });
+
+  it('counts no missed runs when the run stopped at the listing limit', async () => {
+    const seen = await scraped(1);
+    await scraped(2);
+
+    for (let run = 0; run < 5; run++) {
+      expect(await ListingExpiryService.sweep('facebook', [seen], { countMisses: false })).toEqual([]);
+    }
+
+    expect((await state()).map(row => row.missed_scrape_count)).toEqual([0, 0]);
+  });
+
+  it('still expires unseen listings by hours when the run stopped at the listing limit', async () => {
+    const seenLongAgo = await scraped(1, 100);
+    const unseenLongAgo = await scraped(2, 100);
+    await scraped(3, 10);
+
+    const expired = await ListingExpiryService.sweep('facebook', [seenLongAgo], { countMisses: false });
+
+    expect(expired.map(row => row.id)).toEqual([unseenLongAgo.id]);
+    expect(expired[0].expiry_reason).toBe('Not seen for more than 72 hours');
+    expect((await state()).map(row => row.missed_scrape_count)).toEqual([0, 0, 0]);
+  });
+
+  it('leaves listings of other sources alone', async () => {
+    await scraped(1, 100);
+
+    expect(await ListingExpiryService.sweep('other', [])).toEqual([]);
+    expect((await state())[0].expired_at).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+jest.mock('../src/services/listing-image-service');
+jest.mock('../src/services/listing-duplicate-service');
+jest.mock('../src/services/listing-valuation-service');
+jest.mock('../src/services/saved-search-service');
+jest.mock('../src/utils/logger');
+
+const ListingProcessingService = require('../src/services/listing-processing-service');
+const ListingImageService = require('../src/services/listing-image-service');
+const ListingDuplicateService = require('../src/services/listing-duplicate-service');
+const ListingValuationService = require('../src/services/listing-valuation-service');
+const SavedSearchService = require('../src/services/saved-search-service');
+const logger = require('../src/utils/logger');
+
+const LISTINGS = [{ id: 1, inserted: true }, { id: 2, inserted: false }];
+
+describe('ListingProcessingService.processStored', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    ListingImageService.archiveListings.mockResolvedValue(1);
+    ListingDuplicateService.processListings.mockResolvedValue(2);
+    ListingValuationService.valueListings.mockResolvedValue(2);
+    SavedSearchService.matchListings.mockResolvedValue(3);
+  });
+
+  it('runs every step on the stored listings and returns their counts', async () => {
+    const counts = await ListingProcessingService.processStored(LISTINGS);
+
+    expect(counts).toEqual({ imageCount: 1, duplicateCount: 2, valuedCount: 2, alertCount: 3 });
+    expect(SavedSearchService.matchListings).toHaveBeenCalledWith(LISTINGS);
+  });
+
+  it('logs a failing step and still runs the later ones', async () => {
+    ListingImageService.archiveListings.mockRejectedValue(new Error('storage unavailable'));
+
+    const counts = await ListingProcessingService.processStored(LISTINGS);
+
+    expect(counts).toEqual({ imageCount: 0, duplicateCount: 2, valuedCount: 2, alertCount: 3 });
+    expect(logger.error).toHaveBeenCalledWith(
+      'Failed to archive images of 2 stored listings',
+      { error: 'storage unavailable' }
+    );
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment ./tests/helpers/database-environment.js
+ */
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const db = require('../src/config/database');
+const CarListingModel = require('../src/models/car-listing');
+
+const LISTINGS = [
+  { title: 'Toyota Vios 1.3 E MT 2018', make: 'Toyota', model: 'Vios' },
+  { title: 'Toyota Fortuner 2.4 G AT 2020', make: 'Toyota', model: 'Fortuner' },
+  { title: 'Honda City 1.5 VX CVT 2019', make: 'Honda', model: 'City' },
+  { title: 'Honda Civic 1.8 E CVT 2017', make: 'Honda', model: 'Civic' },
+  { title: 'Isuzu D-Max 3.0 LS-A 4x4 2021', make: 'Isuzu', model: 'D-Max' },
+];
+
+/**
+ * Titles of the listings matching a search
+ * @param {string} search - Search text
+ * @returns {Promise<Array<string>>} Titles, sorted
+ */
+const searchTitles = async (search) => {
+  const result = await CarListingModel.findAll({ search, limit: 100 });
+  return result.data.map(listing => listing.title).sort();
+};
+
+describe('listing search', () => {
+  beforeAll(async () => {
+    await db.migrate();
+
+    for (const [index, listing] of LISTINGS.entries()) {
+      await db.query(
+        `INSERT INTO car_listings (title, make, model, price, source, source_url)
+         VALUES ($1, $2, $3, 500000, 'facebook', $4)`,
+        [listing.title, listing.make, listing.model, `https://www.facebook.com/marketplace/item/${index}`]
+      );
+    }
+  });
+
+  it('matches words exactly', async () => {
+    expect(await searchTitles('honda city')).toEqual(['Honda City 1.5 VX CVT 2019']);
+  });
+
+  it('matches a misspelled model', async () => {
+    expect(await searchTitles('vyos')).toEqual(['Toyota Vios 1.3 E MT 2018']);
+  });
+
+  it('matches a misspelled make', async () => {
+    expect(await searchTitles('toyta')).toEqual(['Toyota Fortuner 2.4 G AT 2020', 'Toyota Vios 1.3 E MT 2018']);
+  });
+
+  it('matches a misspelled make and model together', async () => {
+    expect(await searchTitles('toyta fortunerr')).toEqual(['Toyota Fortuner 2.4 G AT 2020']);
+  });
+
+  it('matches misspellings alongside a hyphenated word', async () => {
+    expect(await searchTitles('isuzo d-max')).toEqual(['Isuzu D-Max 3.0 LS-A 4x4 2021']);
+  });
+
+  it('does not match misspellings when search operators are used', async () => {
+    expect(await searchTitles('vyos -civic')).toEqual([]);
+  });
+});
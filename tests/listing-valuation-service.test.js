@@ -0,0 +1,91 @@
+const ListingValuationService = require('../src/services/listing-valuation-service');
+const config = require('../src/config');
+
+const listing = { make: 'Toyota', model: 'Vios', year: 2018, price_php: '450000.00', mileage_km: 40000 };
+
+/**
+ * Comparables at the given prices
+ * @param {Array<number>} prices - Prices in PHP
+ * @param {boolean} [withinMileageBand=true] - Whether they are within the mileage band
+ * @returns {Array<Object>} Comparables as from CarListingModel.findComparables
+ */
+const comparables = (prices, withinMileageBand = true) =>
+  prices.map((price, index) => ({ id: index + 1, price_php: price.toFixed(2), within_mileage_band: withinMileageBand }));
+
+describe('ListingValuationService.quantile', () => {
+  it('interpolates between neighbours', () => {
+    expect(ListingValuationService.quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(ListingValuationService.quantile([10, 20, 30, 40, 50], 0.25)).toBe(20);
+    expect(ListingValuationService.quantile([10, 20], 0.75)).toBe(17.5);
+  });
+
+  it('handles the ends and a single value', () => {
+    expect(ListingValuationService.quantile([1, 5, 9], 0)).toBe(1);
+    expect(ListingValuationService.quantile([1, 5, 9], 1)).toBe(9);
+    expect(ListingValuationService.quantile([7], 0.5)).toBe(7);
+  });
+});
+
+describe('ListingValuationService.appraise', () => {
+  beforeEach(() => {
+    config.valuation.minComparables = 5;
+  });
+
+  it('values a listing from comparables within the mileage band', () => {
+    const nearby = comparables([480000, 500000, 520000, 540000, 560000]);
+    const { valuation, used, reason } = ListingValuationService.appraise(listing, [...nearby, ...comparables([900000], false)]);
+
+    expect(reason).toBeNull();
+    expect(used).toEqual(nearby);
+    expect(valuation).toEqual({
+      basis: 'model_year_mileage',
+      market_price_php: 520000,
+      q1_php: 500000,
+      q3_php: 540000,
+      market_iqr_php: 40000,
+      percent_below_market: 13.46,
+      deal_score: 1.75,
+    });
+  });
+
+  it('falls back to every comparable of the year band', () => {
+    const all = comparables([480000, 500000, 520000, 540000, 560000], false);
+    const { valuation, used } = ListingValuationService.appraise(listing, all);
+
+    expect(valuation.basis).toBe('model_year');
+    expect(used).toEqual(all);
+  });
+
+  it('measures the deal score in at least 5% of the market price', () => {
+    const { valuation } = ListingValuationService.appraise(listing, comparables([500000, 500000, 500000, 500000, 500000]));
+
+    expect(valuation.market_iqr_php).toBe(0);
+    expect(valuation.deal_score).toBe(2);
+  });
+
+  it('caps the deal score', () => {
+    const { valuation } = ListingValuationService.appraise(
+      { ...listing, price_php: '10.00' },
+      comparables([480000, 500000, 520000, 540000, 560000])
+    );
+
+    expect(valuation.deal_score).toBe(10);
+  });
+
+  it('needs enough comparables', () => {
+    const few = comparables([500000, 520000]);
+
+    expect(ListingValuationService.appraise(listing, few)).toEqual({
+      valuation: null,
+      used: few,
+      reason: '2 comparable listings found, 5 needed',
+    });
+  });
+
+  it('needs make, model, year and price', () => {
+    const { valuation, reason } = ListingValuationService.appraise({ ...listing, model: null }, comparables([1, 2, 3, 4, 5]));
+
+    expect(valuation).toBeNull();
+    expect(reason).toBe('Make, model, year and price are needed for a valuation');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * @jest-environment ./tests/helpers/database-environment.js
+ */
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const db = require('../src/config/database');
+const config = require('../src/config');
+const ListingValuationService = require('../src/services/listing-valuation-service');
+
+/**
+ * Store a listing
+ * @param {string} model - Toyota model
+ * @param {number} year - Model year
+ * @param {number} price - Price in PHP
+ * @returns {Promise<Object>} Stored listing (id)
+ */
+const insert = async (model, year, price) => {
+  const result = await db.query(
+    `INSERT INTO car_listings (title, make, model, year, price, currency, source, source_url)
+     VALUES ($1, 'Toyota', $2, $3, $4, 'PHP', 'facebook', 'https://www.facebook.com/marketplace/item/' || gen_random_uuid())
+     RETURNING id`,
+    [`Toyota ${model} ${year}`, model, year, price]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Stored market price of a listing
+ * @param {number} id - Listing ID
+ * @returns {Promise<number|null>} Market price in PHP
+ */
+const marketPrice = async (id) => {
+  const result = await db.query('SELECT market_price_php FROM car_listings WHERE id = $1', [id]);
+  const price = result.rows[0].market_price_php;
+  return price === null ? null : parseFloat(price);
+};
+
+describe('ListingValuationService.valueListings', () => {
+  beforeAll(() => db.migrate());
+
+  beforeEach(async () => {
+    config.valuation.yearBand = 1;
+    config.valuation.minComparables = 2;
+    await db.query('TRUNCATE car_listings RESTART IDENTITY CASCADE');
+  });
+
+  it('values the stored listings from their comparables', async () => {
+    await insert('Vios', 2018, 500000);
+    await insert('Vios', 2018, 600000);
+    const stored = await insert('Vios', 2018, 700000);
+
+    expect(await ListingValuationService.valueListings([stored])).toBe(1);
+    expect(await marketPrice(stored.id)).toBe(550000);
+  });
+
+  it('values again the listings that have a stored listing as a comparable', async () => {
+    const a = await insert('Vios', 2018, 500000);
+    const b = await insert('Vios', 2019, 600000);
+    const other = await insert('Fortuner', 2018, 1500000);
+    const distant = await insert('Vios', 2015, 300000);
+    await ListingValuationService.valueListings([a, b, other, distant]);
+    expect(await marketPrice(a.id)).toBeNull();
+
+    const stored = await insert('Vios', 2018, 700000);
+    await ListingValuationService.valueListings([stored]);
+
+    expect(await marketPrice(a.id)).toBe(650000);
+    expect(await marketPrice(b.id)).toBe(600000);
+    expect(await marketPrice(other.id)).toBeNull();
+    expect(await marketPrice(distant.id)).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+const { extractMileage, parseMileage } = require('../src/normalizers/mileage-parser');
+
+describe('parseMileage', () => {
+  it.each([
+    ['50k', 50000],
+    ['50,000 km', 50000],
+    ['50.000 km', 50000],
+    ['120k kms', 120000],
+    ['60tkm', 60000],
+    ['45000', 45000],
+    ['31 miles', 50],
+  ])('parses %s', (value, km) => {
+    expect(parseMileage(value)).toBe(km);
+  });
+
+  it.each([
+    ['45 000 km', 45000],
+    ['45 000', 45000],
+    ['45\u00a0000 km', 45000],
+    ['45\u2009000 km', 45000],
+    ['1\u202f200\u202f000 km', 1200000],
+  ])('parses space-separated thousands in %j', (value, km) => {
+    expect(parseMileage(value)).toBe(km);
+  });
+
+  it.each([
+    ['100,000+ km', 100000],
+    ['120 000+ km', 120000],
+    ['100k+ km', 100000],
+    ['80k+', 80000],
+  ])('reads %s as its lower bound', (value, km) => {
+    expect(parseMileage(value)).toBe(km);
+  });
+
+  it('rejects missing and out-of-range readings', () => {
+    expect(parseMileage(null)).toBeNull();
+    expect(parseMileage('')).toBeNull();
+    expect(parseMileage('3000000 km')).toBeNull();
+  });
+});
+
+describe('extractMileage', () => {
+  it('finds a reading with a unit in free text', () => {
+    expect(extractMileage('Toyota Vios 2018 50,000 km casa maintained')).toEqual({ text: '50,000 km', km: 50000 });
+  });
+
+  it('finds readings with space-separated thousands', () => {
+    expect(extractMileage('Toyota Vios 2018 45 000 km')).toEqual({ text: '45 000 km', km: 45000 });
+    expect(extractMileage('Toyota Vios 2018, 45\u2009000 km')).toEqual({ text: '45\u2009000 km', km: 45000 });
+  });
+
+  it('finds readings with a trailing +', () => {
+    expect(extractMileage('Toyota Vios 2018 100,000+ km')).toEqual({ text: '100,000+ km', km: 100000 });
+  });
+
+  it('takes a bare "k" reading only next to a mileage word', () => {
+    expect(extractMileage('mileage 50k')).toEqual({ text: '50k', km: 50000 });
+    expect(extractMileage('Toyota Vios 2018 550k')).toBeNull();
+  });
+
+  it('does not mistake years or engine sizes for mileage', () => {
+    expect(extractMileage('Toyota Vios 1.3 E 2018')).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+const { MemoryStore } = require('../src/utils/rate-limit-store');
+
+describe('MemoryStore', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts requests per key within a window', async () => {
+    const store = new MemoryStore();
+
+    expect(await store.increment('a', 60000)).toEqual({ count: 1, resetAt: new Date('2024-01-01T00:01:00Z') });
+    expect((await store.increment('a', 60000)).count).toBe(2);
+    expect((await store.increment('b', 60000)).count).toBe(1);
+  });
+
+  it('starts a new window once the window ends', async () => {
+    const store = new MemoryStore();
+    await store.increment('a', 60000);
+    await store.increment('a', 60000);
+
+    jest.advanceTimersByTime(60000);
+
+    expect(await store.increment('a', 60000)).toEqual({ count: 1, resetAt: new Date('2024-01-01T00:02:00Z') });
+  });
+
+  it('drops counters of ended windows', async () => {
+    const store = new MemoryStore();
+    await store.increment('a', 1000);
+
+    jest.advanceTimersByTime(60000);
+    await store.increment('b', 1000);
+
+    expect([...store.counters.keys()]).toEqual(['b']);
+  });
+});
@@ -0,0 +1,46 @@
+const { parseTitle } = require('../src/normalizers/title-parser');
+
+describe('parseTitle', () => {
+  it('parses make, model, variant, transmission and engine size', () => {
+    expect(parseTitle('2018 Toyota Vios 1.3 E MT')).toEqual({
+      make: 'Toyota',
+      model: 'Vios',
+      variant: 'E',
+      transmission: 'manual',
+      engine_size: 1.3,
+      title_confidence: 1,
+    });
+  });
+
+  it('prefers the longest model name', () => {
+    expect(parseTitle('Mitsubishi Mirage G4 GLX 1.2 CVT')).toMatchObject({
+      make: 'Mitsubishi',
+      model: 'Mirage G4',
+      variant: 'GLX',
+      transmission: 'automatic',
+    });
+  });
+
+  it('infers the make from the model', () => {
+    expect(parseTitle('Land Cruiser Prado 2015')).toMatchObject({ make: 'Toyota', model: 'Land Cruiser Prado' });
+  });
+
+  it('tolerates a misspelled make', () => {
+    expect(parseTitle('Toyta Fortuner 2.4 G 4x2 AT 2020')).toMatchObject({
+      make: 'Toyota',
+      model: 'Fortuner',
+      variant: 'G 4X2',
+      transmission: 'automatic',
+      engine_size: 2.4,
+    });
+  });
+
+  it('matches hyphenated names and model aliases', () => {
+    expect(parseTitle('Isuzu D-Max LS-A 3.0 4x4 MT')).toMatchObject({ make: 'Isuzu', model: 'D-Max' });
+    expect(parseTitle('Mercedes-Benz C200 2017')).toMatchObject({ make: 'Mercedes-Benz', model: 'C-Class' });
+  });
+
+  it('leaves unknown fields null', () => {
+    expect(parseTitle('Honda city 1.5 VX')).toMatchObject({ make: 'Honda', model: 'City', transmission: null });
+  });
+});
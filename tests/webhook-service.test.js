@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const WebhookService = require('../src/services/webhook-service');
+const config = require('../src/config');
+
+describe('WebhookService.sign', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'listing.created' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    expect(WebhookService.sign('secret', 1700000000, body)).toBe(expected);
+  });
+
+  it('depends on the secret and the timestamp', () => {
+    const signature = WebhookService.sign('secret', 1700000000, '{}');
+
+    expect(WebhookService.sign('other', 1700000000, '{}')).not.toBe(signature);
+    expect(WebhookService.sign('secret', 1700000001, '{}')).not.toBe(signature);
+  });
+});
+
+describe('WebhookService.retryDelay', () => {
+  beforeEach(() => {
+    config.webhooks.retryBaseMs = 30000;
+    config.webhooks.retryMaxMs = 3600000;
+  });
+
+  it('doubles after each failed attempt', () => {
+    expect([1, 2, 3, 4].map(attempts => WebhookService.retryDelay(attempts))).toEqual([30000, 60000, 120000, 240000]);
+  });
+
+  it('starts at the base delay', () => {
+    expect(WebhookService.retryDelay(0)).toBe(30000);
+  });
+
+  it('is capped at the maximum delay', () => {
+    expect(WebhookService.retryDelay(20)).toBe(3600000);
+  });
+});